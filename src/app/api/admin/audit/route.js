@@ -0,0 +1,73 @@
+import crypto from "crypto";
+import { NextResponse } from "next/server";
+import { queryAuditEvents } from "../../../utils/auditLog";
+import { withRateLimit } from "../../../utils/rateLimit";
+import { getServerConfig } from "../../../utils/config";
+import { validateQuery, checkResponse } from "../../../utils/validation";
+import { auditQuerySchema, auditQueryResponseSchema } from "../../../utils/apiSchemas";
+
+// ============================================================================
+// ADMIN AUDIT API
+// Purpose: Query the scan lifecycle audit trail by session or merchant
+//
+// GET /api/admin/audit?sessionId=...|merchantId=...[&type=...][&limit=...]
+// Requires the X-Admin-Key header to match ADMIN_API_KEY.
+// The response includes the result of a full hash-chain check.
+// ============================================================================
+
+const isAuthorized = (request) => {
+  const expected = getServerConfig().adminApiKey;
+  const provided = request.headers.get("x-admin-key");
+  if (!expected || !provided) return false;
+
+  const a = crypto.createHash("sha256").update(provided).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+async function handleGet(request) {
+  try {
+    if (!isAuthorized(request)) {
+      console.warn("🚫 [Admin Audit] Unauthorized query attempt");
+      return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+    }
+
+    const { data: query, errorResponse } = validateQuery(request, auditQuerySchema);
+    if (errorResponse) return errorResponse;
+    const { sessionId, merchantId, type, limit } = query;
+
+    const { entries, chain } = await queryAuditEvents({
+      sessionId,
+      merchantId,
+      type,
+      limit,
+    });
+
+    if (!chain.valid) {
+      console.error(`🚨 [Admin Audit] Hash chain broken at #${chain.brokenAt}: ${chain.reason}`);
+    }
+
+    return NextResponse.json(
+      checkResponse(
+        auditQueryResponseSchema,
+        { success: true, count: entries.length, chain, entries },
+        "admin-audit"
+      ),
+      { headers: { "Cache-Control": "no-store" } }
+    );
+  } catch (error) {
+    console.error("❌ [Admin Audit] Error querying audit trail:", error);
+    return NextResponse.json(
+      { error: "Failed to query audit trail" },
+      { status: 500 }
+    );
+  }
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const GET = withRateLimit(handleGet, {
+  name: "admin-audit",
+  ip: { capacity: 30, refillPerSecond: 0.5 },
+});
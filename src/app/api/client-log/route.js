@@ -1,7 +1,19 @@
+import { recordAuditEvent } from '../../utils/auditLog';
+import { getSessionMerchant } from '../../utils/sessionStore';
+import { withRateLimit, consumeToken, tooManyRequests } from '../../utils/rateLimit';
+import { validateBody } from '../../utils/validation';
+import { clientLogSchema } from '../../utils/apiSchemas';
+
+// Audit events one session may report (a scan submits a frame every few seconds)
+const AUDIT_SESSION_LIMIT = { capacity: 60, refillPerSecond: 0.5 };
+
 // API endpoint to receive and log client-side messages
-export async function POST(request) {
+// Messages carrying an `audit` object are also written to the audit trail,
+// as client events of a session this server issued
+async function handlePost(request) {
   try {
-    const data = await request.json();
+    const { data, errorResponse } = await validateBody(request, clientLogSchema);
+    if (errorResponse) return errorResponse;
     
     const timestamp = new Date().toISOString();
     const logPrefix = data.level === 'error' ? '❌ CLIENT ERROR' : 
@@ -17,6 +29,36 @@ export async function POST(request) {
       console.log('Error:', data.error);
     }
     console.log('---\n');
+
+    // Lifecycle events reported by the browser (type checked by the schema)
+    if (data.audit) {
+      const { type, sessionId, outcome, details } = data.audit;
+
+      // The merchant comes from the session, not from what the browser says
+      const merchantId = await getSessionMerchant(sessionId);
+      if (!merchantId) {
+        console.warn(`🚫 [client-log] Audit event ${type} for unknown session ${sessionId || '-'}`);
+        return Response.json({ success: false, error: 'unknown_session' }, { status: 403 });
+      }
+
+      const { allowed, retryAfterSeconds } = await consumeToken(
+        `client-log:audit:${sessionId}`,
+        AUDIT_SESSION_LIMIT
+      );
+      if (!allowed) {
+        console.warn(`🚦 [Rate Limit] client-log blocked audit events of ${sessionId} for ${retryAfterSeconds}s`);
+        return tooManyRequests(retryAfterSeconds);
+      }
+
+      await recordAuditEvent({
+        type,
+        sessionId,
+        merchantId,
+        outcome,
+        details,
+        source: 'client',
+      });
+    }
     
     return Response.json({ success: true });
   } catch (error) {
@@ -24,3 +66,12 @@ export async function POST(request) {
     return Response.json({ success: false }, { status: 500 });
   }
 }
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: 'client-log',
+  ip: { capacity: 60, refillPerSecond: 1 },
+  maxBodyBytes: 16 * 1024,
+});
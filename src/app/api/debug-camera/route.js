@@ -1,9 +1,14 @@
+import { withRateLimit } from '../../utils/rateLimit';
+import { validateBody } from '../../utils/validation';
+import { debugCameraSchema } from '../../utils/apiSchemas';
+
 // API endpoint for camera debugging logs
 // This endpoint logs detailed camera selection, torch support, and device information
 
-export async function POST(request) {
+async function handlePost(request) {
   try {
-    const data = await request.json();
+    const { data, errorResponse } = await validateBody(request, debugCameraSchema);
+    if (errorResponse) return errorResponse;
     
     const timestamp = new Date().toISOString();
     
@@ -88,3 +93,12 @@ export async function POST(request) {
     return Response.json({ success: false, error: error.message }, { status: 500 });
   }
 }
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: 'debug-camera',
+  ip: { capacity: 30, refillPerSecond: 0.5 },
+  maxBodyBytes: 32 * 1024,
+});
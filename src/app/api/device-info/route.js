@@ -1,54 +1,37 @@
+import { withRateLimit } from '../../utils/rateLimit';
+import { getServerConfig } from '../../utils/config';
+import { validateBody, checkResponse } from '../../utils/validation';
+import { deviceInfoForwardSchema, deviceInfoResponseSchema } from '../../utils/apiSchemas';
 
 // post endpoint to receive device info from Android app to webview-entry next js then forward to laravel api
 
-export async function POST(request) {
+async function handlePost(request) {
   try {
-    const data = await request.json();
-    
-    // Check if this is just a heartbeat
-
-    
-    // Log Session Information
- 
-    
-    // Log complete raw data for Laravel API reference
- 
-
-    // Validate required fields
-    if (!data.merchantId) {
-      console.warn("⚠️ Device info received without merchantId");
-    }
+    // Only validated, normalised device info is forwarded
+    const { data, errorResponse } = await validateBody(request, deviceInfoForwardSchema);
+    if (errorResponse) return errorResponse;
 
     // Forward device info to Laravel API
     try {
       
-      const laravelResponse = await fetch('https://admin.cardnest.io/api/device-info', {
+      const laravelResponse = await fetch(`${getServerConfig().adminApiUrl}/api/device-info`, {
         method: 'POST',
         headers: {
           'Accept': 'application/json',
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({
-          DeviceId: data.DeviceId,
-          merchantId: data.merchantId,
-          sessionId: data.sessionId,
-          timestamp: data.timestamp || Date.now(),
-          device: data.device,
-          network: data.network,
-          sims: data.sims || [],
-          location: data.location || null
-        })
+        body: JSON.stringify(data)
       });
 
       if (laravelResponse.ok) {
         const laravelResult = await laravelResponse.json();
         
-        return Response.json({ 
+        return Response.json(checkResponse(deviceInfoResponseSchema, {
           success: true, 
           received: data,
           laravelResponse: laravelResult,
           message: "Device info received and forwarded to Laravel successfully"
-        });
+        }, 'device-info'));
       } else {
         const errorText = await laravelResponse.text();
         console.error('❌ Laravel API error:', {
@@ -75,23 +58,30 @@ export async function POST(request) {
       }, { status: 200 }); // Still return 200 to not break frontend
     }
   } catch (error) {
-    console.error("❌ Error parsing device info:", error);
+    console.error("❌ Error handling device info:", error);
     return Response.json({ 
       success: false, 
       error: error.message 
-    }, { status: 400 });
+    }, { status: 500 });
   }
 }
 
-export async function GET() {
+async function handleGet() {
   return Response.json({
     message: "✅ Device Info API working!",
   });
 }
 
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: 'device-info',
+  ip: { capacity: 20, refillPerSecond: 0.2 },
+  maxBodyBytes: 64 * 1024,
+});
 
-
-
-
-
-
+export const GET = withRateLimit(handleGet, {
+  name: 'device-info-status',
+  ip: { capacity: 30, refillPerSecond: 1 },
+});
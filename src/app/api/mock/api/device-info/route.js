@@ -0,0 +1,26 @@
+import { withRateLimit } from "../../../../utils/rateLimit";
+import { validateBody } from "../../../../utils/validation";
+import { mockReportSchema } from "../../../../utils/apiSchemas";
+import { mockAccept, withMockBackend } from "../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK DEVICE INFO API
+// Purpose: Offline stand-in for POST {ADMIN_API_URL}/api/device-info, which
+// /api/device-info forwards to
+// ============================================================================
+
+async function handlePost(request) {
+  const { data, errorResponse } = await validateBody(request, mockReportSchema);
+  if (errorResponse) return errorResponse;
+
+  return mockAccept("device-info", data);
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-device-info",
+  ip: { capacity: 20, refillPerSecond: 0.5 },
+  maxBodyBytes: 64 * 1024,
+});
@@ -0,0 +1,24 @@
+import { withRateLimit } from "../../../../utils/rateLimit";
+import { validateQuery } from "../../../../utils/validation";
+import { mockMerchantQuerySchema } from "../../../../utils/apiSchemas";
+import { mockMerchantDisplayInfo, withMockBackend } from "../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK MERCHANT DISPLAY INFO API
+// Purpose: Offline stand-in for GET {ADMIN_API_URL}/api/getmerchantDisplayInfo
+// ============================================================================
+
+async function handleGet(request) {
+  const { data, errorResponse } = validateQuery(request, mockMerchantQuerySchema);
+  if (errorResponse) return errorResponse;
+
+  return mockMerchantDisplayInfo(data.merchantId);
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const GET = withRateLimit(withMockBackend(handleGet), {
+  name: "mock-merchant-display",
+  ip: { capacity: 30, refillPerSecond: 1 },
+});
@@ -0,0 +1,20 @@
+import { withRateLimit } from "../../../../../../utils/rateLimit";
+import { mockVoiceRegistration, withMockBackend } from "../../../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK VOICE REGISTRATION CHECK API
+// Purpose: Offline stand-in for GET {ADMIN_API_URL}/api/voice/register/{userId}
+// ============================================================================
+
+async function handleGet(request, { params }) {
+  const { userId } = await params;
+  return mockVoiceRegistration(userId);
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const GET = withRateLimit(withMockBackend(handleGet), {
+  name: "mock-voice-registration",
+  ip: { capacity: 30, refillPerSecond: 1 },
+});
@@ -0,0 +1,28 @@
+import { withRateLimit } from "../../../../utils/rateLimit";
+import { validateBody } from "../../../../utils/validation";
+import { mockDetectSchema } from "../../../../utils/apiSchemas";
+import { mockDetect, withMockBackend } from "../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK DETECT API
+// Purpose: Offline stand-in for POST {API_URL}/detect/{merchantId}
+//
+// Answers each frame according to the active mock scenario (see mockBackend.js).
+// ============================================================================
+
+async function handlePost(request, { params }) {
+  const { merchantId } = await params;
+  const { data, errorResponse } = await validateBody(request, mockDetectSchema);
+  if (errorResponse) return errorResponse;
+
+  return mockDetect({ merchantId, phase: data.phase, sessionId: data.session_id });
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-detect",
+  ip: { capacity: 120, refillPerSecond: 10 },
+  maxBodyBytes: 5 * 1024 * 1024,
+});
@@ -0,0 +1,25 @@
+import { withRateLimit } from "../../../utils/rateLimit";
+import { validateBody } from "../../../utils/validation";
+import { mockReportSchema } from "../../../utils/apiSchemas";
+import { mockAccept, withMockBackend } from "../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK FAILURE REPORT API
+// Purpose: Offline stand-in for POST {API_URL}/report_failure
+// ============================================================================
+
+async function handlePost(request) {
+  const { data, errorResponse } = await validateBody(request, mockReportSchema);
+  if (errorResponse) return errorResponse;
+
+  return mockAccept("report_failure", data);
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-report-failure",
+  ip: { capacity: 20, refillPerSecond: 0.5 },
+  maxBodyBytes: 16 * 1024,
+});
@@ -0,0 +1,70 @@
+import { withRateLimit } from "../../../utils/rateLimit";
+import { s, validateBody } from "../../../utils/validation";
+import { MOCK_SCENARIO_NAMES } from "../../../utils/mockScenarios";
+import {
+  getMockScenario,
+  setMockScenario,
+  resetMockBackend,
+  withMockBackend,
+} from "../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK SCENARIO API
+// Purpose: Script the mock backend from a test or a terminal
+//
+// GET    /api/mock/scenario → scenario in effect
+// POST   /api/mock/scenario { scenario, ...overrides } → switch and reset counters
+// DELETE /api/mock/scenario → back to MOCK_SCENARIO, counters and enrolments cleared
+// ============================================================================
+
+// POST body: a scenario name plus any of its fields to override
+const mockScenarioSchema = s.object({
+  scenario: s.string({ oneOf: MOCK_SCENARIO_NAMES }),
+  frontSuccessFrame: s.number({ coerce: true, integer: true, min: 1, max: 100 }).optional(),
+  backSuccessFrame: s.number({ coerce: true, integer: true, min: 1, max: 100 }).optional(),
+  delayMs: s.number({ coerce: true, integer: true, min: 0, max: 60000 }).optional(),
+  waitForFront: s.boolean().optional(),
+  brandMismatch: s.boolean().optional(),
+  isScreen: s.boolean().optional(),
+  failing: s.array(s.string({ oneOf: ["detect", "screen-detect", "voice", "merchant"] }), { maxItems: 4 }).optional(),
+  voiceRegistered: s.boolean().optional(),
+  cardNumber: s.string({ maxLength: 32, pattern: /^[\d -]+$/ }).optional(),
+});
+
+async function handleGet() {
+  return { status: 200, body: { success: true, scenario: await getMockScenario() } };
+}
+
+async function handlePost(request) {
+  const { data, errorResponse } = await validateBody(request, mockScenarioSchema);
+  if (errorResponse) return errorResponse;
+
+  const { scenario: name, ...overrides } = data;
+  const scenario = await setMockScenario(name, overrides);
+  console.log(`🧪 [Mock] Scenario set to "${name}"`, overrides);
+  return { status: 200, body: { success: true, scenario } };
+}
+
+async function handleDelete() {
+  await resetMockBackend();
+  return { status: 200, body: { success: true, scenario: await getMockScenario() } };
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const GET = withRateLimit(withMockBackend(handleGet), {
+  name: "mock-scenario-read",
+  ip: { capacity: 60, refillPerSecond: 2 },
+});
+
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-scenario",
+  ip: { capacity: 30, refillPerSecond: 1 },
+  maxBodyBytes: 4 * 1024,
+});
+
+export const DELETE = withRateLimit(withMockBackend(handleDelete), {
+  name: "mock-scenario-reset",
+  ip: { capacity: 30, refillPerSecond: 1 },
+});
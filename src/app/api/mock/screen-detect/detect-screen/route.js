@@ -0,0 +1,20 @@
+import { withRateLimit } from "../../../../utils/rateLimit";
+import { mockScreenDetect, withMockBackend } from "../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK SCREEN DETECT API
+// Purpose: Offline stand-in for POST {API_URL}/screen-detect/detect-screen
+// ============================================================================
+
+async function handlePost() {
+  return mockScreenDetect();
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-screen-detect",
+  ip: { capacity: 60, refillPerSecond: 2 },
+  maxBodyBytes: 5 * 1024 * 1024,
+});
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { withRateLimit } from "../../../../utils/rateLimit";
+import { validateBody } from "../../../../utils/validation";
+import { mockVoiceSchema } from "../../../../utils/apiSchemas";
+import { mockVoice, withMockBackend } from "../../../../utils/mockBackend";
+
+// ============================================================================
+// MOCK VOICE API
+// Purpose: Offline stand-in for POST {API_URL}/voice/register and /voice/verify
+//
+// Responses carry a verification_id and, when VOICE_ASSERTION_SECRET is set,
+// a signed assertion that PUT /api/secure-results accepts.
+// ============================================================================
+
+async function handlePost(request, { params }) {
+  const { mode } = await params;
+  if (mode !== "register" && mode !== "verify") {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
+  const { data, errorResponse } = await validateBody(request, mockVoiceSchema);
+  if (errorResponse) return errorResponse;
+
+  return mockVoice({ mode, userId: data.user_id, merchantId: data.merchant_id, sessionId: data.session_id });
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(withMockBackend(handlePost), {
+  name: "mock-voice",
+  ip: { capacity: 20, refillPerSecond: 0.5 },
+  maxBodyBytes: 10 * 1024 * 1024,
+});
@@ -2,9 +2,16 @@
 // This endpoint is called after voice verification to trigger iOS/Android fetch interception
 // iOS intercepts fetches to api.cardnest.io/detect, so we simulate that response here
 
-export async function POST(request) {
+import { recordAuditEvent, AUDIT_EVENTS } from "../../utils/auditLog";
+import { getSessionMerchant } from "../../utils/sessionStore";
+import { withRateLimit } from "../../utils/rateLimit";
+import { validateBody, checkResponse } from "../../utils/validation";
+import { scanCompleteSchema, scanCompleteResponseSchema } from "../../utils/apiSchemas";
+
+async function handlePost(request) {
   try {
-    const body = await request.json();
+    const { data: body, errorResponse } = await validateBody(request, scanCompleteSchema);
+    if (errorResponse) return errorResponse;
     
     console.log("📡 [scan-complete] Received payload for iOS/Android intercept");
     
@@ -20,9 +27,27 @@ export async function POST(request) {
       ...body
     };
     
+    // Nothing here checks the scan, so it is only the caller's claim: recorded
+    // as such, and only for a session this server issued to that merchant
+    const sessionMerchant = await getSessionMerchant(body.session_id);
+    if (sessionMerchant && sessionMerchant === body.merchant_id) {
+      await recordAuditEvent({
+        type: AUDIT_EVENTS.SCAN_SUCCESS_REPORTED,
+        sessionId: body.session_id,
+        merchantId: sessionMerchant,
+        details: { scanId: body.scan_id, status: responsePayload.status },
+        source: "client",
+      });
+    } else {
+      console.warn(`⚠️ [scan-complete] Not audited: unknown session ${body.session_id || "-"} for this merchant`);
+    }
+
     console.log("📡 [scan-complete] Returning intercepted payload");
     
-    return Response.json(responsePayload, { status: 200 });
+    return Response.json(
+      checkResponse(scanCompleteResponseSchema, responsePayload, "scan-complete"),
+      { status: 200 }
+    );
   } catch (error) {
     console.error("❌ [scan-complete] Error:", error);
     return Response.json(
@@ -31,3 +56,12 @@ export async function POST(request) {
     );
   }
 }
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: "scan-complete",
+  ip: { capacity: 20, refillPerSecond: 0.5 },
+  maxBodyBytes: 256 * 1024,
+});
@@ -1,4 +1,19 @@
 import { NextResponse } from "next/server";
+import { getStore } from "../../utils/storeAdapter";
+import { verifyVoiceProof } from "../../utils/voiceVerifier";
+import { verifyReleaseSecret } from "../../utils/sessionStore";
+import { claimRelease } from "../../utils/releasePolicy";
+import { recordAuditEvent, AUDIT_EVENTS } from "../../utils/auditLog";
+import { withRateLimit, consumeToken, getClientIp, tooManyRequests } from "../../utils/rateLimit";
+import { validateBody, validateQuery, checkResponse } from "../../utils/validation";
+import {
+  secureResultStoreSchema,
+  secureResultVerifySchema,
+  secureResultQuerySchema,
+  secureResultDeleteQuerySchema,
+  secureResultStoredResponseSchema,
+  secureResultReleasedResponseSchema,
+} from "../../utils/apiSchemas";
 
 // ============================================================================
 // SECURE RESULTS STORAGE API
@@ -6,64 +21,78 @@ import { NextResponse } from "next/server";
 // 
 // Flow:
 // 1. Card scan completes → POST stores data server-side (NOT exposed to client)
-// 2. Voice verification completes → PUT marks result as verified
-// 3. Android polls → GET returns data ONLY if verified
+// 2. Voice verification completes → PUT marks result as verified, but only
+//    after the voice service's proof (signed assertion or verifier callback)
+//    checks out for this result's merchant
+// 3. Android polls → GET returns data ONLY if verified, ONLY to the holder of
+//    the session's release secret, and only as often as RELEASE_POLICY allows
 // ============================================================================
 
-// In-memory storage for pending and verified scan results
-const pendingResults = new Map();
-const verifiedResults = new Map();
-
-// Cleanup expired results (older than 5 minutes)
-const cleanupExpiredResults = () => {
-  const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-  
-  for (const [resultId, result] of pendingResults.entries()) {
-    if (result.createdAt < fiveMinutesAgo) {
-      console.log(`🗑️ [Cleanup] Expired pending result: ${resultId}`);
-      pendingResults.delete(resultId);
-    }
-  }
-  
-  for (const [resultId, result] of verifiedResults.entries()) {
-    if (result.verifiedAt < fiveMinutesAgo) {
-      console.log(`🗑️ [Cleanup] Expired verified result: ${resultId}`);
-      verifiedResults.delete(resultId);
-    }
+// Persistent storage for pending and verified scan results.
+// Backend is chosen by STORE_BACKEND; the adapter expires entries itself.
+const RESULT_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const pendingResults = getStore("pending-results");
+const verifiedResults = getStore("verified-results");
+
+// Brute-force protection: failed release-secret guesses per session and per IP
+// (per IP only when the client address is trusted, see getClientIp)
+const SECRET_FAILURES_PER_SESSION = { capacity: 5, refillPerSecond: 1 / 60 };
+const SECRET_FAILURES_PER_IP = { capacity: 20, refillPerSecond: 1 / 60 };
+
+// 🚦 Checks a session's release secret, refusing sessions or IPs that keep
+// guessing wrong. Returns { lockedResponse } while locked out, otherwise
+// { valid }; a wrong secret counts against both failure buckets.
+async function checkReleaseSecret(request, sessionId, releaseSecret, failureSubject) {
+  const clientIp = getClientIp(request);
+  const sessionFailureKey = `release-secret-failures:session:${failureSubject}`;
+  const ipFailureKey = clientIp ? `release-secret-failures:ip:${clientIp}` : null;
+  const sessionLock = await consumeToken(sessionFailureKey, SECRET_FAILURES_PER_SESSION, 0);
+  const ipLock = ipFailureKey
+    ? await consumeToken(ipFailureKey, SECRET_FAILURES_PER_IP, 0)
+    : { allowed: true, retryAfterSeconds: 0 };
+  if (!sessionLock.allowed || !ipLock.allowed) {
+    console.warn(`🚦 [Access Denied] Too many bad release secrets for: ${failureSubject} from ${clientIp || "unknown IP"}`);
+    return {
+      lockedResponse: tooManyRequests(
+        Math.max(sessionLock.retryAfterSeconds, ipLock.retryAfterSeconds),
+        "Too many failed attempts"
+      ),
+    };
   }
-};
 
-// Run cleanup every minute
-setInterval(cleanupExpiredResults, 60000);
+  if (!(await verifyReleaseSecret(sessionId, releaseSecret))) {
+    await consumeToken(sessionFailureKey, SECRET_FAILURES_PER_SESSION);
+    if (ipFailureKey) await consumeToken(ipFailureKey, SECRET_FAILURES_PER_IP);
+    console.warn(`🚫 [Access Denied] Invalid release secret for: ${failureSubject}`);
+    return { valid: false };
+  }
+  return { valid: true };
+}
 
 // ============================================================================
 // POST: Store scan results securely (BEFORE voice verification)
 // ============================================================================
-export async function POST(request) {
+async function handlePost(request) {
   try {
-    const body = await request.json();
-    const { sessionId, scanData, merchantId } = body;
-
-    if (!sessionId || !scanData) {
-      return NextResponse.json(
-        { error: "sessionId and scanData are required" },
-        { status: 400 }
-      );
-    }
+    const { data, errorResponse } = await validateBody(request, secureResultStoreSchema);
+    if (errorResponse) return errorResponse;
+    const { sessionId, scanData, merchantId } = data;
 
     // Generate unique result ID
     const resultId = `result_${sessionId}_${Date.now()}`;
 
     // 🔒 CRITICAL: Store encrypted data on SERVER ONLY (not exposed to client)
-    pendingResults.set(resultId, {
-      sessionId,
-      merchantId,
-      scanData,
-      voiceVerified: false,
-      createdAt: Date.now(),
-    });
-
-    cleanupExpiredResults();
+    await pendingResults.set(
+      resultId,
+      {
+        sessionId,
+        merchantId,
+        scanData,
+        voiceVerified: false,
+        createdAt: Date.now(),
+      },
+      RESULT_TTL_MS
+    );
 
     console.log(`🔒 [Secure Storage] Scan results stored: ${resultId}`);
     console.log(`   └─ Session: ${sessionId}`);
@@ -72,13 +101,19 @@ export async function POST(request) {
 
     // Return ONLY the result ID (not the actual encrypted data)
     // 🔒 CRITICAL: complete_scan = false prevents mobile from proceeding
-    return NextResponse.json({
-      success: true,
-      resultId,
-      status: "pending_voice_verification",
-      complete_scan: false, // 🚫 Mobile MUST NOT proceed until voice verification
-      message: "Scan completed. Awaiting voice verification.",
-    });
+    return NextResponse.json(
+      checkResponse(
+        secureResultStoredResponseSchema,
+        {
+          success: true,
+          resultId,
+          status: "pending_voice_verification",
+          complete_scan: false, // 🚫 Mobile MUST NOT proceed until voice verification
+          message: "Scan completed. Awaiting voice verification.",
+        },
+        "secure-results-store"
+      )
+    );
   } catch (error) {
     console.error("❌ [Secure Storage] Error storing scan results:", error);
     return NextResponse.json(
@@ -90,20 +125,15 @@ export async function POST(request) {
 
 // ============================================================================
 // PUT: Mark result as voice-verified
+// Body: { resultId, verificationId, assertion }
 // ============================================================================
-export async function PUT(request) {
+async function handlePut(request) {
   try {
-    const body = await request.json();
-    const { resultId, verificationId } = body;
-
-    if (!resultId || !verificationId) {
-      return NextResponse.json(
-        { error: "resultId and verificationId are required" },
-        { status: 400 }
-      );
-    }
+    const { data, errorResponse } = await validateBody(request, secureResultVerifySchema);
+    if (errorResponse) return errorResponse;
+    const { resultId, verificationId, assertion } = data;
 
-    const pendingResult = pendingResults.get(resultId);
+    const pendingResult = await pendingResults.get(resultId);
 
     if (!pendingResult) {
       console.warn(`⚠️ [Voice Verification] Result not found or expired: ${resultId}`);
@@ -113,20 +143,52 @@ export async function PUT(request) {
       );
     }
 
+    // 🔒 CRITICAL: Require proof from the voice service before releasing anything
+    const proof = await verifyVoiceProof({
+      verificationId,
+      assertion,
+      merchantId: pendingResult.merchantId,
+      sessionId: pendingResult.sessionId,
+    });
+
+    await recordAuditEvent({
+      type: AUDIT_EVENTS.VOICE_VERIFIED,
+      sessionId: pendingResult.sessionId,
+      merchantId: pendingResult.merchantId,
+      outcome: proof.valid ? "success" : "denied",
+      details: { resultId, verificationId, reason: proof.reason },
+    });
+
+    if (!proof.valid) {
+      console.warn(`🚫 [Voice Verification] Proof rejected for ${resultId}: ${proof.reason}`);
+      return NextResponse.json(
+        {
+          error: "Voice verification proof rejected",
+          code: "VOICE_PROOF_INVALID",
+          reason: proof.reason,
+        },
+        { status: 403 }
+      );
+    }
+
     console.log(`✅ [Voice Verification] Completed for: ${resultId}`);
     console.log(`   └─ Verification ID: ${verificationId}`);
     console.log(`   └─ Session: ${pendingResult.sessionId}`);
 
     // Move from pending to verified storage
-    verifiedResults.set(resultId, {
-      ...pendingResult,
-      voiceVerified: true,
-      verificationId,
-      verifiedAt: Date.now(),
-    });
+    await verifiedResults.set(
+      resultId,
+      {
+        ...pendingResult,
+        voiceVerified: true,
+        verificationId,
+        verifiedAt: Date.now(),
+      },
+      RESULT_TTL_MS
+    );
 
     // Remove from pending
-    pendingResults.delete(resultId);
+    await pendingResults.delete(resultId);
 
     console.log(`🔓 [Access Control] Data now accessible for: ${resultId}`);
 
@@ -145,18 +207,25 @@ export async function PUT(request) {
 
 // ============================================================================
 // GET: Retrieve scan results (ONLY if voice verified)
-// Android will poll this endpoint to check scan status
+// Android will poll this endpoint to check scan status.
+// Every read must carry the session's release secret (X-Release-Secret header
+// or releaseSecret query param) and is limited by the configured release policy.
 // ============================================================================
-export async function GET(request) {
+async function handleGet(request) {
   try {
-    const url = new URL(request.url);
-    const sessionId = url.searchParams.get("sessionId");
-    const resultId = url.searchParams.get("resultId");
+    const { data: query, errorResponse } = validateQuery(request, secureResultQuerySchema);
+    if (errorResponse) return errorResponse;
+    const { sessionId, resultId } = query;
+    const releaseSecret = request.headers.get("x-release-secret") || query.releaseSecret;
 
-    if (!sessionId && !resultId) {
+    if (!releaseSecret) {
       return NextResponse.json(
-        { error: "sessionId or resultId is required" },
-        { status: 400 }
+        {
+          error: "Release secret is required",
+          code: "RELEASE_SECRET_REQUIRED",
+          complete_scan: false,
+        },
+        { status: 401 }
       );
     }
 
@@ -165,30 +234,53 @@ export async function GET(request) {
     let foundResultId = null;
 
     if (resultId) {
-      result = verifiedResults.get(resultId);
+      result = await verifiedResults.get(resultId);
       foundResultId = resultId;
     } else {
       // Search by sessionId in verified results
-      for (const [id, data] of verifiedResults.entries()) {
+      for (const [id, data] of await verifiedResults.entries()) {
         if (data.sessionId === sessionId) {
           result = data;
           foundResultId = id;
           break;
         }
       }
+    }
+
+    // 🔒 CRITICAL: Reads are bound to the native app that created the session
+    const boundSessionId = result ? result.sessionId : sessionId;
+
+    const secretCheck = await checkReleaseSecret(request, boundSessionId, releaseSecret, boundSessionId || resultId);
+    if (secretCheck.lockedResponse) return secretCheck.lockedResponse;
+    if (!secretCheck.valid) {
+      await recordAuditEvent({
+        type: AUDIT_EVENTS.DATA_RELEASED,
+        sessionId: boundSessionId,
+        merchantId: result?.merchantId,
+        outcome: "denied",
+        details: { reason: "invalid_release_secret", resultId: foundResultId },
+      });
+      return NextResponse.json(
+        {
+          error: "Invalid release secret",
+          code: "RELEASE_SECRET_INVALID",
+          complete_scan: false,
+        },
+        { status: 403 }
+      );
+    }
 
-      // If not found in verified, check if still pending
-      if (!result) {
-        for (const [id, data] of pendingResults.entries()) {
-          if (data.sessionId === sessionId) {
-            console.log(`⏳ [Access Check] Session ${sessionId} pending voice verification`);
-            return NextResponse.json({
-              success: false,
-              status: "pending_voice_verification",
-              complete_scan: false, // 🔒 Android will NOT process
-              message: "Voice verification not yet completed",
-            });
-          }
+    // If not found in verified, check if still pending
+    if (!result && sessionId) {
+      for (const [, data] of await pendingResults.entries()) {
+        if (data.sessionId === sessionId) {
+          console.log(`⏳ [Access Check] Session ${sessionId} pending voice verification`);
+          return NextResponse.json({
+            success: false,
+            status: "pending_voice_verification",
+            complete_scan: false, // 🔒 Android will NOT process
+            message: "Voice verification not yet completed",
+          });
         }
       }
     }
@@ -215,11 +307,38 @@ export async function GET(request) {
       });
     }
 
+    // 🔒 CRITICAL: Apply the release policy atomically (single / N reads / time window)
+    const release = await claimRelease(verifiedResults, foundResultId);
+
+    await recordAuditEvent({
+      type: AUDIT_EVENTS.DATA_RELEASED,
+      sessionId: result.sessionId,
+      merchantId: result.merchantId,
+      outcome: release.allowed ? "granted" : "denied",
+      details: {
+        resultId: foundResultId,
+        policy: release.policy,
+        releaseCount: release.releaseCount,
+        reason: release.reason,
+      },
+    });
+
+    if (!release.allowed) {
+      console.warn(`🚫 [Access Denied] Release policy exhausted for: ${foundResultId}`);
+      return NextResponse.json(
+        {
+          error: "Scan data has already been released",
+          code: "RELEASE_EXHAUSTED",
+          complete_scan: false,
+        },
+        { status: 410 }
+      );
+    }
+
     console.log(`✅ [Access Granted] Releasing verified scan data`);
     console.log(`   └─ Result ID: ${foundResultId}`);
-    console.log(`   └─ Session: ${sessionId || result.sessionId}`);
-    console.log(`   └─ Voice verified: true`);
-    console.log(`   └─ Android can now process data`);
+    console.log(`   └─ Session: ${result.sessionId}`);
+    console.log(`   └─ Release: ${release.releaseCount} (${release.policy} policy)`);
 
     // Return the encrypted data with complete_scan flag
     const responseData = {
@@ -234,11 +353,10 @@ export async function GET(request) {
       ...result.scanData,
     };
 
-    // Optional: Uncomment to enable one-time access (delete after first read)
-    // verifiedResults.delete(foundResultId);
-    // console.log(`🗑️ [One-Time Access] Deleted result after retrieval: ${foundResultId}`);
-
-    return NextResponse.json(responseData);
+    return NextResponse.json(
+      checkResponse(secureResultReleasedResponseSchema, responseData, "secure-results-poll"),
+      { headers: { "Cache-Control": "no-store" } }
+    );
   } catch (error) {
     console.error("❌ [Access Check] Error retrieving scan results:", error);
     return NextResponse.json(
@@ -250,21 +368,37 @@ export async function GET(request) {
 
 // ============================================================================
 // DELETE: Manual cleanup (optional)
+// Only the holder of the result's session release secret may delete it
+// (X-Release-Secret header or releaseSecret query param, as for GET).
 // ============================================================================
-export async function DELETE(request) {
+async function handleDelete(request) {
   try {
-    const url = new URL(request.url);
-    const resultId = url.searchParams.get("resultId");
+    const { data: query, errorResponse } = validateQuery(request, secureResultDeleteQuerySchema);
+    if (errorResponse) return errorResponse;
+    const { resultId } = query;
+    const releaseSecret = request.headers.get("x-release-secret") || query.releaseSecret;
 
-    if (!resultId) {
+    if (!releaseSecret) {
       return NextResponse.json(
-        { error: "resultId is required" },
-        { status: 400 }
+        { error: "Release secret is required", code: "RELEASE_SECRET_REQUIRED" },
+        { status: 401 }
       );
     }
 
-    const deletedFromPending = pendingResults.delete(resultId);
-    const deletedFromVerified = verifiedResults.delete(resultId);
+    // 🔒 Deletes are bound to the session that created the result; an unknown
+    // resultId fails the secret check like a wrong secret does
+    const result = (await pendingResults.get(resultId)) || (await verifiedResults.get(resultId));
+    const secretCheck = await checkReleaseSecret(request, result?.sessionId, releaseSecret, result?.sessionId || resultId);
+    if (secretCheck.lockedResponse) return secretCheck.lockedResponse;
+    if (!secretCheck.valid) {
+      return NextResponse.json(
+        { error: "Invalid release secret", code: "RELEASE_SECRET_INVALID" },
+        { status: 403 }
+      );
+    }
+
+    const deletedFromPending = await pendingResults.delete(resultId);
+    const deletedFromVerified = await verifiedResults.delete(resultId);
 
     if (deletedFromPending || deletedFromVerified) {
       console.log(`🗑️ [Manual Delete] Result deleted: ${resultId}`);
@@ -286,3 +420,29 @@ export async function DELETE(request) {
     );
   }
 }
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: "secure-results-store",
+  ip: { capacity: 30, refillPerSecond: 0.5 },
+  maxBodyBytes: 256 * 1024,
+});
+
+export const PUT = withRateLimit(handlePut, {
+  name: "secure-results-verify",
+  ip: { capacity: 30, refillPerSecond: 0.5 },
+  maxBodyBytes: 16 * 1024,
+});
+
+export const GET = withRateLimit(handleGet, {
+  name: "secure-results-poll",
+  ip: { capacity: 120, refillPerSecond: 2 },
+  session: { capacity: 60, refillPerSecond: 1 },
+});
+
+export const DELETE = withRateLimit(handleDelete, {
+  name: "secure-results-delete",
+  ip: { capacity: 10, refillPerSecond: 0.1 },
+});
@@ -107,30 +107,19 @@
 
 // app/api/start-scan/route.js (Optional - Keep for GET request fallback)
 import { NextResponse } from 'next/server';
+import { withRateLimit } from '../../utils/rateLimit';
+import { validateBody } from '../../utils/validation';
+import { startScanSchema } from '../../utils/apiSchemas';
 
-export async function POST(request) {
+async function handlePost(request) {
   try {
-    const body = await request.json();
-    const { merchant_id, auth_token, device_info } = body;
+    // Merchant ID (at least 5 characters) and auth token are required
+    const { data, errorResponse } = await validateBody(request, startScanSchema);
+    if (errorResponse) return errorResponse;
+    const { merchant_id, auth_token } = data;
 
     console.log('📱 GET request fallback to start-scan API');
 
-    // Validate required fields
-    if (!merchant_id || !auth_token) {
-      return NextResponse.json(
-        { error: 'Merchant ID and Auth Token are required' },
-        { status: 400 }
-      );
-    }
-
-    // Validate merchant ID length
-    if (merchant_id.length < 5) {
-      return NextResponse.json(
-        { error: 'Merchant ID must be at least 5 characters' },
-        { status: 400 }
-      );
-    }
-
     // const baseUrl = process.env.NEXT_PUBLIC_BASE_URL || 'https://card-detector-react-dxf8pthne-dawood-ayubs-projects.vercel.app/';
     const redirectUrl = `${baseUrl}/securityscan?merchant_id=${encodeURIComponent(merchant_id)}&auth_token=${encodeURIComponent(auth_token)}`;
     
@@ -147,4 +136,13 @@ export async function POST(request) {
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+}
+
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: 'start-scan',
+  ip: { capacity: 10, refillPerSecond: 0.1 },
+  maxBodyBytes: 8 * 1024,
+});
@@ -2,230 +2,240 @@
 
 
 import { NextResponse } from "next/server";
+import { createSession, redeemSession } from "../../utils/sessionStore";
+import { recordAuditEvent, AUDIT_EVENTS } from "../../utils/auditLog";
+import { withRateLimit } from "../../utils/rateLimit";
+import { getServerConfig } from "../../utils/config";
+import { resolveVoiceIdentity } from "../../utils/identityResolver";
+import { validate, validateBody, validateQuery, checkResponse } from "../../utils/validation";
+import {
+  webviewEntrySchema,
+  webviewDeviceInfoSchema,
+  webviewRedeemQuerySchema,
+  sessionRedemptionResponseSchema,
+  webviewEntryResponseSchema,
+} from "../../utils/apiSchemas";
 
 // ----------------------------------------------------------------------------
-// SESSION STORAGE
+// SESSION REDIRECT
+// The redemption token is only ever handed out inside this redirect. The
+// release secret goes to the native app, never to the page: in response
+// headers of the redirect, or in the JSON body when the app asks for JSON
+// (a WebView following the redirect cannot read its headers).
 // ----------------------------------------------------------------------------
-const sessions = new Map();
+const wantsJson = (request) =>
+  (request.headers.get("accept") || "").toLowerCase().includes("application/json");
+
+const redirectToSession = (
+  { sessionId, redemptionToken, releaseSecret },
+  extraParams = "",
+  asJson = false
+) => {
+  const baseUrl = getServerConfig().webviewBaseUrl;
+  const redirectUrl = `${baseUrl}/securityscan?session=${encodeURIComponent(
+    sessionId
+  )}&token=${encodeURIComponent(redemptionToken)}&source=post${extraParams}`;
+
+  // JSON mode: the app keeps the secret, then loads the URL in the WebView itself
+  if (asJson) {
+    return NextResponse.json(
+      checkResponse(
+        webviewEntryResponseSchema,
+        { success: true, sessionId, releaseSecret, url: redirectUrl },
+        "webview-entry"
+      ),
+      { headers: { "Cache-Control": "no-store" } }
+    );
+  }
 
-const cleanupSessions = () => {
-  const tenMinutesAgo = Date.now() - 10 * 60 * 1000;
-  for (const [sessionId, session] of sessions.entries()) {
-    if (session.createdAt < tenMinutesAgo) {
-      sessions.delete(sessionId);
-    }
+  const response = NextResponse.redirect(redirectUrl, 302);
+  response.headers.set("X-Scan-Session-Id", sessionId);
+  response.headers.set("X-Scan-Release-Secret", releaseSecret);
+  response.headers.set("Cache-Control", "no-store");
+  return response;
+};
+
+// Errors go back as JSON to an app that asked for it; a WebView posting the
+// form directly is redirected to the page with the error instead
+const redirectWithError = (request, error, jsonResponse) => {
+  if (wantsJson(request)) return jsonResponse;
+  return NextResponse.redirect(
+    `${getServerConfig().webviewBaseUrl}/securityscan?error=${error}`,
+    302
+  );
+};
+
+// Device info is best-effort: when it does not validate it is logged and
+// dropped, and the session goes on without it
+const readDeviceInfo = (raw) => {
+  if (raw === undefined || raw === null || raw === "") return null;
+  const { valid, data, errors } = validate(webviewDeviceInfoSchema, raw);
+  if (!valid) {
+    console.warn("⚠️ [Validation] Dropped device_info:", errors.map((issue) => issue.path).join(", "));
+    return null;
   }
+  return data;
 };
 
 // ----------------------------------------------------------------------------
 // POST HANDLER
+// Accepts form data, urlencoded or JSON bodies (query string as a fallback).
+// The schema normalises device_Info / device_info and the ipv4 / ipv6 shapes.
 // ----------------------------------------------------------------------------
-export async function POST(request) {
+async function handlePost(request) {
   try {
-  
-
-    // 1. CLONE & READ RAW BODY
-    const requestClone = request.clone();
-    const rawBody = await requestClone.text();
-
-    // 2. EXTRACT DATA
-    let merchantId = null;
-    let authToken = null;
-    let deviceInfoRaw = null;
-
-    // Strategy A: Try FormData
-    try {
-      const formData = await request.formData();
-      merchantId = formData.get("merchant_id");
-      authToken = formData.get("auth_token");
-      deviceInfoRaw =
-        formData.get("device_info") || formData.get("device_Info");
-    } catch (e) {
-      /* Ignore */
-    }
-
-    // Strategy B: Try Raw JSON (If Android sends application/json)
-    if (!deviceInfoRaw && rawBody.trim().startsWith("{")) {
-      try {
-        const jsonData = JSON.parse(rawBody);
-        merchantId = merchantId || jsonData.merchant_id;
-        authToken = authToken || jsonData.auth_token;
-        // Handle if device_Info is passed as an Object OR a String inside JSON
-        const rawInfo = jsonData.device_info || jsonData.device_Info;
-        if (typeof rawInfo === "object") {
-          deviceInfoRaw = JSON.stringify(rawInfo);
-        } else {
-          deviceInfoRaw = rawInfo;
-        }
-      } catch (e) {
-        /* Ignore */
-      }
-    }
-
-    // Strategy C: URL Params fallback
-    if (!deviceInfoRaw && rawBody.includes("=")) {
-      const params = new URLSearchParams(rawBody);
-      merchantId = merchantId || params.get("merchant_id");
-      authToken = authToken || params.get("auth_token");
-      deviceInfoRaw = params.get("device_info") || params.get("device_Info");
-    }
+    // 1. READ & VALIDATE
+    const { data, errorResponse } = await validateBody(request, webviewEntrySchema, {
+      includeQuery: true,
+    });
+    if (errorResponse) return redirectWithError(request, "invalid_request", errorResponse);
 
-    // Strategy D: Query String
-    const urlParams = new URL(request.url).searchParams;
-    merchantId = merchantId || urlParams.get("merchant_id");
-    authToken = authToken || urlParams.get("auth_token");
-    deviceInfoRaw =
-      deviceInfoRaw ||
-      urlParams.get("device_info") ||
-      urlParams.get("device_Info");
+    const {
+      merchant_id: merchantId,
+      auth_token: authToken,
+      customer_id: customerId,
+    } = data;
+    const deviceData = readDeviceInfo(data.device_info);
 
     // 📋 LOG: Data Presence Check
     console.log("📱 Android Data:", {
-      merchant_id: merchantId ? "✅" : "❌",
-      auth_token: authToken ? "✅" : "❌",
-      device_info: deviceInfoRaw ? "✅" : "❌"
+      merchant_id: "✅",
+      auth_token: "✅",
+      customer_id: customerId ? "✅" : "❌",
+      device_info: deviceData ? "✅" : "❌"
     });
 
-    // 3. PROCESS DEVICE INFO
-    if (deviceInfoRaw && deviceInfoRaw.length > 0) {
-      try {
-        let deviceData;
-        try {
-          deviceData = JSON.parse(deviceInfoRaw);
-        } catch (e) {
-          const unescaped = deviceInfoRaw.replace(/\\"/g, '"');
-          deviceData = JSON.parse(unescaped);
-        }
-
-        // Extract phone number from SIMs
-        let phoneNumber = null;
-        if (deviceData.sims && deviceData.sims.length > 0) {
-          phoneNumber = deviceData.sims[0].sim;
-
-          console.log("📞 Phone Number Extracted:", phoneNumber);
-        }
-        
-        // Use dummy number if phoneNumber is NA, null, or empty for testing
-        if (!phoneNumber || phoneNumber === "NA" || phoneNumber.trim() === "") {
-          phoneNumber = "923020447035";
-          console.log("📞 Using dummy phone number for testing:", phoneNumber);
-        }
-
-        console.log("✅ Device Info Parsed Successfully");
-
-        // --- 🛡️ SANITIZATION START 🛡️ ---
-        // Fix: Ensure IPv4/IPv6 are arrays for Laravel
-        if (deviceData.network) {
-          if (
-            deviceData.network.ipv4 &&
-            typeof deviceData.network.ipv4 === "string"
-          ) {
-            deviceData.network.ipv4 = [deviceData.network.ipv4];
-          }
-          if (
-            deviceData.network.ipv6 &&
-            typeof deviceData.network.ipv6 === "string"
-          ) {
-            deviceData.network.ipv6 = [deviceData.network.ipv6];
-          }
-        }
-        // --- 🛡️ SANITIZATION END 🛡️ ---
-
-        // DELEGATE TO LARAVEL VIA LOCAL API
-        const sessionId = `session_${Date.now()}_${Math.random()
-          .toString(36)
-          .substring(2)}`;
-
-        const payload = {
-          DeviceId: deviceData.DeviceId,
-          merchantId: merchantId,
-          sessionId: sessionId,
-          timestamp: Date.now(),
-          device: deviceData.device,
-          network: deviceData.network,
-          sims: deviceData.sims || [],
-          location: deviceData.location || null,
-        };
-
-        // Construct URL with BasePath
-        const origin = new URL(request.url).origin;
-        const targetApiUrl = `${origin}/securityscan/api/device-info`;
-
-
-        fetch(targetApiUrl, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify(payload),
-        }).catch((err) =>
-          console.error("❌ Failed to forward to device-info:", err)
-        );
-
-        // Create Session & Redirect
-        sessions.set(sessionId, {
-          merchantId,
-          authToken,
-          phoneNumber,
-          createdAt: Date.now(),
-        });
-        cleanupSessions();
-
-        const baseUrl = "https://mobile.cardnest.io";
-        const redirectUrl = `${baseUrl}/securityscan?session=${sessionId}&source=post`;
-
-        // console.log("🚀 Redirecting WITH data to:", redirectUrl);
-        return NextResponse.redirect(redirectUrl, 302);
-      } catch (error) {
-        console.error("❌ Error parsing device info:", error);
-      }
+    // 2. RESOLVE VOICE IDENTITY (no shared fallback ID)
+    const identity = await resolveVoiceIdentity(
+      { merchantId, customerId, deviceInfo: deviceData },
+      getServerConfig().identitySources
+    );
+    if (identity.error) {
+      console.warn(`⚠️ [Identity] No voice identity from: ${identity.tried.join(", ")}`);
     } else {
-      console.warn("⚠️ WARNING: Proceeding WITHOUT Device Info");
+      console.log(`🪪 [Identity] Voice user resolved from ${identity.source}`);
     }
 
-    // 4. FALLBACK REDIRECT
-    const fallbackSessionId = `session_${Date.now()}_fallback`;
-    sessions.set(fallbackSessionId, {
+    // 3. CREATE SESSION
+    // The reported upload bandwidth seeds the frame size / quality choice in the page
+    const uploadBandwidthKbps = Number(deviceData?.network?.bandwidthKbpsUp) || null;
+    // The device model picks the camera profile (lens, torch, delays) in the page
+    const deviceModel = deviceData?.device?.model ? String(deviceData.device.model).slice(0, 64) : null;
+    const session = await createSession({
       merchantId,
       authToken,
-      phoneNumber: null,
-      createdAt: Date.now(),
+      voiceUserId: identity.voiceUserId || null,
+      legacyVoiceUserId: identity.legacyVoiceUserId || null,
+      identitySource: identity.source || null,
+      uploadBandwidthKbps,
+      deviceModel,
     });
+    const { sessionId } = session;
 
-    const baseUrl = "https://mobile.cardnest.io";
-    const redirectUrl = `${baseUrl}/securityscan?session=${fallbackSessionId}&source=post&status=missing_device_info`;
+    await recordAuditEvent({
+      type: AUDIT_EVENTS.SESSION_CREATED,
+      sessionId,
+      merchantId,
+      details: {
+        deviceInfo: Boolean(deviceData),
+        identitySource: identity.source || null,
+        identityError: identity.error || null,
+      },
+    });
+
+    // 4. DELEGATE DEVICE INFO TO LARAVEL VIA LOCAL API
+    if (deviceData) {
+      const payload = {
+        DeviceId: deviceData.DeviceId,
+        merchantId: merchantId,
+        sessionId: sessionId,
+        timestamp: Date.now(),
+        device: deviceData.device,
+        network: deviceData.network,
+        sims: deviceData.sims,
+        location: deviceData.location,
+      };
+
+      // Construct URL with BasePath
+      const origin = new URL(request.url).origin;
+      const targetApiUrl = `${origin}/securityscan/api/device-info`;
+
+      fetch(targetApiUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      }).catch((err) =>
+        console.error("❌ Failed to forward to device-info:", err)
+      );
+    } else {
+      console.warn("⚠️ WARNING: Proceeding WITHOUT Device Info");
+    }
 
-    // console.log("🚀 Redirecting (Fallback) to:", redirectUrl);
-    return NextResponse.redirect(redirectUrl, 302);
+    // 5. REDIRECT with the one-time redemption token for this session
+    let extraParams = deviceData ? "" : "&status=missing_device_info";
+    if (identity.error) extraParams += "&identity=unavailable";
+    return redirectToSession(session, extraParams, wantsJson(request));
   } catch (error) {
     console.error("💥 SERVER ERROR:", error);
-    return NextResponse.redirect(
-      "https://mobile.cardnest.io/securityscan?error=server_error",
-      302
+    return redirectWithError(
+      request,
+      "server_error",
+      NextResponse.json({ success: false, error: "server_error" }, { status: 500 })
     );
   }
 }
 
 // GET HANDLER
-export async function GET(request) {
-  const url = new URL(request.url);
-  const sessionId = url.searchParams.get("session");
-
-  if (!sessionId)
-    return NextResponse.json({ error: "Session ID required" }, { status: 400 });
-
-  const session = sessions.get(sessionId);
-  if (!session)
+// Redeems a session exactly once using the token from the redirect URL
+async function handleGet(request) {
+  const { data: query, errorResponse } = validateQuery(request, webviewRedeemQuerySchema);
+  if (errorResponse) return errorResponse;
+  const { session: sessionId, token: redemptionToken } = query;
+
+  const { session, error, status } = await redeemSession(
+    sessionId,
+    redemptionToken
+  );
+
+  await recordAuditEvent({
+    type: AUDIT_EVENTS.SESSION_REDEEMED,
+    sessionId,
+    merchantId: session?.merchantId,
+    outcome: error ? "failure" : "success",
+    details: error ? { code: error } : {},
+  });
+
+  if (error) {
+    console.warn(`⚠️ [Session] Redemption rejected (${error})`);
     return NextResponse.json(
-      { error: "Invalid or expired session" },
-      { status: 404 }
+      { error: "Session could not be redeemed", code: error },
+      { status }
     );
+  }
 
-  sessions.delete(sessionId);
-  return NextResponse.json({ ...session, success: true });
+  return NextResponse.json(
+    checkResponse(sessionRedemptionResponseSchema, { ...session, success: true }, "webview-redeem")
+  );
 }
 
 
 
 
+// ----------------------------------------------------------------------------
+// RATE LIMITS
+// ----------------------------------------------------------------------------
+export const POST = withRateLimit(handlePost, {
+  name: "webview-entry",
+  ip: { capacity: 20, refillPerSecond: 0.2 },
+  maxBodyBytes: 64 * 1024,
+});
+
+export const GET = withRateLimit(handleGet, {
+  name: "webview-redeem",
+  ip: { capacity: 30, refillPerSecond: 0.5 },
+  session: { capacity: 5, refillPerSecond: 0.05 },
+});
+
 // SAMPLE PAYLOAD FROM ANDROID APP
 //  {
 
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Focus, Sun, ZoomIn, Minus, Plus, RotateCcw } from 'lucide-react';
+
+// One setting of the strip: icon, - / value / +
+const Stepper = ({ icon, label, value, onDecrease, onIncrease, decreaseDisabled, increaseDisabled }) => (
+  <div className="flex items-center gap-1 bg-white/10 rounded-full px-1 py-0.5" aria-label={label}>
+    <button
+      type="button"
+      onClick={onDecrease}
+      disabled={decreaseDisabled}
+      className="p-1 rounded-full text-white disabled:opacity-30"
+      aria-label={`${label} down`}
+    >
+      <Minus className="w-3 h-3" />
+    </button>
+    <span className="flex items-center gap-1 text-[11px] text-white tabular-nums min-w-[3.25rem] justify-center">
+      {icon}
+      {value}
+    </span>
+    <button
+      type="button"
+      onClick={onIncrease}
+      disabled={increaseDisabled}
+      className="p-1 rounded-full text-white disabled:opacity-30"
+      aria-label={`${label} up`}
+    >
+      <Plus className="w-3 h-3" />
+    </button>
+  </div>
+);
+
+// Zoom, exposure and focus of the camera, for what the track supports (cameraControls.js)
+const CameraControlStrip = ({ controls, onZoomChange, onExposureChange, onAutoFocus, onReset }) => {
+  if (!controls?.available) return null;
+  const { zoom, exposure, focus, sweeping } = controls;
+  const focusLocked = focus.mode && focus.mode !== 'continuous';
+  const formatExposure = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)}`;
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center justify-center gap-2 bg-black/80 rounded-lg px-2 py-1.5">
+      {zoom && (
+        <Stepper
+          icon={<ZoomIn className="w-3 h-3" />}
+          label="Zoom"
+          value={`${zoom.value.toFixed(1)}×`}
+          onDecrease={() => onZoomChange(zoom.value - zoom.step)}
+          onIncrease={() => onZoomChange(zoom.value + zoom.step)}
+          decreaseDisabled={zoom.value <= zoom.min}
+          increaseDisabled={zoom.value >= zoom.max}
+        />
+      )}
+
+      {exposure && (
+        <Stepper
+          icon={<Sun className={`w-3 h-3 ${sweeping ? 'animate-spin' : ''}`} />}
+          label="Exposure"
+          value={formatExposure(exposure.value)}
+          onDecrease={() => onExposureChange(exposure.value - exposure.step)}
+          onIncrease={() => onExposureChange(exposure.value + exposure.step)}
+          decreaseDisabled={sweeping || exposure.value <= exposure.min}
+          increaseDisabled={sweeping || exposure.value >= exposure.max}
+        />
+      )}
+
+      {focus.modes.includes('continuous') && (
+        <button
+          type="button"
+          onClick={onAutoFocus}
+          disabled={!focusLocked}
+          className={`flex items-center gap-1 rounded-full px-2 py-1 text-[11px] ${
+            focusLocked ? 'bg-yellow-400 text-black' : 'bg-white/10 text-white'
+          }`}
+        >
+          <Focus className="w-3 h-3" />
+          {focusLocked ? 'Focus locked' : 'Auto focus'}
+        </button>
+      )}
+
+      <button
+        type="button"
+        onClick={onReset}
+        disabled={sweeping}
+        className="p-1.5 rounded-full bg-white/10 text-white disabled:opacity-30"
+        aria-label="Reset camera settings"
+      >
+        <RotateCcw className="w-3 h-3" />
+      </button>
+    </div>
+  );
+};
+
+export default CameraControlStrip;
@@ -1,4 +1,8 @@
 import React, { useState, useEffect } from "react";
+import MovementIndicator from "./Movement";
+import CameraControlStrip from "./CameraControlStrip";
+import { CROP_PADDING } from "../utils/CameraUtils";
+import { framePointFromTap } from "../utils/cameraControls";
 
 const CameraView = ({
   videoRef,
@@ -12,8 +16,23 @@ const CameraView = ({
   promptText,
   capturedImage, // Add captured image prop
   showCaptureSuccessMessage, // Add prop to control success message display
+  qualityHint, // { code, message } while scan frames fail the quality gate
+  waitingForConnection, // true while the scan is paused offline
+  cameraRecovering, // true while the camera stream is being reopened
+  livenessActive, // true while the user should tilt the card (screen check without flashlight)
+  alignment, // { active, quad, guidance, stableFrames } from useCardAlignment
+  cameraControls, // focus / exposure / zoom state from cameraControls.js, null before the camera opens
+  cameraControlActions, // the camera controls object: focusAt, setZoom, setExposure, autoFocus, reset
 }) => {
   const [showMotionPrompt, setShowMotionPrompt] = useState(false);
+  const [focusMarker, setFocusMarker] = useState(null); // { left, top } of the last tap-to-focus
+
+  // Hide the tap-to-focus ring shortly after the tap
+  useEffect(() => {
+    if (!focusMarker) return;
+    const timer = setTimeout(() => setFocusMarker(null), 1000);
+    return () => clearTimeout(timer);
+  }, [focusMarker]);
   const [motionPromptShown, setMotionPromptShown] = useState(false);
   const [showInitialPrompt, setShowInitialPrompt] = useState(true);
 
@@ -69,19 +88,25 @@ const CameraView = ({
       case "idle":
         return 'Carefully read our guidelines or recommendation information for better scanning.';
       case "front-countdown":
-        return `Get ready to scan front side... ${countdown}`;
+        return countdown > 0
+          ? `Get ready to scan front side... ${countdown}`
+          : "Line up the front side with the frame - the scan starts automatically";
       case "front":
         return "Keep front side in the frame. While Processing...";
       case "ready-for-back":
         return 'Turn to the backside and start scanning card';
       case "back-countdown":
-        return `Get ready to scan back side... ${countdown}`;
+        return countdown > 0
+          ? `Get ready to scan back side... ${countdown}`
+          : "Line up the back side with the frame - the scan starts automatically";
       case "back":
         return "Keep Back side in the frame. While Processing...";
       case "results":
         return "Thank you, your card Scan is completed successfully";
       case "error":
         return "";
+      case "card-invalid":
+        return "Get ready to rescan the front side of your card";
       case "max-attempts-reached":
         return "Maximum attempts reached. Please contact support.";
       default:
@@ -96,6 +121,25 @@ const CameraView = ({
     currentPhase === 'back'
   );
 
+  // Live card alignment before capture: corners turn green once the card is in place
+  const showAlignment = alignment?.active && countdown === 0;
+  const cardAligned = showAlignment && alignment.guidance.state === 'ALIGNED';
+  const cornerColor = cardAligned ? 'bg-green-400' : 'bg-white';
+
+  // Tap-to-focus on the live video (not on the captured still shown while scanning)
+  const canTapToFocus = cameraControls?.available &&
+    (cameraControls.focus.pointsOfInterest || cameraControls.focus.modes.includes('single-shot')) &&
+    !(capturedImage && (currentPhase === 'front' || currentPhase === 'back'));
+
+  const handleFocusTap = (event) => {
+    if (!canTapToFocus || !cameraControlActions) return;
+    const point = framePointFromTap(videoRef.current, event.clientX, event.clientY);
+    if (!point) return;
+    const bounds = event.currentTarget.getBoundingClientRect();
+    setFocusMarker({ left: event.clientX - bounds.left, top: event.clientY - bounds.top });
+    cameraControlActions.focusAt(point);
+  };
+
   // Don't render camera view if we're in results phase
   if (currentPhase === 'results') {
     return (
@@ -127,7 +171,7 @@ const CameraView = ({
 
   return (
     <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
-      <div className="relative overflow-hidden">
+      <div className="relative overflow-hidden" onClick={handleFocusTap}>
         {/* Camera Video - ALWAYS visible to maintain dimensions for cropping */}
         <video
           ref={videoRef}
@@ -175,6 +219,14 @@ const CameraView = ({
           </div>
         )}
 
+        {/* Tap-to-focus Ring */}
+        {focusMarker && (
+          <div
+            className="absolute w-12 h-12 -ml-6 -mt-6 border-2 border-yellow-400 rounded-full pointer-events-none z-20 animate-ping"
+            style={{ left: focusMarker.left, top: focusMarker.top }}
+          />
+        )}
+
         {/* Hidden Canvas - ALWAYS rendered to keep ref valid */}
         <canvas ref={canvasRef} className="hidden" />
 
@@ -182,14 +234,37 @@ const CameraView = ({
         <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-10">
           <div id="card-border-frame" className="relative w-3/4 h-3/4">
             {/* 4 Corner Borders (thinner) */}
-            <div className="absolute top-0 left-0 w-6 h-1 bg-white" />
-            <div className="absolute top-0 left-0 w-1 h-6 bg-white" />
-            <div className="absolute top-0 right-0 w-6 h-1 bg-white" />
-            <div className="absolute top-0 right-0 w-1 h-6 bg-white" />
-            <div className="absolute bottom-0 left-0 w-6 h-1 bg-white" />
-            <div className="absolute bottom-0 left-0 w-1 h-6 bg-white" />
-            <div className="absolute bottom-0 right-0 w-6 h-1 bg-white" />
-            <div className="absolute bottom-0 right-0 w-1 h-6 bg-white" />
+            <div className={`absolute top-0 left-0 w-6 h-1 ${cornerColor}`} />
+            <div className={`absolute top-0 left-0 w-1 h-6 ${cornerColor}`} />
+            <div className={`absolute top-0 right-0 w-6 h-1 ${cornerColor}`} />
+            <div className={`absolute top-0 right-0 w-1 h-6 ${cornerColor}`} />
+            <div className={`absolute bottom-0 left-0 w-6 h-1 ${cornerColor}`} />
+            <div className={`absolute bottom-0 left-0 w-1 h-6 ${cornerColor}`} />
+            <div className={`absolute bottom-0 right-0 w-6 h-1 ${cornerColor}`} />
+            <div className={`absolute bottom-0 right-0 w-1 h-6 ${cornerColor}`} />
+
+            {/* Detected card outline - drawn over the cropped area the detector sees */}
+            {showAlignment && alignment.quad && (
+              <svg
+                className="absolute overflow-visible"
+                style={{
+                  left: `${-CROP_PADDING * 100}%`,
+                  top: `${-CROP_PADDING * 100}%`,
+                  width: `${(1 + 2 * CROP_PADDING) * 100}%`,
+                  height: `${(1 + 2 * CROP_PADDING) * 100}%`,
+                }}
+                viewBox="0 0 1 1"
+                preserveAspectRatio="none"
+              >
+                <polygon
+                  points={alignment.quad.corners.map(({ x, y }) => `${x},${y}`).join(' ')}
+                  fill="none"
+                  stroke={cardAligned ? '#4ade80' : '#fbbf24'}
+                  strokeWidth="2"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            )}
           </div>
         </div>
 
@@ -267,6 +342,75 @@ const CameraView = ({
           </div>
         )}
 
+        {/* Alignment Guidance - arrows from the live edge detector until capture starts */}
+        {showAlignment && (
+          <div className="absolute inset-0 pointer-events-none z-20">
+            <MovementIndicator
+              movementState={alignment.guidance.state}
+              movementMessage={alignment.guidance.message}
+            />
+          </div>
+        )}
+
+        {/* Camera Recovery - the stream dropped and is being reopened; the scan waits */}
+        {cameraRecovering && (
+          <div className="absolute bottom-4 left-4 right-4 z-30 pointer-events-none">
+            <div className="bg-black/90 backdrop-blur-sm rounded-lg p-3 text-center shadow-lg border-2 border-blue-500">
+              <div className="flex items-center justify-center gap-2 text-blue-400 text-[14px] font-semibold mb-1">
+                <div className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></div>
+                Reconnecting camera
+              </div>
+              <div className="text-gray-100 text-[12px] leading-relaxed">
+                Your scan will continue as soon as the camera is back
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Tilt Prompt - no flashlight on this device, so the card is tilted for the screen check */}
+        {livenessActive && !cameraRecovering && (
+          <div className="absolute bottom-4 left-4 right-4 z-30 pointer-events-none">
+            <div className="bg-black/90 backdrop-blur-sm rounded-lg p-3 text-center shadow-lg border-2 border-blue-500">
+              <div className="flex items-center justify-center gap-2 text-blue-400 text-[14px] font-semibold mb-1">
+                <div className="w-5 h-3 border-2 border-blue-400 rounded-sm animate-card-tilt"></div>
+                Tilt your card slowly
+              </div>
+              <div className="text-gray-100 text-[12px] leading-relaxed">
+                Keep the card in the frame and tilt it back and forth so the light moves across it
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Connection Banner - the scan is paused until the device is back online */}
+        {waitingForConnection && !cameraRecovering && detectionActive && (
+          <div className="absolute bottom-4 left-4 right-4 z-30 pointer-events-none">
+            <div className="bg-black/90 backdrop-blur-sm rounded-lg p-3 text-center shadow-lg border-2 border-blue-500">
+              <div className="flex items-center justify-center gap-2 text-blue-400 text-[14px] font-semibold mb-1">
+                <div className="w-3 h-3 border-2 border-blue-400 border-t-transparent rounded-full animate-spin"></div>
+                Waiting for connection
+              </div>
+              <div className="text-gray-100 text-[12px] leading-relaxed">
+                Your scan will continue as soon as you are back online
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Frame Quality Hint - what to fix while frames are rejected before upload */}
+        {qualityHint && !waitingForConnection && !cameraRecovering && detectionActive && (currentPhase === 'front' || currentPhase === 'back') && (
+          <div className="absolute bottom-4 left-4 right-4 z-30 pointer-events-none">
+            <div className="bg-black/90 backdrop-blur-sm rounded-lg p-3 text-center shadow-lg border-2 border-amber-500">
+              <div className="text-amber-400 text-[14px] font-semibold mb-1">
+                Adjust for a clearer picture
+              </div>
+              <div className="text-gray-100 text-[12px] leading-relaxed">
+                {qualityHint.message}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Motion Progress Prompt - Show when motion_progress is "1/2" for 3 seconds */}
        
 {showMotionPrompt && (
@@ -323,6 +467,17 @@ const CameraView = ({
 
       </div>
 
+      {/* Camera Control Strip - zoom, exposure and focus where the camera supports them */}
+      {cameraControlActions && (
+        <CameraControlStrip
+          controls={cameraControls}
+          onZoomChange={cameraControlActions.setZoom}
+          onExposureChange={cameraControlActions.setExposure}
+          onAutoFocus={cameraControlActions.autoFocus}
+          onReset={cameraControlActions.reset}
+        />
+      )}
+
       {/* Phase Instructions */}
       <div className="mt-4 text-center">
         <p className="text-lg font-medium text-gray-800">
@@ -375,6 +530,20 @@ const CameraView = ({
           }
         }
 
+        @keyframes card-tilt {
+          0%,
+          100% {
+            transform: perspective(40px) rotateY(-25deg);
+          }
+          50% {
+            transform: perspective(40px) rotateY(25deg);
+          }
+        }
+
+        .animate-card-tilt {
+          animation: card-tilt 1.5s ease-in-out infinite;
+        }
+
         .animate-scan-vertical {
           animation: scan-vertical 3s ease-in-out infinite;
         }
@@ -13,6 +13,8 @@ const ControlPanel = ({
   onTryAgain,
   onStartOver,
   onFakeCardRetry,
+  onRescan,
+  cardValidation,
   fakeCardDetectedPhase,
   frontScanState,
   countdown,
@@ -35,7 +37,7 @@ const ControlPanel = ({
 
   // Show regular results
   if (currentPhase === 'results' && finalOcrResults?.final_ocr) {
-    return <DetectionResults finalOcrResults={finalOcrResults} onReset={onReset} />;
+    return <DetectionResults finalOcrResults={finalOcrResults} cardCheck={cardValidation} onReset={onReset} />;
   }
 
   // Show results if detection is complete (fallback from file 2)
@@ -43,6 +45,7 @@ const ControlPanel = ({
     return (
       <DetectionResults 
         finalOcrResults={finalOcrResults} 
+        cardCheck={cardValidation}
         onReset={onReset} 
       />
     );
@@ -153,6 +156,42 @@ const ControlPanel = ({
     );
   }
 
+  // Card details failed validation - page.js rescans automatically
+  if (currentPhase === 'card-invalid') {
+    const errors = cardValidation?.issues.filter(({ severity }) => severity === 'error') || [];
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-4 sm:p-6">
+        <div className="text-center">
+          <h3 className="text-lg sm:text-xl font-semibold text-red-600 mb-2">Card Details Could Not Be Verified</h3>
+          <ul className="text-left bg-red-50 border border-red-200 rounded-lg p-3 mb-4 space-y-1">
+            {errors.map(({ code, message }) => (
+              <li key={code} className="text-red-700 text-sm">
+                {message}
+              </li>
+            ))}
+          </ul>
+
+          <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 mb-4">
+            <p className="text-orange-600 text-sm">
+              Attempt {attemptCount} of {maxAttempts}
+            </p>
+            <div className="flex items-center justify-center space-x-2 text-sm text-gray-700 mt-1">
+              <div className="w-4 h-4 border-2 border-orange-500 border-t-transparent rounded-full animate-spin"></div>
+              <span>Rescanning your card automatically...</span>
+            </div>
+          </div>
+
+          <button
+            onClick={onRescan}
+            className="bg-orange-600 hover:bg-orange-700 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+          >
+            Rescan Now
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // Max attempts reached (enhanced from both files)
   if (currentPhase === 'max-attempts-reached') {
     return (
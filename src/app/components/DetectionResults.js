@@ -1,6 +1,8 @@
 import React from "react";
+import { displayPan } from "../utils/displayPolicy";
+import JsonResponseViewer from "./JsonFormate";
 
-const DetectionResults = ({ finalOcrResults, onReset }) => {
+const DetectionResults = ({ finalOcrResults, cardCheck, onReset }) => {
   if (!finalOcrResults) return null;
 
   const {
@@ -15,6 +17,10 @@ const DetectionResults = ({ finalOcrResults, onReset }) => {
     symmetry,
   } = finalOcrResults;
 
+  // Results only get here once the card details passed (cardCheck from the scan
+  // engine); warnings are still shown
+  const warnings = cardCheck?.issues.filter(({ severity }) => severity === "warning") || [];
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-1 sm:p-6 max-w-4xl mx-auto">
       <h2 className="text-2xl sm:text-3xl font-bold text-center my-4 sm:my-7 text-green-600">
@@ -51,8 +57,13 @@ const DetectionResults = ({ finalOcrResults, onReset }) => {
                 </span>
                 <div className="text-left sm:text-right">
                   <div className="font-mono text-sm sm:text-base">
-                    {final_ocr.card_number.value}
+                    {displayPan(final_ocr.card_number.value)}
                   </div>
+                  {cardCheck.checked && cardCheck.valid && (
+                    <div className="text-xs sm:text-sm text-green-600">
+                      {cardCheck.schemeName ? `${cardCheck.schemeName} · ` : ""}Checksum verified
+                    </div>
+                  )}
                   {/* <div className="text-xs sm:text-sm text-gray-500">
                     Confidence: {Math.round(final_ocr.card_number.confidence * 100)}%
                   </div> */}
@@ -92,6 +103,14 @@ const DetectionResults = ({ finalOcrResults, onReset }) => {
               </div>
             )}
           </div>
+
+          {warnings.length > 0 && (
+            <div className="mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+              {warnings.map(({ code, message }) => (
+                <div key={code}>{message}</div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
@@ -99,7 +118,7 @@ const DetectionResults = ({ finalOcrResults, onReset }) => {
 
       {/* Raw JSON Response Viewer */}
 
-      {/* <JsonResponseViewer data={finalOcrResults} />  */}
+      <JsonResponseViewer data={finalOcrResults} />
 
       {/* <div className="text-center my-4">
         <button
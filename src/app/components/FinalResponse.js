@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
+import { isDebugViewsEnabled } from '../utils/displayPolicy';
 
 const FinalResponse = ({ finalResponse, onReset }) => {
   const [showEncryptedData, setShowEncryptedData] = useState(false);
+  // The encrypted payload and clipboard copy are for debugging only
+  const debugViews = isDebugViewsEnabled();
 
   if (!finalResponse || !finalResponse.encrypted_card_data) {
     return null;
@@ -86,52 +89,54 @@ const FinalResponse = ({ finalResponse, onReset }) => {
         </div>
       </div> */}
 
-      {/* Encrypted Data Section */}
-      {/* <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
-        <div className="flex items-center justify-between mb-3">
-          <h3 className="text-lg font-semibold text-gray-800">🔒 Encrypted Card Data</h3>
-          <button
-            onClick={() => setShowEncryptedData(!showEncryptedData)}
-            className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded text-sm transition-colors"
-          >
-            {showEncryptedData ? 'Hide' : 'Show'} Data
-          </button>
-        </div>
-        
-        <div className="bg-gray-100 rounded p-3 mb-3">
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
-            <div>
-              <span className="font-medium text-gray-600">Algorithm:</span>
-              <span className="text-gray-800 ml-1">AES-256-Fernet</span>
-            </div>
-            <div>
-              <span className="font-medium text-gray-600">Format:</span>
-              <span className="text-gray-800 ml-1">Base64 URL-Safe</span>
-            </div>
-            <div>
-              <span className="font-medium text-gray-600">Size:</span>
-              <span className="text-gray-800 ml-1">{finalResponse.encrypted_card_data.length} bytes</span>
-            </div>
+      {/* Encrypted Data Section (debug builds only) */}
+      {debugViews && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-lg font-semibold text-gray-800">🔒 Encrypted Card Data</h3>
+            <button
+              onClick={() => setShowEncryptedData(!showEncryptedData)}
+              className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded text-sm transition-colors"
+            >
+              {showEncryptedData ? 'Hide' : 'Show'} Data
+            </button>
           </div>
-        </div>
 
-        {showEncryptedData && (
-          <div className="bg-black rounded p-3">
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-green-400 text-xs font-mono">Encrypted Payload:</span>
-              <button
-                onClick={() => copyToClipboard(finalResponse.encrypted_card_data)}
-                className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded text-xs"
-              >
-                Copy
-              </button>
+          <div className="bg-gray-100 rounded p-3 mb-3">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
+              <div>
+                <span className="font-medium text-gray-600">Algorithm:</span>
+                <span className="text-gray-800 ml-1">AES-256-Fernet</span>
+              </div>
+              <div>
+                <span className="font-medium text-gray-600">Format:</span>
+                <span className="text-gray-800 ml-1">Base64 URL-Safe</span>
+              </div>
+              <div>
+                <span className="font-medium text-gray-600">Size:</span>
+                <span className="text-gray-800 ml-1">{finalResponse.encrypted_card_data.length} bytes</span>
+              </div>
             </div>
-            <pre className="text-green-400 text-xs font-mono break-all whitespace-pre-wrap max-h-40 overflow-y-auto">
-              {finalResponse.encrypted_card_data}
-            </pre>
           </div>
-        )}
-      </div> */}
+
+          {showEncryptedData && (
+            <div className="bg-black rounded p-3">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-green-400 text-xs font-mono">Encrypted Payload:</span>
+                <button
+                  onClick={() => copyToClipboard(finalResponse.encrypted_card_data)}
+                  className="bg-gray-700 hover:bg-gray-600 text-white px-2 py-1 rounded text-xs"
+                >
+                  Copy
+                </button>
+              </div>
+              <pre className="text-green-400 text-xs font-mono break-all whitespace-pre-wrap max-h-40 overflow-y-auto">
+                {finalResponse.encrypted_card_data}
+              </pre>
+            </div>
+          )}
+        </div>
+      )}
 
       {/* Security Notice */}
       {/* <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
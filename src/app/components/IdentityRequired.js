@@ -0,0 +1,100 @@
+"use client";
+import React, { useState } from "react";
+import { resolveVoiceIdentity } from "../utils/identityResolver";
+import { checkVoiceEnrollment } from "../utils/apiService";
+
+// Shown instead of voice verification when the app could not supply an
+// identity (no customer ID, SIM number or device ID). The user can enter
+// their mobile number, or go back to the app and start again.
+// Nothing proves the number is theirs, so it is only accepted when it already
+// has a voice enrollment, and the page then verifies against it (never registers).
+const IdentityRequired = ({ isOpen, merchantId, onResolved }) => {
+  const [mobileNumber, setMobileNumber] = useState("");
+  const [error, setError] = useState("");
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setIsChecking(true);
+    setError("");
+
+    const identity = await resolveVoiceIdentity(
+      { merchantId, manualPhoneNumber: mobileNumber },
+      ["manual"]
+    );
+
+    if (identity.error) {
+      setIsChecking(false);
+      setError("Please enter your full mobile number, including the country code.");
+      return;
+    }
+
+    const enrolled = await checkVoiceEnrollment(identity.voiceUserId);
+    setIsChecking(false);
+    if (enrolled === null) {
+      setError("We couldn't check this number right now. Please try again.");
+      return;
+    }
+    if (!enrolled) {
+      setError("This number has no voice enrollment. Go back to the app and start the scan from your account to enroll.");
+      return;
+    }
+    onResolved(identity);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+        <div className="text-center mb-6">
+          <div className="w-12 h-12 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <span className="text-yellow-600 text-2xl">🪪</span>
+          </div>
+          <h3 className="text-xl font-bold text-gray-900 mb-2">
+            We couldn&apos;t identify your account
+          </h3>
+          <p className="text-gray-600 text-sm">
+            Your phone did not share a SIM number or account ID, so we can&apos;t
+            link voice verification to you automatically.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-700 text-sm text-center">{error}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label className="block text-sm font-medium text-gray-700" htmlFor="identity-mobile">
+            Mobile number
+          </label>
+          <input
+            id="identity-mobile"
+            type="tel"
+            inputMode="tel"
+            autoComplete="tel"
+            placeholder="+971 55 123 4567"
+            value={mobileNumber}
+            onChange={(event) => setMobileNumber(event.target.value)}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-900 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={isChecking || mobileNumber.trim() === ""}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white px-4 py-3 rounded-lg text-sm font-medium"
+          >
+            {isChecking ? "Checking..." : "Continue with this number"}
+          </button>
+        </form>
+
+        <p className="text-gray-500 text-xs text-center mt-4">
+          Or go back to the app and start the scan again from your account.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default IdentityRequired;
@@ -1,7 +1,9 @@
 import React from 'react';
+import { isDebugViewsEnabled } from '../utils/displayPolicy';
 
 const JsonResponseViewer = ({ data }) => {
-  if (!data) return null;
+  // Raw responses carry the full card details: debug builds only
+  if (!data || !isDebugViewsEnabled()) return null;
 
   return (
     <div className="mt-8 bg-gray-800 rounded-lg shadow-lg overflow-hidden">
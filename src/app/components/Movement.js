@@ -1,5 +1,5 @@
 import React from 'react';
-import { CheckCircle, ArrowUp, ArrowDown, ArrowLeft, ArrowRight } from 'lucide-react';
+import { CheckCircle, ArrowUp, ArrowDown, ArrowLeft, ArrowRight, ZoomIn, ZoomOut, ScanLine } from 'lucide-react';
 
 const MovementIndicator = ({ movementState, movementMessage }) => {
   const getMovementIcon = () => {
@@ -12,6 +12,12 @@ const MovementIndicator = ({ movementState, movementMessage }) => {
         return <ArrowLeft className="w-8 h-8 sm:w-12 sm:h-12 text-blue-400 animate-pulse" />;
       case 'MOVE_RIGHT':
         return <ArrowRight className="w-8 h-8 sm:w-12 sm:h-12 text-blue-400 animate-pulse" />;
+      case 'MOVE_CLOSER':
+        return <ZoomIn className="w-8 h-8 sm:w-12 sm:h-12 text-blue-400 animate-pulse" />;
+      case 'MOVE_AWAY':
+        return <ZoomOut className="w-8 h-8 sm:w-12 sm:h-12 text-blue-400 animate-pulse" />;
+      case 'NO_CARD':
+        return <ScanLine className="w-8 h-8 sm:w-12 sm:h-12 text-gray-300 animate-pulse" />;
       default:
         return <CheckCircle className="w-8 h-8 sm:w-12 sm:h-12 text-green-400" />;
     }
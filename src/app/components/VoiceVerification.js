@@ -1,11 +1,13 @@
 "use client";
 import React, { useState, useRef, useEffect } from "react";
+import { getPublicConfig } from "../utils/config";
 
 const VoiceVerification = ({ 
   isOpen, 
   onClose, 
-  phoneNumber, 
+  userId, // Voice user ID from identity resolution
   merchantId,
+  sessionId, // Webview session, bound into the voice service's assertion
   onSuccess,
   mode = "register" // "register" or "verify"
 }) => {
@@ -61,7 +63,7 @@ const VoiceVerification = ({
         userAgent: navigator.userAgent,
         mediaDevices: !!navigator.mediaDevices,
         getUserMedia: !!navigator.mediaDevices?.getUserMedia,
-        phoneNumber: phoneNumber ? "present" : "missing",
+        userId: userId ? "present" : "missing",
         merchantId: merchantId || "missing"
       };
       
@@ -389,9 +391,12 @@ const VoiceVerification = ({
       return;
     }
 
-    // Use dummy phone if missing
-    const userId = phoneNumber || "923020447035";
-    if (!phoneNumber) logToAndroid("Using dummy phone number for testing", { user_id: userId });
+    // Never enroll or verify without a resolved identity
+    if (!userId) {
+      setError("We couldn't identify your account. Please start the scan again from the app.");
+      logToAndroid("Submit blocked: no voice identity resolved");
+      return;
+    }
 
     setIsSubmitting(true);
     setError("");
@@ -400,6 +405,7 @@ const VoiceVerification = ({
       const formData = new FormData();
       formData.append("user_id", userId);
       formData.append("merchant_id", merchantId);
+      if (sessionId) formData.append("session_id", sessionId);
 
       
 
@@ -422,9 +428,10 @@ const VoiceVerification = ({
 
 
 
+      const { apiUrl } = getPublicConfig();
       const apiEndpoint = mode === "verify" 
-        ? `${process.env.NEXT_PUBLIC_API_URL}/voice/verify`
-        : `${process.env.NEXT_PUBLIC_API_URL}/voice/register`;
+        ? `${apiUrl}/voice/verify`
+        : `${apiUrl}/voice/register`;
 
         //   const apiEndpoint = mode === "verify" 
         // ? `https://api.cardnest.io/voice/verify`
@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from 'react';
+import { drawCroppedFrame } from '../utils/CameraUtils';
+import { detectCardQuad, getCardGuidance, isQuadSteady, MOVEMENT_STATES } from '../utils/cardDetector';
+
+// Detection runs on downscaled frames, so ~8 per second stays cheap
+const DETECT_INTERVAL_MS = 120;
+// Consecutive aligned, steady detections before capture fires (~0.7s)
+export const STABLE_FRAMES_REQUIRED = 6;
+
+const IDLE_ALIGNMENT = {
+  quad: null,
+  guidance: { state: MOVEMENT_STATES.NO_CARD, message: '' },
+  stableFrames: 0,
+};
+
+// Custom hook for live card alignment
+// While active, tracks the card outline in the video and calls onAligned once
+// the card has sat aligned and still for STABLE_FRAMES_REQUIRED detections
+export const useCardAlignment = ({ videoRef, active, onAligned }) => {
+  const [alignment, setAlignment] = useState(IDLE_ALIGNMENT);
+  const onAlignedRef = useRef(onAligned);
+  onAlignedRef.current = onAligned;
+
+  useEffect(() => {
+    if (!active) {
+      setAlignment(IDLE_ALIGNMENT);
+      return undefined;
+    }
+
+    const canvas = document.createElement('canvas');
+    let previousQuad = null;
+    let stableFrames = 0;
+    let fired = false;
+
+    const detect = () => {
+      if (fired) return;
+
+      let quad = null;
+      try {
+        drawCroppedFrame(videoRef, canvas);
+        quad = detectCardQuad(canvas);
+      } catch (error) {
+        // Video not ready yet (e.g. right after the flashlight toggles)
+        console.warn(`⚠️ [Alignment] Frame unavailable: ${error.message}`);
+      }
+
+      const guidance = getCardGuidance(quad);
+      const steady = guidance.state === MOVEMENT_STATES.ALIGNED && isQuadSteady(previousQuad, quad);
+      stableFrames = steady ? stableFrames + 1 : 0;
+      previousQuad = quad;
+      setAlignment({ quad, guidance, stableFrames });
+
+      if (stableFrames >= STABLE_FRAMES_REQUIRED) {
+        fired = true;
+        clearInterval(intervalId);
+        console.log('🎯 [Alignment] Card aligned and steady - capturing');
+        if (onAlignedRef.current) onAlignedRef.current();
+      }
+    };
+
+    const intervalId = setInterval(detect, DETECT_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [active, videoRef]);
+
+  return alignment;
+};
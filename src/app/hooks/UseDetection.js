@@ -1,69 +1,143 @@
 import { useRef } from 'react';
-import { captureAndSendFramesFront as frontSideDetection } from './captureFrontSide';
-import { captureAndSendFrames as backSideDetection } from './captureBackSide';
+import { createScanEngine, SCAN_EVENTS } from '../utils/scanEngine';
+import { SCAN_PROFILES } from '../utils/scanProfiles';
+import { getActiveCameraProfile } from '../utils/cameraProfiles';
 
 // Custom hook for detection logic
-// This hook wraps the front and back side detection functions
-export const useDetection = (
+// Runs the scan engine for one side and maps its events onto page state
+export const useDetection = ({
   videoRef,
   canvasRef,
   sessionId,
-  setSessionId,
+  stopRequestedRef,
   setIsProcessing,
   setCurrentPhase,
   setErrorMessage,
   setFrontScanState,
-  stopRequestedRef,
-  handleDetectionFailure, // Add this parameter for validation failures
-  disableFlashlight, // Add this parameter to control flashlight
-  onImageCaptured // Add callback to pass captured image immediately
-) => {
-  const captureIntervalRef = useRef(null);
-
-  // Wrapper for front side detection
-  const captureAndSendFramesFront = async (phase, providedSessionId = null, enableFlashlight = null, onFramesCaptured = null) => {
-    return frontSideDetection(
+  setQualityHint, // receives { code, message } while frames fail the quality gate, then null
+  setWaitingForConnection, // receives true while the scan is paused offline
+  setLivenessActive, // receives true while the user should tilt the card (no flashlight)
+  disableFlashlight,
+  onImageCaptured, // receives the scan frame as soon as it is captured
+}) => {
+  const scanEngineRef = useRef(null);
+
+  /**
+   * Scan one side of the card
+   * @param {string} side - "front" or "back"
+   * @param {object} options - { sessionId, enableFlashlight, onFramesCaptured, timing }
+   * @returns {Promise<{result: object, cardCheck: object|null}>} The detect response
+   *   that completed the side, and the card details check of a final response
+   */
+  const scanSide = async (side, options = {}) => {
+    const { enableFlashlight = null, onFramesCaptured = null, timing } = options;
+    const currentSessionId = options.sessionId || sessionId;
+    console.log("🔍 scanSide called with side:", side, "sessionId:", currentSessionId);
+
+    if (!currentSessionId) {
+      throw new Error('No session ID provided. Session must be initialized before detection.');
+    }
+
+    // Flashlight delays come from the device camera profile unless the caller sets them
+    const { flashWarmupMs, flashSettleMs } = getActiveCameraProfile().delays;
+    const engine = createScanEngine({
+      profile: SCAN_PROFILES[side],
+      sessionId: currentSessionId,
       videoRef,
       canvasRef,
-      sessionId,
-      setIsProcessing,
-      setCurrentPhase,
-      setErrorMessage,
-      setFrontScanState,
       stopRequestedRef,
-      handleDetectionFailure,
-      disableFlashlight,
-      onImageCaptured,
-      providedSessionId,
-      phase,
       enableFlashlight,
-      onFramesCaptured // Pass callback through
-    );
+      disableFlashlight,
+      timing: { flashWarmupMs, flashSettleMs, ...timing },
+    });
+    scanEngineRef.current = engine;
+
+    engine.on(SCAN_EVENTS.FRAME_CAPTURED, ({ dataUrl }) => {
+      if (onImageCaptured) onImageCaptured(dataUrl);
+      // The scan frame is on screen, so the page can switch phase without hiding the video
+      if (onFramesCaptured) onFramesCaptured();
+    });
+
+    engine.on(SCAN_EVENTS.QUALITY_HINT, ({ hint }) => {
+      if (setQualityHint) setQualityHint(hint);
+    });
+
+    engine.on(SCAN_EVENTS.LIVENESS_STARTED, () => {
+      if (setLivenessActive) setLivenessActive(true);
+    });
+
+    engine.on(SCAN_EVENTS.LIVENESS_CHECKED, () => {
+      if (setLivenessActive) setLivenessActive(false);
+    });
+
+    engine.on(SCAN_EVENTS.CONNECTION_CHANGED, ({ online }) => {
+      if (setWaitingForConnection) setWaitingForConnection(!online);
+    });
+
+    engine.on(SCAN_EVENTS.FRAME_SENT, () => setIsProcessing(true));
+    engine.on(SCAN_EVENTS.FRAME_ERROR, () => setIsProcessing(false));
+
+    engine.on(SCAN_EVENTS.FRAME_RESULT, ({ progress }) => {
+      setIsProcessing(false);
+      if (side === 'front') {
+        setFrontScanState((previous) => ({
+          ...previous,
+          framesBuffered: progress.framesBuffered,
+          motionProgress: progress.motionProgress,
+        }));
+      }
+    });
+
+    // A finished scan leaves no hint, tilt prompt or connection banner on screen
+    const clearQualityHint = () => {
+      if (setQualityHint) setQualityHint(null);
+      if (setWaitingForConnection) setWaitingForConnection(false);
+      if (setLivenessActive) setLivenessActive(false);
+    };
+
+    engine.on(SCAN_EVENTS.SUCCEEDED, ({ cardCheck }) => {
+      setIsProcessing(false);
+      clearQualityHint();
+      // Card details that fail validation are rescanned by the page instead
+      if (cardCheck?.valid) setCurrentPhase('results');
+    });
+
+    // Failures the profile maps to an error screen are shown here; the page
+    // decides what to do about the rest
+    engine.on(SCAN_EVENTS.FAILED, ({ error }) => {
+      setIsProcessing(false);
+      clearQualityHint();
+      if (error.uiPhase) {
+        setErrorMessage(error.userMessage);
+        setCurrentPhase(error.uiPhase);
+      }
+    });
+
+    engine.on(SCAN_EVENTS.CANCELLED, () => {
+      setIsProcessing(false);
+      clearQualityHint();
+    });
+
+    return engine.start();
   };
 
-  // Wrapper for back side detection
-  const captureAndSendFrames = async (phase, providedSessionId = null, enableFlashlight = null) => {
-    return backSideDetection(
-      videoRef,
-      canvasRef,
-      sessionId,
-      setIsProcessing,
-      setCurrentPhase,
-      setErrorMessage,
-      setFrontScanState,
-      stopRequestedRef,
-      handleDetectionFailure,
-      disableFlashlight,
-      onImageCaptured,
-      providedSessionId,
-      phase,
-      enableFlashlight
-    );
+  // Stop the running scan, if any (its promise rejects with code CANCELLED)
+  const stopScan = () => {
+    if (scanEngineRef.current) {
+      scanEngineRef.current.cancel();
+      scanEngineRef.current = null;
+    }
   };
 
+  // Hold / continue the running scan while the camera stream is reopened
+  const pauseScan = () => scanEngineRef.current?.pause();
+  const resumeScan = () => scanEngineRef.current?.resume();
+
   return {
-    captureAndSendFramesFront,
-    captureAndSendFrames,
-    captureIntervalRef
+    scanSide,
+    stopScan,
+    pauseScan,
+    resumeScan,
+    scanEngineRef
   };
 };
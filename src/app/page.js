@@ -6,6 +6,7 @@ import ControlPanel from "./components/ControlPanel";
 import StatusInformation from "./components/StatusInfo";
 import CameraView from "./components/CameraView";
 import VoiceVerification from "./components/VoiceVerification";
+import IdentityRequired from "./components/IdentityRequired";
 
 // Import utilities
 import {
@@ -15,15 +16,30 @@ import {
   checkCameraPermissions,
   requestCameraPermissions,
   isCameraWorking,
-  isIOSDevice,
 } from "./utils/CameraUtils";
-import { sendFrameToAPI, reportFailure } from "./utils/apiService";
+import { getActiveCameraProfile } from "./utils/cameraProfiles";
+import { createCameraSupervisor, CAMERA_HEALTH } from "./utils/cameraSupervisor";
+import { createCameraControls } from "./utils/cameraControls";
+import { sendFrameToAPI, reportFailure, reportAuditEvent, checkVoiceEnrollment } from "./utils/apiService";
+import { getPublicConfig } from "./utils/config";
+import { redactForLog } from "./utils/displayPolicy";
 import { useDetection } from "./hooks/UseDetection";
+import { useCardAlignment } from "./hooks/UseCardAlignment";
 import Image from "next/image";
 
 // Constants for attempt limits and timeouts
 const MAX_ATTEMPTS = 5;
 const DETECTION_TIMEOUT = 60000; // 60 seconds
+const AUTO_CAPTURE_FALLBACK_MS = 15000; // countdown takes over if the card never lines up
+const AUTO_RESCAN_DELAY_MS = 4000; // card details failed validation → rescan after this
+
+// User-facing messages for session redemption error codes from /api/webview-entry
+const SESSION_ERROR_MESSAGES = {
+  SESSION_EXPIRED: "This scan session has expired. Please start the scan again from the app.",
+  SESSION_REPLAYED: "This scan link has already been used. Please start a new scan from the app.",
+  REDEMPTION_TOKEN_INVALID: "This scan link is not valid. Please start the scan again from the app.",
+  REDEMPTION_TOKEN_EXPIRED: "This scan link has expired. Please start the scan again from the app.",
+};
 
 const CardDetectionApp = () => {
 
@@ -51,7 +67,6 @@ const CardDetectionApp = () => {
   const [showPermissionAlert, setShowPermissionAlert] = useState(false);
   const [cameraInitialized, setCameraInitialized] = useState(false);
   const [cameraError, setCameraError] = useState("");
-  const [isIOSDeviceDetected, setIsIOSDeviceDetected] = useState(false);
 
   // Prompt text state for positioning guidance
   const [showPromptText, setShowPromptText] = useState(false);
@@ -85,6 +100,13 @@ const CardDetectionApp = () => {
   // Captured image state for displaying static frame during scanning
   const [capturedImage, setCapturedImage] = useState(null);
   const [showCaptureSuccessMessage, setShowCaptureSuccessMessage] = useState(false);
+  const [qualityHint, setQualityHint] = useState(null); // Frame quality gate hint shown in CameraView
+  const [waitingForConnection, setWaitingForConnection] = useState(false); // Scan paused while offline
+  const [cameraRecovering, setCameraRecovering] = useState(false); // Scan paused while the camera stream is reopened
+  const [livenessActive, setLivenessActive] = useState(false); // Tilt-the-card prompt of the screen check without flashlight
+  const [cameraControls, setCameraControls] = useState(null); // Focus / exposure / zoom the camera supports (cameraControls.js)
+  const [alignmentActive, setAlignmentActive] = useState(false); // Live edge detection before capture
+  const [cardValidation, setCardValidation] = useState(null); // Card details checks of the final result: errors before the rescan, warnings with the results
 
   // Flashlight state
   const [flashlightEnabled, setFlashlightEnabled] = useState(false);
@@ -108,6 +130,13 @@ const CardDetectionApp = () => {
   const canvasRef = useRef(null);
   const capturedFrames = useRef([]);
   const countdownIntervalRef = useRef(null);
+  const autoCaptureCallbackRef = useRef(null); // Starts the scan once the card is aligned
+  const autoCaptureFallbackRef = useRef(null);
+  const rescanTimeoutRef = useRef(null);
+  const startCardScanningRef = useRef(null); // Latest startCardScanning, for the delayed rescan
+  const stopDetectionRef = useRef(null); // Latest stopDetection, for when the camera cannot be reopened
+  const cameraSupervisorRef = useRef(null); // Watches the camera stream and reopens it (cameraSupervisor.js)
+  const cameraControlsRef = useRef(null); // Focus, exposure and zoom of the camera track (cameraControls.js)
   const stopRequestedRef = useRef(false);
   const detectionTimeoutRef = useRef(null);
   const currentSessionRef = useRef(null);
@@ -125,7 +154,7 @@ const CardDetectionApp = () => {
       setDebugInfo("Fetching existing display info...");
 
       const response = await fetch(
-        `https://admin.cardnest.io/api/getmerchantDisplayInfo?merchantId=${encodeURIComponent(
+        `${getPublicConfig().adminApiUrl}/api/getmerchantDisplayInfo?merchantId=${encodeURIComponent(
           merchantId
         )}`,
         {
@@ -210,7 +239,8 @@ const CardDetectionApp = () => {
     };
 
     // Expose polling function for Android
-    window.getScanStatus = async () => {
+    // The native app passes the release secret it received from webview-entry
+    window.getScanStatus = async (releaseSecret) => {
       if (!sessionId) {
         return {
           complete_scan: false,
@@ -220,7 +250,8 @@ const CardDetectionApp = () => {
 
       try {
         const response = await fetch(
-          `/securityscan/api/secure-results?sessionId=${sessionId}`
+          `/securityscan/api/secure-results?sessionId=${sessionId}`,
+          { headers: { "X-Release-Secret": releaseSecret || "" } }
         );
         const data = await response.json();
         
@@ -286,6 +317,8 @@ const CardDetectionApp = () => {
       await requestCameraPermissions(videoRef, handleCameraPermissionError);
       setCameraInitialized(true);
       setCameraPermissionStatus('granted');
+      cameraSupervisorRef.current?.start();
+      cameraControlsRef.current?.refresh();
       console.log('✅ Camera permissions granted and camera initialized');
     } catch (error) {
       console.error('❌ Camera permission request failed:', error);
@@ -294,100 +327,16 @@ const CardDetectionApp = () => {
   };
 
 
-  const checkCameraStatus = async () => {
-  if (!cameraInitialized) return;
-  
-  const isWorking = isCameraWorking(videoRef);
-  if (!isWorking) {
-    console.log('📹 Camera stopped working, likely permission revoked');
-    setCameraInitialized(false);
-    setCameraPermissionStatus('prompt');
-    setShowPermissionAlert(true);
-    setCameraError('Camera access lost. This may happen when "Only This Time" permission expires. Please grant camera access again.');
-    return;
-  }
-
-  // Additional WebView permission test
-  try {
-    const testStream = await navigator.mediaDevices.getUserMedia({
-      video: { width: 320, height: 240 }
-    });
-    testStream.getTracks().forEach(track => track.stop());
-  } catch (testError) {
-    if (testError.name === 'NotAllowedError') {
-      console.log('📹 Permission test failed - permission expired');
-      setCameraInitialized(false);
-      setCameraPermissionStatus('denied');
-      setShowPermissionAlert(true);
-      setCameraError('Camera permission expired. Please grant camera access again.');
-    }
-  }
-};
-
-  // Zoom control functions
-  const applyZoom = async (zoomLevel = 1.5) => {
-    try {
-      // 📱 Skip zoom on iOS to avoid lens switching and zoom artifacts
-      if (isIOSDeviceDetected) {
-        console.log('📱 iOS device - skipping zoom to avoid lens switching');
-        return false;
-      }
-
-      const stream = videoRef.current?.srcObject;
-      if (stream) {
-        const track = stream.getVideoTracks()[0];
-        const capabilities = track.getCapabilities();
-        
-        if (capabilities.zoom) {
-          const settings = track.getSettings();
-          const maxZoom = capabilities.zoom.max;
-          const minZoom = capabilities.zoom.min;
-          const targetZoom = Math.min(zoomLevel, maxZoom);
-          
-          await track.applyConstraints({
-            advanced: [{ zoom: targetZoom }]
-          });
-          console.log(`🔍 Zoom applied: ${targetZoom}x`);
-          return true;
-        } else {
-          console.log("⚠️ Zoom not supported on this device");
-          return false;
-        }
-      }
-    } catch (error) {
-      console.error("❌ Error applying zoom:", error);
-      return false;
-    }
-  };
-
-  const resetZoom = async () => {
+  // Flashlight control functions
+  const enableFlashlight = async () => {
     try {
-      // 📱 Skip zoom reset on iOS
-      if (isIOSDeviceDetected) {
-        console.log('📱 iOS device - skipping zoom reset');
+      // 📱 Some devices must not switch the torch (iOS changes lenses)
+      const cameraProfile = getActiveCameraProfile();
+      if (!cameraProfile.torch) {
+        console.log(`📱 Camera profile "${cameraProfile.id}" does not use the flashlight`);
         return false;
       }
 
-      const stream = videoRef.current?.srcObject;
-      if (stream) {
-        const track = stream.getVideoTracks()[0];
-        const capabilities = track.getCapabilities();
-        
-        if (capabilities.zoom) {
-          await track.applyConstraints({
-            advanced: [{ zoom: capabilities.zoom.min || 1 }]
-          });
-          console.log("🔍 Zoom reset to normal");
-        }
-      }
-    } catch (error) {
-      console.error("❌ Error resetting zoom:", error);
-    }
-  };
-
-  // Flashlight control functions
-  const enableFlashlight = async () => {
-    try {
       const stream = videoRef.current?.srcObject;
       if (stream) {
         const track = stream.getVideoTracks()[0];
@@ -399,10 +348,6 @@ const CardDetectionApp = () => {
           });
           setFlashlightEnabled(true);
           console.log("🔦 Flashlight enabled");
-          
-          // ❌ REMOVED: Do NOT apply zoom - this was causing the zoomed view issue
-          // await applyZoom(2);
-          
           return true;
         } else {
           console.log("⚠️ Flashlight not supported on this device");
@@ -432,21 +377,18 @@ const CardDetectionApp = () => {
         } else {
           console.log("🔦 Flashlight already disabled, skipping");
         }
-        
-        // ❌ REMOVED: Do NOT reset zoom - zoom was never applied
-        // await resetZoom();
       }
     } catch (error) {
       console.error("❌ Error disabling flashlight:", error);
-      // ❌ REMOVED: zoom reset
-      // try {
-      //   await resetZoom();
-      // } catch (zoomError) {
-      //   console.error("❌ Error resetting zoom:", zoomError);
-      // }
     }
   };
 
+  // Scan failure reason for the error screen; quality failures also say what to fix
+  const describeScanError = (error) =>
+    error.code === "LOW_QUALITY" && error.userMessage
+      ? `${error.message}. ${error.userMessage}`
+      : error.message;
+
   // Helper function to handle detection failures with attempt tracking
   const handleDetectionFailure = (message, operation) => {
     console.log(`🚨 Detection failure - Operation: ${operation}, Session ID: ${sessionId}, Current Attempt: ${attemptCount + 1}`);
@@ -456,11 +398,9 @@ const CardDetectionApp = () => {
     // 🔦 Disable flashlight on failure
     disableFlashlight();
 
-    // Clear all intervals
-    if (captureIntervalRef.current) {
-      clearInterval(captureIntervalRef.current);
-      captureIntervalRef.current = null;
-    }
+    // Stop the scan engine and clear all intervals
+    stopScan();
+    stopAutoCapture();
 
     if (countdownIntervalRef.current) {
       clearInterval(countdownIntervalRef.current);
@@ -520,25 +460,58 @@ const CardDetectionApp = () => {
     }, 3000);
   };
 
-  // Custom hook for detection logic - NOW WITH handleDetectionFailure parameter
-  const {
-    captureAndSendFramesFront,
-    captureAndSendFrames,
-    captureIntervalRef,
-  } = useDetection(
+  // Custom hook for detection logic (scan engine for front and back)
+  const { scanSide, stopScan, pauseScan, resumeScan } = useDetection({
     videoRef,
     canvasRef,
     sessionId,
-    setSessionId,
+    stopRequestedRef,
     setIsProcessing,
     setCurrentPhase,
     setErrorMessage,
     setFrontScanState,
-    stopRequestedRef,
-    handleDetectionFailure, // ADD THIS PARAMETER
-    disableFlashlight, // Pass flashlight control function
-    handleCapturedImage // Pass callback to receive captured image immediately
-  );
+    setQualityHint,
+    setWaitingForConnection,
+    setLivenessActive,
+    disableFlashlight,
+    onImageCaptured: handleCapturedImage,
+  });
+
+  // Camera stream health (cameraSupervisor.js): the scan waits while the stream is reopened
+  const handleCameraHealthChange = ({ state, error }) => {
+    if (state === CAMERA_HEALTH.HEALTHY) {
+      setCameraRecovering(false);
+      cameraControlsRef.current?.refresh();
+      resumeScan();
+    } else if (state === CAMERA_HEALTH.FAILED) {
+      console.log('📹 Camera could not be reopened:', error?.message);
+      setCameraRecovering(false);
+      if (stopDetectionRef.current) stopDetectionRef.current();
+      if (String(error?.message).startsWith('PERMISSION_DENIED')) {
+        handleCameraPermissionError('PERMISSION_DENIED');
+      } else {
+        setCameraInitialized(false);
+        setCameraPermissionStatus('prompt');
+        setShowPermissionAlert(true);
+        setCameraError('Camera access lost. This may happen when "Only This Time" permission expires or another app is using the camera. Please grant camera access again.');
+      }
+    } else {
+      setCameraRecovering(true);
+      pauseScan();
+    }
+  };
+
+  // Live card edge detection - starts the scan once the card is aligned and steady
+  const cardAlignment = useCardAlignment({
+    videoRef,
+    active: alignmentActive,
+    onAligned: () => handleCardAligned(),
+  });
+
+  // Glare on the card: step exposure down, once each time the quality gate starts reporting it
+  useEffect(() => {
+    if (qualityHint?.code === 'GLARE') cameraControlsRef.current?.sweepExposure();
+  }, [qualityHint?.code]);
 
   // Check for authentication data on component mount
   useEffect(() => {
@@ -547,6 +520,7 @@ const CardDetectionApp = () => {
 
       const urlParams = new URLSearchParams(window.location.search);
       const sessionId = urlParams.get("session");
+      const redemptionToken = urlParams.get("token");
       const merchantId = urlParams.get("merchant_id");
       const authToken = urlParams.get("auth_token");
       const source = urlParams.get("source");
@@ -563,29 +537,31 @@ const CardDetectionApp = () => {
         console.log("🔐 Found session ID, retrieving auth data securely...");
         try {
           const response = await fetch(
-            `/securityscan/api/webview-entry?session=${sessionId}`
+            `/securityscan/api/webview-entry?session=${encodeURIComponent(
+              sessionId
+            )}&token=${encodeURIComponent(redemptionToken || "")}`
           );
           if (response.ok) {
             const sessionData = await response.json();
             console.log("✅ Session auth data retrieved:", {
               merchantId: sessionData.merchantId,
               authTokenLength: sessionData.authToken.length,
-              authTokenPreview: sessionData.authToken.substring(0, 20) + "...",
-              phoneNumber: sessionData.phoneNumber || "Not provided",
+              identitySource: sessionData.identitySource || "unavailable",
             });
 
-            // Store phone number in localStorage if available
-            // Use dummy number (923020447031) if not provided for testing
-            const finalPhoneNumber = sessionData.phoneNumber || "923020447035";
-            localStorage.setItem("phoneNumber", finalPhoneNumber);
-
-            // console.log("📞 Phone number stored in localStorage:", finalPhoneNumber, 
-            //   sessionData.phoneNumber ? "(from device)" : "(using dummy for testing)");
+            // Voice identity comes only from the session; drop any number
+            // an older version of this page left in localStorage
+            localStorage.removeItem("phoneNumber");
 
             const authObj = {
               merchantId: sessionData.merchantId,
               authToken: sessionData.authToken,
-              phoneNumber: finalPhoneNumber,
+              voiceUserId: sessionData.voiceUserId || null,
+              legacyVoiceUserId: sessionData.legacyVoiceUserId || null,
+              identitySource: sessionData.identitySource || null,
+              network: { bandwidthKbpsUp: sessionData.uploadBandwidthKbps || null },
+              device: { model: sessionData.deviceModel || null },
+              webviewSessionId: sessionId,
               timestamp: Date.now(),
               source: "secure_session",
             };
@@ -608,7 +584,18 @@ const CardDetectionApp = () => {
             window.history.replaceState({}, document.title, cleanUrl);
             return;
           } else {
-            console.error("❌ Session retrieval failed:", response.status);
+            const errorData = await response.json().catch(() => ({}));
+            console.error("❌ Session retrieval failed:", response.status, errorData.code);
+
+            // Session links are single-use: never fall back to other auth methods
+            const cleanUrl = window.location.pathname;
+            window.history.replaceState({}, document.title, cleanUrl);
+            setAuthError(
+              SESSION_ERROR_MESSAGES[errorData.code] ||
+                "Unable to start the scan session. Please try again from the app."
+            );
+            setAuthLoading(false);
+            return;
           }
         } catch (error) {
           console.error("❌ Session fetch error:", error);
@@ -677,8 +664,9 @@ const CardDetectionApp = () => {
   }, []);
 
   // Initialize voice verification after authentication
+  // Without a voice identity the user is asked for one first (IdentityRequired)
   useEffect(() => {
-    if (authData && !authLoading && !voiceVerificationComplete) {
+    if (authData && !authLoading && !voiceVerificationComplete && authData.voiceUserId) {
       console.log("🎤 Auth ready - checking voice registration status before showing camera...");
       setVoiceVerificationLoading(true);
       checkVoiceRegistrationStatus();
@@ -719,11 +707,6 @@ const CardDetectionApp = () => {
       
       const initCamera = async () => {
         try {
-          // Detect if iOS device and store in state
-          const iosDevice = isIOSDevice();
-          setIsIOSDeviceDetected(iosDevice);
-          console.log(`📱 Device type - iOS: ${iosDevice}`);
-
           // Check permission status first
           const permissionStatus = await checkCameraPermissions();
           setCameraPermissionStatus(permissionStatus);
@@ -749,18 +732,24 @@ const CardDetectionApp = () => {
         }
       }
     }
-          // Try to initialize camera with iOS flag
-          await initializeCamera(videoRef, handleCameraPermissionError, 'back', iosDevice);
+          // Camera setup follows the device camera profile matched during initialization
+          await initializeCamera(videoRef, handleCameraPermissionError, 'back');
           setCameraInitialized(true);
           setCameraPermissionStatus('granted');
           console.log("✅ Camera initialized successfully");
           
-          // Start periodic camera status checking (every 30 seconds)
-          const checkInterval = setInterval(checkCameraStatus, 30000);
-          
-          return () => {
-            clearInterval(checkInterval);
-          };
+          // Watch the stream and reopen it when it drops (app backgrounded, camera taken, WebView paused)
+          cameraSupervisorRef.current?.stop();
+          cameraSupervisorRef.current = createCameraSupervisor({
+            videoRef,
+            reinitialize: () => initializeCamera(videoRef, null, 'back'),
+            onStateChange: handleCameraHealthChange,
+          });
+          cameraSupervisorRef.current.start();
+
+          // Focus, exposure and zoom for the control strip, as far as the camera supports them
+          cameraControlsRef.current = createCameraControls({ videoRef, onChange: setCameraControls });
+          cameraControlsRef.current.refresh();
           
         } catch (error) {
           console.error("❌ Camera initialization failed:", error);
@@ -779,17 +768,26 @@ const CardDetectionApp = () => {
     }
 
     return () => {
+      cameraSupervisorRef.current?.stop();
+      cameraSupervisorRef.current = null;
+      cameraControlsRef.current = null;
+      setCameraRecovering(false);
+      setCameraControls(null);
       cleanupCamera(videoRef);
       clearDetectionTimeout();
       setCameraInitialized(false);
 
-      if (captureIntervalRef.current) {
-        clearInterval(captureIntervalRef.current);
-      }
+      stopScan();
 
       if (countdownIntervalRef.current) {
         clearInterval(countdownIntervalRef.current);
       }
+      if (autoCaptureFallbackRef.current) {
+        clearTimeout(autoCaptureFallbackRef.current);
+      }
+      if (rescanTimeoutRef.current) {
+        clearTimeout(rescanTimeoutRef.current);
+      }
     };
   }, [authData, authLoading, voiceVerificationComplete]);
 
@@ -825,7 +823,7 @@ const CardDetectionApp = () => {
             Authentication Required
           </h3>
           <p className="text-gray-600 text-sm mb-4">
-            This page requires authentication data from the Android app.
+            {authError || "This page requires authentication data from the Android app."}
           </p>
 
           {/* Development links */}
@@ -866,11 +864,9 @@ const CardDetectionApp = () => {
     stopRequestedRef.current = true;
     clearDetectionTimeout();
 
-    // Clear all intervals
-    if (captureIntervalRef.current) {
-      clearInterval(captureIntervalRef.current);
-      captureIntervalRef.current = null;
-    }
+    // Stop the scan engine and clear all intervals
+    stopScan();
+    stopAutoCapture();
 
     if (countdownIntervalRef.current) {
       clearInterval(countdownIntervalRef.current);
@@ -883,6 +879,9 @@ const CardDetectionApp = () => {
     setCountdown(0);
     setCapturedImage(null); // Clear captured image
     setShowCaptureSuccessMessage(false); // Clear success message
+    setQualityHint(null);
+    setWaitingForConnection(false);
+    setLivenessActive(false);
     
     // Hide prompt text when stopping
     setShowPromptText(false);
@@ -927,6 +926,86 @@ const CardDetectionApp = () => {
     }, 1000);
   };
 
+  // Stop waiting for the card to line up (auto-capture and its countdown fallback)
+  const stopAutoCapture = () => {
+    autoCaptureCallbackRef.current = null;
+    if (autoCaptureFallbackRef.current) {
+      clearTimeout(autoCaptureFallbackRef.current);
+      autoCaptureFallbackRef.current = null;
+    }
+    setAlignmentActive(false);
+  };
+
+  // Auto-capture: run onComplete as soon as the edge detector sees the card
+  // aligned and steady. If that never happens (e.g. a card on a background of
+  // the same colour), the old countdown takes over
+  const startAutoCapture = (onComplete) => {
+    stopAutoCapture();
+    stopRequestedRef.current = false;
+    autoCaptureCallbackRef.current = onComplete;
+    setAlignmentActive(true);
+
+    autoCaptureFallbackRef.current = setTimeout(() => {
+      autoCaptureFallbackRef.current = null;
+      const callback = autoCaptureCallbackRef.current;
+      if (!callback || stopRequestedRef.current) return;
+      console.log("⏱️ Card not aligned in time - falling back to countdown");
+      stopAutoCapture();
+      startCountdown(callback);
+    }, AUTO_CAPTURE_FALLBACK_MS);
+  };
+
+  const handleCardAligned = () => {
+    const callback = autoCaptureCallbackRef.current;
+    stopAutoCapture();
+    if (callback && !stopRequestedRef.current) callback();
+  };
+
+  const cancelAutoRescan = () => {
+    if (rescanTimeoutRef.current) {
+      clearTimeout(rescanTimeoutRef.current);
+      rescanTimeoutRef.current = null;
+    }
+  };
+
+  // Rescan from the front side on the fresh session set by handleInvalidCard
+  const rescanInvalidCard = () => {
+    cancelAutoRescan();
+    setCardValidation(null);
+    setCapturedImage(null);
+    if (startCardScanningRef.current) startCardScanningRef.current();
+  };
+
+  // Scan session IDs are only made here: for the first scan, and for a rescan
+  // after a finished session (the backend would only answer already_completed)
+  const startNewScanSession = () => {
+    const newSessionId = `session_${Date.now()}`;
+    setSessionId(newSessionId);
+    return newSessionId;
+  };
+
+  // The card details failed the Luhn / length / expiry / scheme checks: count a
+  // failed attempt and rescan automatically. The rescan needs a new session,
+  // the finished one would only answer already_completed
+  const handleInvalidCard = (cardCheck) => {
+    const errors = cardCheck.issues.filter(({ severity }) => severity === "error");
+    console.warn("🚫 Card details failed validation:", errors.map(({ code }) => code));
+    reportAuditEvent("card_validation_failed", {
+      outcome: "failure",
+      details: { scanSessionId: sessionId, reasons: errors.map(({ code }) => code), scheme: cardCheck.scheme },
+    });
+
+    const willRetry = attemptCount + 1 < MAX_ATTEMPTS;
+    handleDetectionFailure(`Card details could not be verified: ${errors[0].message}`, "validation");
+    if (!willRetry) return;
+
+    backSuccessReceivedRef.current = false;
+    setCardValidation(cardCheck);
+    setCurrentPhase("card-invalid");
+    startNewScanSession();
+    rescanTimeoutRef.current = setTimeout(rescanInvalidCard, AUTO_RESCAN_DELAY_MS);
+  };
+
   // Start card scanning directly with front side detection
   const startCardScanning = async () => {
     console.log("🚀 startCardScanning called, maxAttemptsReached:", maxAttemptsReached, "detectionActive:", detectionActive);
@@ -943,8 +1022,7 @@ const CardDetectionApp = () => {
     // Initialize session ONLY if not already set
     let currentSessionId = sessionId;
     if (!currentSessionId) {
-      currentSessionId = `session_${Date.now()}`;
-      setSessionId(currentSessionId);
+      currentSessionId = startNewScanSession();
       console.log('🆔 Created new session ID:', currentSessionId);
     } else {
       console.log('🆔 Using existing session ID:', currentSessionId);
@@ -980,7 +1058,7 @@ const CardDetectionApp = () => {
     // Go directly to front side detection
     setCurrentPhase("front-countdown");
 
-    startCountdown(async () => {
+    startAutoCapture(async () => {
       if (stopRequestedRef.current) return;
 
       // DON'T set phase to 'front' yet - wait for frames to be captured first
@@ -995,22 +1073,16 @@ const CardDetectionApp = () => {
       startDetectionTimeout("Front side");
 
       try {
-        const apiResponse = await captureAndSendFramesFront(
-          "front", 
-          currentSessionId, 
+        const apiResponse = await scanSide("front", {
+          sessionId: currentSessionId,
           enableFlashlight,
-          () => {
-            // This callback is called AFTER Frame #2 is captured and displayed
+          onFramesCaptured: () => {
+            // This callback is called AFTER the scan frame is captured and displayed
             // Now it's safe to change phase without hiding the video
             console.log("🔄 Setting phase to 'front' after frames captured");
             setCurrentPhase("front");
-          }
-        );
-        
-        // Store captured image for display
-        if (apiResponse?.capturedImage) {
-          setCapturedImage(apiResponse.capturedImage);
-        }
+          },
+        });
 
         if (!stopRequestedRef.current) {
           clearDetectionTimeout();
@@ -1033,7 +1105,7 @@ const CardDetectionApp = () => {
           }
           
           handleDetectionFailure(
-            `Front side detection failed: ${error.message}`,
+            `Front side detection failed: ${describeScanError(error)}`,
             "front"
           );
         }
@@ -1041,6 +1113,9 @@ const CardDetectionApp = () => {
     });
   };
 
+  startCardScanningRef.current = startCardScanning;
+  stopDetectionRef.current = stopDetection;
+
   const startFrontSideDetection = async () => {
     console.log("🚀 startFrontSideDetection called, maxAttemptsReached:", maxAttemptsReached, "detectionActive:", detectionActive);
     if (maxAttemptsReached || detectionActive) return;
@@ -1056,8 +1131,7 @@ const CardDetectionApp = () => {
     // Ensure we have a session ID
     let currentSessionId = sessionId;
     if (!currentSessionId) {
-      currentSessionId = `session_${Date.now()}`;
-      setSessionId(currentSessionId);
+      currentSessionId = startNewScanSession();
       console.log('🆔 Created new session ID for front scan:', currentSessionId);
     } else {
       console.log('🆔 Using existing session ID for front scan:', currentSessionId);
@@ -1082,7 +1156,7 @@ const CardDetectionApp = () => {
     setCurrentPhase("front-countdown");
     setErrorMessage("");
 
-    startCountdown(async () => {
+    startAutoCapture(async () => {
       if (stopRequestedRef.current) return;
 
       // DON'T set phase to 'front' yet - wait for frames to be captured first
@@ -1097,22 +1171,16 @@ const CardDetectionApp = () => {
       startDetectionTimeout("Front side");
 
       try {
-        const apiResponse = await captureAndSendFramesFront(
-          "front", 
-          currentSessionId, 
+        const apiResponse = await scanSide("front", {
+          sessionId: currentSessionId,
           enableFlashlight,
-          () => {
-            // This callback is called AFTER Frame #2 is captured and displayed
+          onFramesCaptured: () => {
+            // This callback is called AFTER the scan frame is captured and displayed
             // Now it's safe to change phase without hiding the video
             console.log("🔄 Setting phase to 'front' after frames captured (startFrontSideDetection)");
             setCurrentPhase("front");
-          }
-        );
-        
-        // Store captured image for display
-        if (apiResponse?.capturedImage) {
-          setCapturedImage(apiResponse.capturedImage);
-        }
+          },
+        });
 
         if (!stopRequestedRef.current) {
           clearDetectionTimeout();
@@ -1135,7 +1203,7 @@ const CardDetectionApp = () => {
           }
           
           handleDetectionFailure(
-            `Front side detection failed: ${error.message}`,
+            `Front side detection failed: ${describeScanError(error)}`,
             "front"
           );
         }
@@ -1166,6 +1234,9 @@ const CardDetectionApp = () => {
     // 🔄 Clear the front side captured image so user sees live video during flashlight phase
     setCapturedImage(null);
     setShowCaptureSuccessMessage(false); // Clear success message
+    setQualityHint(null);
+    setWaitingForConnection(false);
+    setLivenessActive(false);
 
     // Show prompt text for back side positioning
     setPromptText("Position your card's back side in the camera square frame for security scan");
@@ -1177,7 +1248,7 @@ const CardDetectionApp = () => {
     // Reset back success flag at start of back detection
     backSuccessReceivedRef.current = false;
 
-    startCountdown(async () => {
+    startAutoCapture(async () => {
       if (stopRequestedRef.current) return;
 
       setCurrentPhase("back");
@@ -1190,24 +1261,19 @@ const CardDetectionApp = () => {
       startDetectionTimeout("Back side");
 
       try {
-        const finalResult = await captureAndSendFrames("back", sessionId, enableFlashlight);
+        const { result: finalResult, cardCheck } = await scanSide("back", { sessionId, enableFlashlight });
         
         // 🛡️ CRITICAL: If success was already received, ignore this result completely
         if (backSuccessReceivedRef.current) {
           console.log("🛡️ Back success already received, ignoring subsequent result:", finalResult?.status);
           return;
         }
-        
-        // Store captured image for display
-        if (finalResult?.capturedImage) {
-          setCapturedImage(finalResult.capturedImage);
-        }
 
         if (!stopRequestedRef.current) {
           clearDetectionTimeout();
           setDetectionActive(false);
 
-          console.log("🔍 Checking final result:", finalResult);
+          console.log("🔍 Checking final result:", redactForLog(finalResult));
 
           // 🎯 PRIORITY FIX: Match the hook's success logic - status "success" OR "already_completed" is sufficient
           if (finalResult?.status === "success" || finalResult?.status === "already_completed") {
@@ -1222,6 +1288,12 @@ const CardDetectionApp = () => {
             
             // 🔦 Disable flashlight on success
             await disableFlashlight();
+
+            // 💳 Card details were checked by the scan engine; failures never reach the app
+            if (cardCheck && !cardCheck.valid) {
+              handleInvalidCard(cardCheck);
+              return;
+            }
             
             // ✅ Voice verification already completed at app startup
             // Expose encrypted data directly to Android
@@ -1237,12 +1309,17 @@ const CardDetectionApp = () => {
             
   
 
+            reportAuditEvent("scan_success_reported", {
+              details: { scanSessionId: sessionId, status: finalResult.status, score: finalResult.score },
+            });
+
             setCurrentPhase("back-complete");
             setAttemptCount(0);
             setCurrentOperation("");
             
             // Set final results and move to results phase
             setFinalOcrResults(finalResult);
+            setCardValidation(cardCheck);
             setTimeout(() => {
               setCurrentPhase("results");
             }, 500);
@@ -1287,7 +1364,7 @@ const CardDetectionApp = () => {
           
           // Handle other types of detection failures
           handleDetectionFailure(
-            `Back side detection failed: ${error.message}`,
+            `Back side detection failed: ${describeScanError(error)}`,
             "back"
           );
         }
@@ -1303,12 +1380,16 @@ const CardDetectionApp = () => {
     setCurrentPhase("idle");
     setDetectionActive(false);
     setFinalOcrResults(null);
+    setCardValidation(null);
     setIsProcessing(false);
     setCountdown(0);
     setErrorMessage("");
     setSessionId("");
     setCapturedImage(null); // Clear captured image
     setShowCaptureSuccessMessage(false); // Clear success message
+    setQualityHint(null);
+    setWaitingForConnection(false);
+    setLivenessActive(false);
     
     // Reset prompt text state
     setShowPromptText(false);
@@ -1332,9 +1413,9 @@ const CardDetectionApp = () => {
     });
     capturedFrames.current = [];
 
-    if (captureIntervalRef.current) {
-      clearInterval(captureIntervalRef.current);
-    }
+    stopScan();
+    stopAutoCapture();
+    cancelAutoRescan();
     if (countdownIntervalRef.current) {
       clearInterval(countdownIntervalRef.current);
     }
@@ -1352,11 +1433,10 @@ const CardDetectionApp = () => {
     backSuccessReceivedRef.current = false; // Reset back success flag
     clearDetectionTimeout();
 
-    // Clean up intervals FIRST
-    if (captureIntervalRef.current) {
-      clearInterval(captureIntervalRef.current);
-      captureIntervalRef.current = null;
-    }
+    // Stop the scan engine and clean up intervals FIRST
+    stopScan();
+    stopAutoCapture();
+    cancelAutoRescan();
     if (countdownIntervalRef.current) {
       clearInterval(countdownIntervalRef.current);
       countdownIntervalRef.current = null;
@@ -1369,6 +1449,9 @@ const CardDetectionApp = () => {
     setErrorMessage("");
     setCapturedImage(null); // Clear captured image
     setShowCaptureSuccessMessage(false); // Clear success message
+    setQualityHint(null);
+    setWaitingForConnection(false);
+    setLivenessActive(false);
     
     // Reset prompt text state
     setShowPromptText(false);
@@ -1441,46 +1524,38 @@ const CardDetectionApp = () => {
   };
 
   // Check if user has already registered their voice
+  // A number the user typed in is never registered: anyone can type any number,
+  // so that identity only verifies against an enrollment made from the app
   const checkVoiceRegistrationStatus = async () => {
-    // Try authData first, then fallback to localStorage
-    const userId = authData?.phoneNumber || localStorage.getItem("phoneNumber");
+    const userId = authData?.voiceUserId;
     
     if (!userId) {
-      console.warn("⚠️ No phone number found in authData or localStorage, defaulting to registration mode");
-      setVoiceVerificationMode("register");
+      console.warn("⚠️ No voice identity resolved, cannot check registration status");
       return;
     }
-    
-    // console.log(`🔍 Using phone number for voice check: ${userId} (source: ${authData?.phoneNumber ? 'authData' : 'localStorage'})`);
 
-    try {
-      // console.log(`🔍 Checking voice registration status for user: ${userId}`);
-      
-      const response = await fetch(
-        `https://admin.cardnest.io/api/voice/register/${userId}`
-      );
-      
-      if (response.ok) {
-        const data = await response.json();
-        console.log("✅ Voice registration status:", data);
-        
-        // Check if user is already registered
-        // API returns { success: true, data: { status: "active" } } if user exists
-        // API returns { success: false, ... } if user doesn't exist
-        if (data.success && data.data && data.data.status === "active") {
-          console.log("✅ User already registered - switching to VERIFY mode");
-          setVoiceVerificationMode("verify");
-        } else {
-          console.log("📝 User not registered or status unclear - switching to REGISTER mode");
-          setVoiceVerificationMode("register");
-        }
-      } else {
-        console.warn("⚠️ Could not check registration status, defaulting to registration mode");
-        setVoiceVerificationMode("register");
-      }
-    } catch (error) {
-      console.error("❌ Error checking voice registration status:", error);
-      // Default to registration mode on error
+    const enrolled = await checkVoiceEnrollment(userId);
+    console.log("✅ Voice registration status:", enrolled);
+
+    // Enrolled before identity sources existed: verify against the SIM number
+    const legacyUserId = authData.legacyVoiceUserId;
+    if (enrolled === false && legacyUserId && (await checkVoiceEnrollment(legacyUserId))) {
+      console.log("✅ Found an enrollment under the SIM number - switching to VERIFY mode");
+      const updatedAuth = { ...authData, voiceUserId: legacyUserId, legacyVoiceUserId: null };
+      window.__WEBVIEW_AUTH__ = updatedAuth;
+      setAuthData(updatedAuth);
+      setVoiceVerificationMode("verify");
+      return;
+    }
+
+    if (enrolled || authData.identitySource === "manual") {
+      console.log("✅ User already registered (or entered their number) - switching to VERIFY mode");
+      setVoiceVerificationMode("verify");
+    } else if (enrolled === false) {
+      console.log("📝 User not registered - switching to REGISTER mode");
+      setVoiceVerificationMode("register");
+    } else {
+      console.warn("⚠️ Could not check registration status, defaulting to registration mode");
       setVoiceVerificationMode("register");
     }
   };
@@ -1507,6 +1582,10 @@ const CardDetectionApp = () => {
       has_verification_id: !!(result.verification_id || result.id)
     });
     
+    reportAuditEvent("voice_verified_reported", {
+      details: { mode: voiceVerificationMode, verificationId: result.verification_id || result.id || null },
+    });
+
     // Mark voice verification as complete
     setVoiceVerificationComplete(true);
     setShowVoiceVerification(false);
@@ -1517,6 +1596,16 @@ const CardDetectionApp = () => {
     });
   };
 
+  // Alternative path when the app supplied no identity: user-entered number,
+  // already checked to have a voice enrollment (IdentityRequired), so verify only
+  const handleIdentityResolved = ({ voiceUserId, source }) => {
+    console.log(`🪪 Voice identity provided by user (source: ${source})`);
+    setVoiceVerificationMode("verify");
+    const updatedAuth = { ...authData, voiceUserId, identitySource: source };
+    window.__WEBVIEW_AUTH__ = updatedAuth;
+    setAuthData(updatedAuth);
+  };
+
   const handleVoiceVerificationClose = () => {
     console.log("⚠️ Voice verification popup closed without completion");
     // Do nothing - user must complete voice verification to proceed
@@ -1640,6 +1729,13 @@ const CardDetectionApp = () => {
           promptText={promptText}
           capturedImage={capturedImage}
           showCaptureSuccessMessage={showCaptureSuccessMessage}
+          qualityHint={qualityHint}
+          waitingForConnection={waitingForConnection}
+          cameraRecovering={cameraRecovering}
+          livenessActive={livenessActive}
+          cameraControls={cameraControls}
+          cameraControlActions={cameraControlsRef.current}
+          alignment={{ active: alignmentActive, ...cardAlignment }}
         />
 
         <ControlPanel
@@ -1652,6 +1748,8 @@ const CardDetectionApp = () => {
           onTryAgain={handleTryAgain}
           onStartOver={handleStartOver}
           onFakeCardRetry={handleFakeCardRetry}
+          onRescan={rescanInvalidCard}
+          cardValidation={cardValidation}
           fakeCardDetectedPhase={fakeCardDetectedPhase}
           frontScanState={frontScanState}
           countdown={countdown}
@@ -1672,12 +1770,20 @@ const CardDetectionApp = () => {
           detectionActive={detectionActive}
         />
 
+        {/* Identity Prompt - only when no voice identity could be resolved */}
+        <IdentityRequired
+          isOpen={!authData?.voiceUserId && !voiceVerificationComplete}
+          merchantId={authData?.merchantId}
+          onResolved={handleIdentityResolved}
+        />
+
         {/* Voice Verification Popup - Initial Step */}
         <VoiceVerification
           isOpen={showVoiceVerification}
           onClose={handleVoiceVerificationClose}
-          phoneNumber={authData?.phoneNumber || localStorage.getItem("phoneNumber")}
+          userId={authData?.voiceUserId}
           merchantId={authData?.merchantId}
+          sessionId={authData?.webviewSessionId}
           onSuccess={handleVoiceVerificationSuccess}
           mode={voiceVerificationMode}
         />
@@ -21,11 +21,17 @@
  * - Filters back-facing vs front-facing cameras
  * - Selects torch-capable camera for back-side card scanning
  * - Falls back to default environment camera if no torch camera found
- * - Enhanced Samsung multi-camera device support
+ * - Remembers the chosen camera per device (cameraCache.js) and only probes
+ *   again when the camera set changes or the cached camera fails to open
+ * - Lens choice, resolution, torch use, zoom and delays per device come from
+ *   the matched profile in cameraProfiles.js
  */
 
 // Camera Utilities for Card Detection
 
+import { detectCameraProfile, getActiveCameraProfile } from './cameraProfiles';
+import { cameraFingerprint, readCachedCamera, saveCachedCamera, clearCachedCamera } from './cameraCache';
+
 // 🧪 TEST MODE: Set to true to bypass torch requirements for laptop testing
 // In production, this should be false
 const TEST_MODE = true; // Set to false for production
@@ -37,6 +43,7 @@ let isCapturing = false;
 let selectedCameraDeviceId = null;
 let selectedCameraLabel = null;
 let selectedCameraHasTorch = false;
+let selectedCameraFromCache = false;
 
 // 🔍 WEBVIEW DETECTION
 const isWebView = () => {
@@ -49,18 +56,6 @@ const isWebView = () => {
 
 
 
-// 📱 DEVICE TYPE DETECTION
-const isSamsungDevice = () => {
-  const userAgent = navigator.userAgent.toLowerCase();
-  return userAgent.includes('samsung') || userAgent.includes('sm-');
-};
-
-// 📱 iOS DEVICE DETECTION
-export const isIOSDevice = () => {
-  const userAgent = navigator.userAgent;
-  return /iPhone|iPad|iPod/.test(userAgent);
-};
-
 // 🐛 DEBUG: Send logs to server for remote debugging
 const logToServer = async (type, message, data = {}) => {
   try {
@@ -119,10 +114,15 @@ export const enumerateVideoDevices = async () => {
 
 // 🎯 SCORE CAMERA QUALITY FOR CARD SCANNING
 // Higher score = better camera for card scanning (avoid telephoto, prefer wide)
-const scoreCameraForScanning = (device) => {
+const scoreCameraForScanning = (device, preferredLabels = []) => {
   const label = (device.label || '').toLowerCase();
   let score = 0;
   
+  // 📱 Lenses the device profile names come first
+  if (preferredLabels.some(keyword => label.includes(keyword.toLowerCase()))) {
+    score += 200;
+  }
+  
   // 🏆 BEST: Wide/Main cameras (normal field of view)
   if (label.includes('dual wide') || label.includes('wide camera')) {
     score += 100; // Highest priority
@@ -286,19 +286,19 @@ const checkCameraTorchSupport = async (deviceId) => {
 };
 
 // 📷 FIND BEST CAMERA FOR CARD SCANNING (with torch preference)
-export const findBestCameraForScan = async (scanSide = 'back') => {
+// profile: device camera profile (cameraProfiles.js) - lens choice and torch use
+export const findBestCameraForScan = async (scanSide = 'back', profile = getActiveCameraProfile()) => {
   console.log(`📷 Finding best camera for ${scanSide}-side card scan...`);
-  console.log(`📱 Device info: Samsung=${isSamsungDevice()}, WebView=${isWebView()}, iOS=${isIOSDevice()}`);
+  console.log(`📱 Device info: profile=${profile.id}, WebView=${isWebView()}`);
   
-  // 🍎 iOS WORKAROUND: Skip multi-camera selection entirely on iOS
-  // iOS switches camera lenses when torch is toggled, causing zoom issues
-  if (isIOSDevice()) {
-    console.log('🍎 iOS detected - using simple facingMode approach (no torch requirements)');
-    console.log('🍎 This prevents iOS from switching between telephoto/wide/ultra-wide lenses');
+  // 📱 DEFAULT LENS: Skip multi-camera selection and let the browser pick by facingMode
+  // (e.g. iOS switches lenses when the torch is toggled, causing zoom issues)
+  if (profile.lens === 'default') {
+    console.log(`📱 Profile "${profile.id}" - using simple facingMode approach (no torch probing)`);
     
-    await logToServer('device-info', 'iOS detected - skipping multi-camera selection', {
+    await logToServer('device-info', `Profile ${profile.id} - skipping multi-camera selection`, {
       deviceInfo: {
-        isIOS: true,
+        profile: profile.id,
         userAgent: navigator.userAgent
       },
       extra: { scanSide }
@@ -306,17 +306,17 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
     
     return {
       deviceId: null, // Use default
-      hasTorch: false, // Don't use torch on iOS
+      hasTorch: false, // Not probed
       facing: scanSide === 'front' ? 'front' : 'back',
-      label: 'iOS Default Camera',
-      skipTorch: true // Signal to skip torch operations
+      label: 'Default Camera',
+      skipTorch: true // Signal to skip torch requirements before the stream is open
     };
   }
   
-  // Log to server for remote debugging (non-iOS devices)
+  // Log to server for remote debugging
   await logToServer('device-info', 'Camera scan started', {
     deviceInfo: {
-      isSamsung: isSamsungDevice(),
+      profile: profile.id,
       isWebView: isWebView(),
       userAgent: navigator.userAgent
     },
@@ -336,6 +336,7 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
     }
     
     const devices = await enumerateVideoDevices();
+    const fingerprint = cameraFingerprint(devices, profile);
     
     // Debug log - check raw device objects
     // console.log('📷 Raw devices from enumeration:', devices.map(d => ({
@@ -362,6 +363,19 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
       tempStream.getTracks().forEach(track => track.stop());
     }
     
+    // 📦 CACHED CAMERA: with labels visible (the temp stream above granted permission), reuse
+    // the camera an earlier session picked for this same camera set - no per-camera torch probes
+    if (devices.some(device => device.label)) {
+      const cachedCamera = readCachedCamera(scanSide, fingerprint);
+      if (cachedCamera) {
+        console.log(`📦 Using cached camera: ${cachedCamera.label} (torch: ${cachedCamera.hasTorch})`);
+        await logToServer('camera-selection', 'Cached camera reused', {
+          camera: cachedCamera
+        });
+        return { ...cachedCamera, fromCache: true };
+      }
+    }
+    
     if (devices.length === 0) {
       console.log('📷 No video devices found, will use default');
       return { deviceId: null, hasTorch: false, facing: 'unknown', label: 'default' };
@@ -438,18 +452,13 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
     if (scanSide === 'back' && targetCameras.length > 1) {
       // console.log('🎯 Filtering and scoring cameras to prioritize main/wide cameras...');
       
-      // STEP 1: Filter out telephoto and ultra-wide cameras completely
+      // STEP 1: Filter out the lenses the profile excludes (telephoto, ultra-wide) completely
       const filteredCameras = targetCameras.filter(cam => {
         const label = (cam.label || '').toLowerCase();
-        const isTelephoto = label.includes('telephoto') || label.includes('tele') || label.includes('zoom');
-        const isUltraWide = label.includes('ultra');
+        const excluded = profile.excludedLabels.find(keyword => label.includes(keyword.toLowerCase()));
         
-        if (isTelephoto) {
-          // console.log(`🚫 EXCLUDING telephoto camera: ${cam.label}`);
-          return false;
-        }
-        if (isUltraWide) {
-          // console.log(`🚫 EXCLUDING ultra-wide camera: ${cam.label}`);
+        if (excluded) {
+          // console.log(`🚫 EXCLUDING ${excluded} camera: ${cam.label}`);
           return false;
         }
         return true;
@@ -460,7 +469,7 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
       // STEP 2: Score remaining cameras and sort
       const scoredCameras = filteredCameras.map(cam => ({
         ...cam,
-        score: scoreCameraForScanning(cam)
+        score: scoreCameraForScanning(cam, profile.preferredLabels)
       }));
       
       // Sort by score (highest first)
@@ -477,6 +486,24 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
       // console.log('✅ Will ONLY test main/wide cameras for torch - NO telephoto or ultra-wide');
     }
     
+    // Profile without torch: the best ranked back camera, no torch probing
+    if (scanSide === 'back' && targetCameras.length > 0 && !profile.torch) {
+      const selectedCamera = {
+        deviceId: targetCameras[0].deviceId || null,
+        hasTorch: false,
+        facing: targetCameras[0].facing,
+        label: targetCameras[0].label || 'Unknown',
+        skipTorch: true
+      };
+      
+      await logToServer('camera-selection', `Profile ${profile.id} - torch not used`, {
+        camera: selectedCamera
+      });
+      
+      saveCachedCamera(scanSide, fingerprint, selectedCamera);
+      return selectedCamera;
+    }
+    
     // For back-side scan, prioritize torch-capable cameras
     if (scanSide === 'back' && targetCameras.length > 0) {
       // console.log('🔦 ========================================');
@@ -564,7 +591,7 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
             camera: selectedCamera
           });
           
-
+          saveCachedCamera(scanSide, fingerprint, selectedCamera);
           return selectedCamera;
         } else {
           // console.log(`🔦 ❌ Camera does NOT support torch`);
@@ -632,6 +659,7 @@ export const findBestCameraForScan = async (scanSide = 'back') => {
         camera: result
       });
       
+      saveCachedCamera(scanSide, fingerprint, result);
       return result;
     }
     
@@ -748,12 +776,11 @@ const verifyPermissionWithDevices = async () => {
 
 // 🎯 ENHANCED CAMERA INITIALIZATION WITH WEBVIEW SUPPORT AND MULTI-CAMERA SELECTION
 // scanSide: 'front' for front-side card scan (user-facing camera), 'back' for back-side card scan (environment camera)
-// isIOSFlag: set to true to skip multicamera process and use primary camera only
-export const initializeCamera = async (videoRef, onPermissionDenied = null, scanSide = 'back', isIOSFlag = false) => {
+// cameraProfile: device camera profile to use; detected from the device and its camera labels when omitted
+export const initializeCamera = async (videoRef, onPermissionDenied = null, scanSide = 'back', cameraProfile = null) => {
   try {
     console.log('📹 Starting camera initialization...');
-    const iosDevice = isIOSFlag || isIOSDevice();
-    console.log(`📱 WebView environment: ${isWebView()}, Samsung device: ${isSamsungDevice()}, iOS device: ${iosDevice}`);
+    console.log(`📱 WebView environment: ${isWebView()}`);
     console.log(`🎯 Scan side: ${scanSide}`);
     
     // Step 1: Check current permission status
@@ -777,26 +804,16 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       throw new Error('NO_CAMERA');
     }
 
-    // Step 3: For iOS devices, skip multicamera process and use primary camera
-    let bestCamera;
-    if (iosDevice) {
-      console.log('📱 iOS device detected - using primary camera without multicamera selection process');
-      const facingMode = scanSide === 'front' ? 'user' : 'environment';
-      bestCamera = {
-        deviceId: null, // Let browser select the appropriate camera
-        label: 'Primary Camera',
-        hasTorch: false, // iOS handles torch differently, avoid complications
-        facing: scanSide,
-        error: null
-      };
-      console.log('📱 iOS camera setup:', bestCamera);
-    } else {
-      // Step 3: Find the best camera for this scan side (with torch preference for back scan)
-      console.log('📷 Searching for optimal camera...');
-      bestCamera = await findBestCameraForScan(scanSide);
-    }
+    // Step 3: Match the device camera profile (camera labels are visible once permission is granted)
+    const profile = cameraProfile || detectCameraProfile(
+      (await enumerateVideoDevices()).map(device => device.label).filter(Boolean)
+    );
+
+    // Step 3.0: Find the best camera for this scan side (with torch preference for back scan)
+    console.log('📷 Searching for optimal camera...');
+    const bestCamera = await findBestCameraForScan(scanSide, profile);
     
-    // Step 3.1: Check if camera selection returned an error (skip for iOS with skipTorch flag)
+    // Step 3.1: Check if camera selection returned an error (skip when the profile skipped torch probing)
     if (bestCamera.error && !bestCamera.skipTorch) {
       console.log('❌ Camera selection failed:', bestCamera.error);
       console.log('📝 Error message:', bestCamera.message);
@@ -826,7 +843,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       error: bestCamera.error || 'none'
     });
     
-    // Step 3.2: For back-side scan, verify torch capability (unless in TEST_MODE or iOS)
+    // Step 3.2: For back-side scan, verify torch capability (unless in TEST_MODE or torch probing was skipped)
     if (scanSide === 'back' && !bestCamera.hasTorch && !bestCamera.skipTorch) {
       if (TEST_MODE) {
         console.log('🧪 TEST MODE: Skipping torch verification for back-side scan');
@@ -842,7 +859,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
     }
     
     if (bestCamera.skipTorch) {
-      console.log('🍎 iOS mode: Torch requirements skipped - using default camera');
+      console.log(`📱 Profile "${profile.id}": Torch requirements skipped - using ${bestCamera.label}`);
     }
     
     if (scanSide === 'back' && bestCamera.hasTorch) {
@@ -850,7 +867,12 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       console.log(`🔦 Camera: ${bestCamera.label}`);
     }
 
-    // Step 4: Build constraints based on camera selection
+    // Step 4: Build constraints based on camera selection and the profile's resolution
+    const { resolution } = profile;
+    const size = {
+      width: { ideal: resolution.width, min: resolution.minWidth, max: resolution.maxWidth },
+      height: { ideal: resolution.height, min: resolution.minHeight, max: resolution.maxHeight }
+    };
     let constraints;
     
     if (bestCamera.deviceId) {
@@ -858,8 +880,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       constraints = {
         video: {
           deviceId: { exact: bestCamera.deviceId },
-          width: { ideal: 1280, min: 640, max: 1920 },
-          height: { ideal: 720, min: 480, max: 1080 }
+          ...size
         }
       };
       console.log(`📹 Using specific camera: ${bestCamera.label} (torch: ${bestCamera.hasTorch})`);
@@ -868,8 +889,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       const facingMode = scanSide === 'front' ? 'user' : 'environment';
       constraints = {
         video: { 
-          width: { ideal: 1280, min: 640, max: 1920 },
-          height: { ideal: 720, min: 480, max: 1080 },
+          ...size,
           facingMode: facingMode
         } 
       };
@@ -885,6 +905,13 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
     } catch (getUserMediaError) {
       console.error('❌ getUserMedia failed with specific constraints:', getUserMediaError);
       
+      // 📦 A cached camera that no longer opens: forget it and probe the cameras again
+      if (bestCamera.fromCache) {
+        console.log('📦 Cached camera failed to open - probing cameras again');
+        clearCachedCamera(scanSide);
+        return initializeCamera(videoRef, onPermissionDenied, scanSide, profile);
+      }
+      
       // For back-side scan with torch requirement, DO NOT fallback to facingMode
       // This would potentially select a camera without torch
       if (bestCamera.deviceId && bestCamera.hasTorch && scanSide === 'back') {
@@ -902,8 +929,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
         console.log('🔄 Retrying with facingMode fallback...');
         const fallbackConstraints = {
           video: { 
-            width: { ideal: 1280, min: 640, max: 1920 },
-            height: { ideal: 720, min: 480, max: 1080 },
+            ...size,
             facingMode: 'user'
           } 
         };
@@ -972,6 +998,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
     const activeTrack = videoTracks[0];
     selectedCameraDeviceId = bestCamera.deviceId || activeTrack.getSettings()?.deviceId || null;
     selectedCameraLabel = activeTrack.label || bestCamera.label || 'Unknown Camera';
+    selectedCameraFromCache = Boolean(bestCamera.fromCache);
     
     // Check torch support on the actual active stream
     const capabilities = activeTrack.getCapabilities();
@@ -987,8 +1014,16 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
       capabilities: capabilities
     });
     
-    // CRITICAL VERIFICATION: For back-side scan, ensure torch is available (unless in TEST_MODE)
-    if (scanSide === 'back' && !selectedCameraHasTorch) {
+    // 📦 The cached camera opened without the torch it had before: forget it and probe the cameras again
+    if (bestCamera.fromCache && bestCamera.hasTorch && !selectedCameraHasTorch) {
+      console.log('📦 Cached camera has no torch anymore - probing cameras again');
+      stream.getTracks().forEach(track => track.stop());
+      clearCachedCamera(scanSide);
+      return initializeCamera(videoRef, onPermissionDenied, scanSide, profile);
+    }
+    
+    // CRITICAL VERIFICATION: For back-side scan, ensure torch is available (unless in TEST_MODE or the profile does not use it)
+    if (scanSide === 'back' && profile.torch && !selectedCameraHasTorch) {
       if (TEST_MODE) {
         console.log('🧪 TEST MODE: Skipping torch verification on active stream');
         console.log('🧪 Stream obtained without torch capability - allowed for testing');
@@ -1015,6 +1050,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
     // Log final camera selection summary
     console.log('📷 === CAMERA SELECTION SUMMARY ===');
     console.log(`   Camera: ${selectedCameraLabel}`);
+    console.log(`   Profile: ${profile.id}`);
     console.log(`   Torch Support: ${selectedCameraHasTorch ? 'YES ✅' : 'NO ❌'}`);
     console.log(`   Scan Side: ${scanSide}`);
     console.log(`   Device ID: ${selectedCameraDeviceId ? selectedCameraDeviceId.substring(0, 12) + '...' : 'N/A'}`);    console.log(`   Scan Side: ${scanSide}`);
@@ -1095,7 +1131,7 @@ export const initializeCamera = async (videoRef, onPermissionDenied = null, scan
           stream.getTracks().forEach(track => track.stop());
           reject(new Error('VIDEO_LOAD_TIMEOUT'));
         }
-      }, 15000); // Longer timeout for WebView
+      }, profile.delays.videoLoadTimeoutMs); // Long enough for WebView
     });
 
   } catch (error) {
@@ -1242,10 +1278,11 @@ export const checkTorchSupport = async (videoRef) => {
 // 🔦 ENABLE TORCH/FLASHLIGHT (Enhanced for multi-camera reliability)
 export const enableTorch = async (videoRef) => {
   try {
-    // 📱 Skip torch operations on iOS - it causes zoom issues
-    if (isIOSDevice()) {
-      console.log('📱 iOS device detected - skipping torch enable to avoid zoom issues');
-      return { success: false, reason: 'iOS_SKIPPED', iosDevice: true };
+    // 📱 Skip torch operations when the device profile does not use it (iOS: it causes zoom issues)
+    const profile = getActiveCameraProfile();
+    if (!profile.torch) {
+      console.log(`📱 Profile "${profile.id}" does not use the torch - skipping torch enable`);
+      return { success: false, reason: 'PROFILE_SKIPPED', profile: profile.id };
     }
 
     console.log('🔦 Attempting to enable torch...');
@@ -1291,11 +1328,6 @@ export const enableTorch = async (videoRef) => {
         torchResult: result
       });
       
-      // On Samsung devices, try switching to a torch-capable camera
-      if (isSamsungDevice()) {
-        console.log('📱 Samsung device detected - torch may be on a different camera lens');
-      }
-      
       return { success: false, reason: 'NOT_SUPPORTED', cameraLabel: videoTrack.label };
     }
 
@@ -1435,10 +1467,11 @@ export const enableTorch = async (videoRef) => {
 // 🔦 DISABLE TORCH/FLASHLIGHT (Enhanced)
 export const disableTorch = async (videoRef) => {
   try {
-    // 📱 Skip torch operations on iOS - it causes zoom issues
-    if (isIOSDevice()) {
-      console.log('📱 iOS device detected - skipping torch disable');
-      return { success: true, reason: 'iOS_SKIPPED', iosDevice: true };
+    // 📱 Skip torch operations when the device profile does not use it
+    const profile = getActiveCameraProfile();
+    if (!profile.torch) {
+      console.log(`📱 Profile "${profile.id}" does not use the torch - skipping torch disable`);
+      return { success: true, reason: 'PROFILE_SKIPPED', profile: profile.id };
     }
 
     console.log('🔦 Disabling torch...');
@@ -1705,6 +1738,10 @@ export const resetCaptureState = () => {
 
 // � FRAME CROPPING UTILITIES
 
+// Padding added on each side of the card border frame when cropping, as a
+// share of the frame size
+export const CROP_PADDING = 0.09;
+
 /**
  * Get the crop coordinates for the card border area
  * Maps the white border position to video coordinates
@@ -1772,7 +1809,7 @@ export const getCropCoordinates = (videoRef) => {
     
     // 📏 REDUCE ZOOM: Add padding around the crop area (50% less zoom)
     // Instead of cropping exactly at the border, expand outward to capture more context
-    const paddingPercent = 0.09; // Add 13% padding on each side
+    const paddingPercent = CROP_PADDING;
     const paddingX = Math.round(cropWidth * paddingPercent);
     const paddingY = Math.round(cropHeight * paddingPercent);
     
@@ -1808,6 +1845,93 @@ export const getCropCoordinates = (videoRef) => {
   }
 };
 
+/**
+ * Draw the card border area of the current video frame onto a canvas
+ * Falls back to the full frame when the border cannot be located
+ * @returns {object|null} Crop coordinates, or null for a full frame
+ */
+export const drawCroppedFrame = (videoRef, canvas) => {
+  const video = videoRef.current;
+
+  // Check if video is ready
+  if (!video || video.readyState < 2) {
+    throw new Error('Video not ready for capture');
+  }
+
+  if (video.videoWidth === 0 || video.videoHeight === 0) {
+    throw new Error('Video has no dimensions');
+  }
+
+  // Get crop coordinates
+  const cropCoords = getCropCoordinates(videoRef);
+
+  if (!cropCoords) {
+    console.warn('⚠️ Could not get crop coordinates, using full frame');
+    // Fallback to full frame
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0);
+    return null;
+  }
+
+  // Validate crop dimensions before proceeding
+  if (cropCoords.width <= 0 || cropCoords.height <= 0) {
+    console.error('❌ Invalid crop dimensions:', cropCoords);
+    throw new Error('Invalid crop dimensions');
+  }
+
+  // Set canvas to crop dimensions
+  canvas.width = cropCoords.width;
+  canvas.height = cropCoords.height;
+
+  const ctx = canvas.getContext('2d');
+
+  // Clear canvas first
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Draw only the cropped region from video
+  // ctx.drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
+  ctx.drawImage(
+    video,
+    cropCoords.x,      // source x (where to start in video)
+    cropCoords.y,      // source y
+    cropCoords.width,  // source width (how much to take from video)
+    cropCoords.height, // source height
+    0,                 // destination x (where to place on canvas)
+    0,                 // destination y
+    cropCoords.width,  // destination width (canvas size)
+    cropCoords.height  // destination height
+  );
+
+  return cropCoords;
+};
+
+/**
+ * Encode a canvas as an image
+ * @param {string} type - 'image/jpeg' or 'image/webp'
+ * @returns {Promise<Blob>} Rejects when the browser produces no data or takes over 5s
+ */
+export const canvasToBlob = (canvas, type, quality = 0.95) =>
+  new Promise((resolve, reject) => {
+    const blobTimeout = setTimeout(() => reject(new Error('Frame creation timeout')), 5000);
+
+    canvas.toBlob((blob) => {
+      clearTimeout(blobTimeout);
+      if (blob && blob.size > 0) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to create frame from the screen'));
+      }
+    }, type, quality);
+  });
+
+/**
+ * Encode a canvas as JPEG
+ * @returns {Promise<Blob>} Rejects when the browser produces no data or takes over 5s
+ */
+export const canvasToJpeg = (canvas, quality = 0.95) => canvasToBlob(canvas, 'image/jpeg', quality);
+
 /**
  * Capture and crop frame to only the card border area
  * Returns both blob and data URL of the cropped image
@@ -1822,59 +1946,9 @@ export const captureCroppedFrame = async (videoRef, canvasRef, debugDownload = f
       
       const video = videoRef.current;
       const canvas = canvasRef.current;
-      
-      // Check if video is ready
-      if (video.readyState < 2) {
-        reject(new Error('Video not ready for capture'));
-        return;
-      }
-      
-      if (video.videoWidth === 0 || video.videoHeight === 0) {
-        reject(new Error('Video has no dimensions'));
-        return;
-      }
-      
-      // Get crop coordinates
-      const cropCoords = getCropCoordinates(videoRef);
-      
-      if (!cropCoords) {
-        console.warn('⚠️ Could not get crop coordinates, using full frame');
-        // Fallback to full frame
-        canvas.width = video.videoWidth;
-        canvas.height = video.videoHeight;
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(video, 0, 0);
-      } else {
-        // Validate crop dimensions before proceeding
-        if (cropCoords.width <= 0 || cropCoords.height <= 0) {
-          console.error('❌ Invalid crop dimensions:', cropCoords);
-          reject(new Error('Invalid crop dimensions'));
-          return;
-        }
-        
-        // Set canvas to crop dimensions
-        canvas.width = cropCoords.width;
-        canvas.height = cropCoords.height;
-        
-        const ctx = canvas.getContext('2d');
-        
-        // Clear canvas first
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        // Draw only the cropped region from video
-        // ctx.drawImage(image, sx, sy, sWidth, sHeight, dx, dy, dWidth, dHeight)
-        ctx.drawImage(
-          video,
-          cropCoords.x,      // source x (where to start in video)
-          cropCoords.y,      // source y
-          cropCoords.width,  // source width (how much to take from video)
-          cropCoords.height, // source height
-          0,                 // destination x (where to place on canvas)
-          0,                 // destination y
-          cropCoords.width,  // destination width (canvas size)
-          cropCoords.height  // destination height
-        );
-        
+      const cropCoords = drawCroppedFrame(videoRef, canvas);
+
+      if (cropCoords) {
         console.log('✅ Frame cropped to card border area:', {
           original: { w: video.videoWidth, h: video.videoHeight },
           cropped: { w: cropCoords.width, h: cropCoords.height }
@@ -1895,25 +1969,13 @@ export const captureCroppedFrame = async (videoRef, canvasRef, debugDownload = f
         downloadDebugFrame(dataUrl, cropCoords);
       }
       
-      // Convert to blob for API with timeout
-      let blobCreated = false;
-      const blobTimeout = setTimeout(() => {
-        if (!blobCreated) {
-          reject(new Error('Frame creation timeout'));
-        }
-      }, 5000); // 5 second timeout
-      
-      canvas.toBlob((blob) => {
-        blobCreated = true;
-        clearTimeout(blobTimeout);
-        
-        if (blob && blob.size > 0) {
+      // Convert to blob for API
+      canvasToJpeg(canvas)
+        .then((blob) => {
           console.log(`✅ Cropped frame ready: ${blob.size} bytes`);
           resolve({ blob, dataUrl, cropCoords });
-        } else {
-          reject(new Error('Failed to create frame from the screen'));
-        }
-      }, 'image/jpeg', 0.95);
+        })
+        .catch(reject);
       
     } catch (error) {
       console.error('❌ Frame crop error:', error);
@@ -1966,7 +2028,7 @@ export const resetDebugFrameCount = () => {
 export const getCameraDiagnostics = async (videoRef = null) => {
   const info = {
     isWebView: isWebView(),
-    isSamsung: isSamsungDevice(),
+    profile: getActiveCameraProfile(),
     userAgent: navigator.userAgent,
     hasMediaDevices: 'mediaDevices' in navigator,
     hasGetUserMedia: 'getUserMedia' in (navigator.mediaDevices || {}),
@@ -1975,7 +2037,8 @@ export const getCameraDiagnostics = async (videoRef = null) => {
     selectedCamera: {
       deviceId: selectedCameraDeviceId ? selectedCameraDeviceId.substring(0, 12) + '...' : null,
       label: selectedCameraLabel,
-      hasTorch: selectedCameraHasTorch
+      hasTorch: selectedCameraHasTorch,
+      fromCache: selectedCameraFromCache
     }
   };
   
@@ -0,0 +1,271 @@
+/**
+ * 📐 API REQUEST AND RESPONSE SCHEMAS
+ *
+ * One place for the shape of every payload the API routes accept or return.
+ * Device info sanitisation (device_Info casing, ipv4 / ipv6 as arrays for
+ * Laravel) happens here, so webview-entry and device-info share it.
+ */
+
+import { s } from "./validation";
+import { AUDIT_EVENTS, CLIENT_AUDIT_EVENTS } from "./auditLog";
+
+const id = (maxLength = 256) => s.string({ minLength: 1, maxLength });
+
+// ----------------------------------------------------------------------------
+// 📱 DEVICE INFO (sent by the Android app)
+// ----------------------------------------------------------------------------
+const simSchema = s.object(
+  {
+    sim: s.string({ coerce: true, maxLength: 32 }).nullable().optional(),
+    carrierId: s.number({ coerce: true, integer: true }).optional(),
+    mccmnc: s.string({ coerce: true, maxLength: 16 }).optional(),
+    simType: s.string({ maxLength: 32 }).optional(),
+    subscriptionId: s.number({ coerce: true, integer: true }).optional(),
+  },
+  { passthrough: true }
+);
+
+const networkSchema = s.object(
+  {
+    ipv4: s.oneOrMany(s.string({ maxLength: 64 }), { maxItems: 16 }).optional(),
+    ipv6: s.oneOrMany(s.string({ maxLength: 64 }), { maxItems: 16 }).optional(),
+    dns: s.oneOrMany(s.string({ maxLength: 64 }), { maxItems: 16 }).optional(),
+    activeTransports: s.oneOrMany(s.string({ maxLength: 32 }), { maxItems: 8 }).optional(),
+  },
+  { passthrough: true }
+);
+
+const deviceInfoFields = {
+  DeviceId: s.string({ coerce: true, maxLength: 256 }).optional(),
+  device: s.object({}, { passthrough: true }).optional(),
+  network: networkSchema.optional(),
+  sims: s.array(simSchema, { maxItems: 8 }).default(() => []),
+  location: s.object({}, { passthrough: true }).nullable().default(null),
+};
+
+const deviceInfoAliases = { DeviceId: ["deviceId", "device_id"] };
+
+export const deviceInfoSchema = s.object(deviceInfoFields, { aliases: deviceInfoAliases });
+
+// ----------------------------------------------------------------------------
+// 🚪 /api/webview-entry
+// ----------------------------------------------------------------------------
+export const webviewEntrySchema = s.object(
+  {
+    merchant_id: id(64),
+    auth_token: id(4096),
+    customer_id: s.string({ coerce: true, maxLength: 128 }).optional(),
+    // Checked on its own (webviewDeviceInfoSchema): device info is best-effort
+    device_info: s.any().optional(),
+  },
+  {
+    aliases: {
+      customer_id: ["customerId"],
+      device_info: ["device_Info", "deviceInfo"],
+    },
+  }
+);
+
+// device_info of webview-entry, as an object or a JSON string
+export const webviewDeviceInfoSchema = s.json(deviceInfoSchema);
+
+// A missing session is reported by redeemSession() as SESSION_REQUIRED
+export const webviewRedeemQuerySchema = s.object({
+  session: s.string({ maxLength: 256 }).optional(),
+  token: s.string({ maxLength: 256 }).optional(),
+});
+
+// POST with Accept: application/json - the app reads the secret, then loads url
+export const webviewEntryResponseSchema = s.object({
+  success: s.boolean(),
+  sessionId: s.string(),
+  releaseSecret: s.string(),
+  url: s.string(),
+});
+
+export const sessionRedemptionResponseSchema = s.object({
+  success: s.boolean(),
+  merchantId: s.string().nullable().optional(),
+  authToken: s.string().nullable().optional(),
+  voiceUserId: s.string().nullable().optional(),
+  legacyVoiceUserId: s.string().nullable().optional(),
+  identitySource: s.string().nullable().optional(),
+  uploadBandwidthKbps: s.number().nullable().optional(),
+  deviceModel: s.string().nullable().optional(),
+  createdAt: s.number(),
+});
+
+// ----------------------------------------------------------------------------
+// 📱 /api/device-info (forwarded to Laravel)
+// ----------------------------------------------------------------------------
+export const deviceInfoForwardSchema = s.object(
+  {
+    ...deviceInfoFields,
+    merchantId: id(64),
+    sessionId: id(),
+    timestamp: s.number({ coerce: true, integer: true, min: 0 }).default(() => Date.now()),
+  },
+  { aliases: deviceInfoAliases }
+);
+
+export const deviceInfoResponseSchema = s.object(
+  {
+    success: s.boolean(),
+    received: deviceInfoForwardSchema,
+    message: s.string(),
+  },
+  { passthrough: true }
+);
+
+// ----------------------------------------------------------------------------
+// 🔒 /api/secure-results
+// ----------------------------------------------------------------------------
+export const secureResultStoreSchema = s.object({
+  sessionId: id(),
+  merchantId: s.string({ maxLength: 64 }).nullable().optional(),
+  scanData: s.object({}, { passthrough: true }),
+});
+
+export const secureResultVerifySchema = s.object({
+  resultId: id(),
+  verificationId: id(),
+  assertion: s.string({ maxLength: 8192 }).optional(),
+});
+
+export const secureResultQuerySchema = s
+  .object({
+    sessionId: s.string({ maxLength: 256 }).optional(),
+    resultId: s.string({ maxLength: 256 }).optional(),
+    releaseSecret: s.string({ maxLength: 256 }).optional(),
+  })
+  .refine((query) =>
+    query.sessionId || query.resultId ? null : "sessionId or resultId is required"
+  );
+
+export const secureResultDeleteQuerySchema = s.object({
+  resultId: id(),
+  releaseSecret: s.string({ maxLength: 256 }).optional(),
+});
+
+export const secureResultStoredResponseSchema = s.object({
+  success: s.boolean(),
+  resultId: s.string(),
+  status: s.string({ oneOf: ["pending_voice_verification"] }),
+  complete_scan: s.boolean(),
+  message: s.string(),
+});
+
+export const secureResultReleasedResponseSchema = s.object(
+  {
+    success: s.boolean(),
+    status: s.string({ oneOf: ["verified"] }),
+    complete_scan: s.boolean(),
+    voice_verified: s.boolean(),
+    verificationId: s.string(),
+    verifiedAt: s.number(),
+  },
+  { passthrough: true }
+);
+
+// ----------------------------------------------------------------------------
+// 📡 /api/scan-complete
+// ----------------------------------------------------------------------------
+export const scanCompleteSchema = s.object(
+  {
+    status: s.string({ maxLength: 64 }).optional(),
+    scan_id: s.string({ coerce: true, maxLength: 256 }).optional(),
+    session_id: s.string({ maxLength: 256 }).nullable().optional(),
+    merchant_id: s.string({ maxLength: 64 }).nullable().optional(),
+    complete_scan: s.boolean().optional(),
+    voice_verified: s.boolean().optional(),
+  },
+  { passthrough: true }
+);
+
+export const scanCompleteResponseSchema = s.object(
+  {
+    status: s.string(),
+    complete_scan: s.boolean(),
+    voice_verified: s.boolean(),
+  },
+  { passthrough: true }
+);
+
+// ----------------------------------------------------------------------------
+// 🚀 /api/start-scan
+// ----------------------------------------------------------------------------
+export const startScanSchema = s.object({
+  merchant_id: s.string({ minLength: 5, maxLength: 64 }),
+  auth_token: id(4096),
+  device_info: s.any().optional(),
+});
+
+// ----------------------------------------------------------------------------
+// 📝 /api/client-log and /api/debug-camera (free-form debug payloads)
+// ----------------------------------------------------------------------------
+const auditReportSchema = s.object({
+  type: s.string({ oneOf: CLIENT_AUDIT_EVENTS }),
+  sessionId: s.string({ maxLength: 256 }).nullable().optional(),
+  merchantId: s.string({ maxLength: 64 }).nullable().optional(),
+  outcome: s.string({ maxLength: 32 }).optional(),
+  details: s.object({}, { passthrough: true }).optional(),
+});
+
+export const clientLogSchema = s.object(
+  {
+    level: s.string({ oneOf: ["debug", "info", "warn", "error"] }).optional(),
+    message: s.string({ maxLength: 2000 }).optional(),
+    audit: auditReportSchema.optional(),
+  },
+  { passthrough: true }
+);
+
+export const debugCameraSchema = s.object(
+  {
+    type: s.string({ maxLength: 64 }).optional(),
+    message: s.string({ maxLength: 2000 }).optional(),
+    cameras: s.array(s.object({}, { passthrough: true }), { maxItems: 32 }).optional(),
+  },
+  { passthrough: true }
+);
+
+// ----------------------------------------------------------------------------
+// 📜 /api/admin/audit
+// ----------------------------------------------------------------------------
+export const auditQuerySchema = s
+  .object({
+    sessionId: s.string({ maxLength: 256 }).optional(),
+    merchantId: s.string({ maxLength: 64 }).optional(),
+    type: s.string({ oneOf: Object.values(AUDIT_EVENTS) }).optional(),
+    limit: s.number({ coerce: true, integer: true, min: 1, max: 5000 }).optional(),
+  })
+  .refine((query) =>
+    query.sessionId || query.merchantId ? null : "sessionId or merchantId is required"
+  );
+
+export const auditQueryResponseSchema = s.object({
+  success: s.boolean(),
+  count: s.number({ integer: true, min: 0 }),
+  chain: s.object({ valid: s.boolean() }, { passthrough: true }),
+  entries: s.array(s.object({}, { passthrough: true }), { maxItems: 5000 }),
+});
+
+// ----------------------------------------------------------------------------
+// 🧪 /api/mock (local mock backend, multipart files are not validated)
+// ----------------------------------------------------------------------------
+export const mockDetectSchema = s.object({
+  phase: s.string({ oneOf: ["front", "back", "validation"] }),
+  session_id: id(),
+});
+
+export const mockVoiceSchema = s.object({
+  user_id: id(),
+  merchant_id: id(64),
+  session_id: s.string({ maxLength: 256 }).optional(),
+});
+
+export const mockMerchantQuerySchema = s.object({
+  merchantId: id(64),
+});
+
+export const mockReportSchema = s.object({}, { passthrough: true });
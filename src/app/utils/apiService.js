@@ -1,8 +1,214 @@
+import { getPublicConfig } from "./config";
+import { redactForLog } from "./displayPolicy";
+
+// Upload of one frame, from send to response
+export const FRAME_UPLOAD_TIMEOUT_MS = 15000;
+
+// error.code of requests that never got a response
+export const REQUEST_ERRORS = {
+  ABORTED: "ABORTED",
+  TIMEOUT: "TIMEOUT",
+  NETWORK: "NETWORK",
+};
+
+// Frame uploads are retried only where the backend cannot have taken the frame:
+// a network error before the body was fully sent, or a gateway status below.
+// Timeouts and errors after the body was sent are not: detect may already
+// have counted the frame
+export const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 500, // doubles with every retry, with jitter
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 15000, // a longer Retry-After is not waited for
+};
+
+// Gateway statuses for a detect service that was unreachable or refused the
+// request. A 504 is not among them: the service may still be working on it
+const RETRYABLE_STATUSES = [502, 503];
+
+const requestError = (code, message) => Object.assign(new Error(message), { code });
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+/**
+ * Wait until the browser is online
+ * @param {AbortSignal} signal - Stops waiting (rejects with error.code ABORTED)
+ * @returns {Promise<boolean>} true when it had to wait for the connection
+ */
+export const waitForConnection = (signal = null) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(requestError(REQUEST_ERRORS.ABORTED, "Request aborted"));
+      return;
+    }
+    if (!isOffline()) {
+      resolve(false);
+      return;
+    }
+
+    const cleanup = () => {
+      window.removeEventListener("online", onOnline);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onOnline = () => {
+      cleanup();
+      resolve(true);
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(requestError(REQUEST_ERRORS.ABORTED, "Request aborted"));
+    };
+    window.addEventListener("online", onOnline);
+    signal?.addEventListener("abort", onAbort);
+  });
+
+// setTimeout as a promise that rejects with ABORTED when signal aborts
+const delay = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(requestError(REQUEST_ERRORS.ABORTED, "Request aborted"));
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort);
+  });
+
+/**
+ * Retry-After header in milliseconds
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} null when missing or unreadable
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value.trim()) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with jitter: between half and all of base * 2^retry
+const backoffDelay = (retry, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+  return ceiling / 2 + (Math.random() * ceiling) / 2;
+};
+
+/**
+ * XMLHttpRequest as a promise that can be cancelled and times out
+ * @param {object} options - { method, url, headers, body, signal, timeoutMs, onUploaded }
+ *   signal is an AbortSignal; aborting it aborts the request. onUploaded
+ *   receives the ms it took to send the body, once it is sent
+ * @returns {Promise<XMLHttpRequest>} Resolves once a response arrives, whatever
+ *   its status; rejects with error.code ABORTED, TIMEOUT or NETWORK. A NETWORK
+ *   error carries bodySent: true when it came after the whole body was sent
+ */
+const sendXhr = ({ method, url, headers = {}, body = null, signal = null, timeoutMs = 0, onUploaded = null }) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(requestError(REQUEST_ERRORS.ABORTED, "Request aborted"));
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const finish = (settleWith, value) => {
+      signal?.removeEventListener("abort", onAbort);
+      settleWith(value);
+    };
+
+    xhr.open(method, url);
+    xhr.timeout = timeoutMs;
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    let bodySent = false;
+    xhr.onload = () => finish(resolve, xhr);
+    xhr.onerror = () =>
+      finish(reject, Object.assign(requestError(REQUEST_ERRORS.NETWORK, "Network error occurred"), { bodySent }));
+    xhr.ontimeout = () =>
+      finish(reject, requestError(REQUEST_ERRORS.TIMEOUT, `Request timed out after ${timeoutMs}ms`));
+    xhr.onabort = () => finish(reject, requestError(REQUEST_ERRORS.ABORTED, "Request aborted"));
+
+    const sentAt = Date.now();
+    xhr.upload.onload = () => {
+      bodySent = true;
+      if (onUploaded) onUploaded(Date.now() - sentAt);
+    };
+
+    signal?.addEventListener("abort", onAbort);
+    xhr.send(body);
+  });
+
+/**
+ * sendXhr with retries on network errors before the body was sent and on
+ * gateway statuses (RETRYABLE_STATUSES)
+ * While the browser is offline nothing is sent and no retry is used up:
+ * the request waits for the connection and goes on from there
+ * @param {object} options - sendXhr options
+ * @param {object} policy - RETRY_POLICY, or { maxRetries: 0 } for a single attempt
+ * @param {string} label - Names the request in logs
+ * @returns {Promise<XMLHttpRequest>} The last response; rejects like sendXhr
+ */
+const sendXhrWithRetry = async (options, policy, label) => {
+  const retryPolicy = { ...RETRY_POLICY, ...policy };
+  const { maxRetries, maxRetryAfterMs } = retryPolicy;
+  let retries = 0;
+
+  for (;;) {
+    if (await waitForConnection(options.signal)) console.log(`📶 ${label}: back online - sending`);
+
+    let xhr = null;
+    let networkError = null;
+    try {
+      xhr = await sendXhr(options);
+    } catch (error) {
+      if (error.code !== REQUEST_ERRORS.NETWORK) throw error;
+      networkError = error;
+    }
+
+    if (networkError && !networkError.bodySent && isOffline()) {
+      console.log(`📵 ${label}: offline - waiting for the connection`);
+      continue;
+    }
+
+    const retryable = networkError ? !networkError.bodySent : RETRYABLE_STATUSES.includes(xhr.status);
+    if (!retryable || retries >= maxRetries) {
+      if (networkError) throw networkError;
+      return xhr;
+    }
+
+    const retryAfterMs = xhr ? parseRetryAfter(xhr.getResponseHeader("Retry-After")) : null;
+    if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) return xhr;
+
+    const waitMs = retryAfterMs ?? backoffDelay(retries, retryPolicy);
+    retries++;
+    console.log(
+      `🔁 ${label}: ${networkError ? "network error" : `status ${xhr.status}`} - retry ${retries}/${maxRetries} in ${Math.round(waitMs)}ms`
+    );
+    await delay(waitMs, options.signal);
+  }
+};
+
+/**
+ * Upload one frame to detect
+ * @param {Blob} frameBlob - JPEG of the frame
+ * @param {string} phase - "front" or "back"
+ * @param {string} sessionId - Scan session ID
+ * @param {number} frameNumber - Number of the frame within the side
+ * @param {Blob} debugCropBlob - Original crop, sent alongside the rectified frame when debugging
+ * @param {object} options - { signal, timeoutMs, retry, onUploadTimed } signal is an
+ *   AbortSignal that cancels the upload; timeoutMs applies to each attempt; retry
+ *   overrides RETRY_POLICY; onUploadTimed receives { bytes, uploadMs } of each sent body
+ * @returns {Promise<object>} Detect response; rejects with error.code from
+ *   REQUEST_ERRORS when no response arrived
+ */
 export const sendFrameToAPI = async (
   frameBlob,
   phase,
   sessionId,
-  frameNumber
+  frameNumber,
+  debugCropBlob = null,
+  { signal = null, timeoutMs = FRAME_UPLOAD_TIMEOUT_MS, retry = RETRY_POLICY, onUploadTimed = null } = {}
 ) => {
   let merchantId, authToken;
   // :white_check_mark: Extract merchantId and authToken from WebView context
@@ -21,52 +227,104 @@ export const sendFrameToAPI = async (
   // const apiUrl = `https://477a9ab44259.ngrok-free.app/detect/${merchantId}`;
 
   // backend server
-  const apiUrl = `${process.env.NEXT_PUBLIC_API_URL}/detect/${merchantId}`;
+  const apiUrl = `${getPublicConfig().apiUrl}/detect/${merchantId}`;
 
 
 
-  const file = new File([frameBlob], `${phase}_frame_${frameNumber}.jpg`, {
-    type: "image/jpeg",
+  // Frames come as JPEG or WebP (frameEncoder.js)
+  const type = frameBlob.type || "image/jpeg";
+  const file = new File([frameBlob], `${phase}_frame_${frameNumber}.${type === "image/webp" ? "webp" : "jpg"}`, {
+    type,
   });
   // :white_check_mark: Build FormData (do NOT set Content-Type manually)
   const formData = new FormData();
   formData.append("file", file);
   formData.append("phase", phase);
   formData.append("session_id", sessionId);
-  
+  if (debugCropBlob) {
+    formData.append(
+      "debug_crop",
+      new File([debugCropBlob], `${phase}_frame_${frameNumber}_crop.jpg`, { type: "image/jpeg" })
+    );
+  }
+
   // 🔒 CRITICAL: Use XMLHttpRequest instead of fetch to bypass mobile interceptor
   // Mobile apps intercept window.fetch, but NOT XMLHttpRequest
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
-    xhr.open("POST", apiUrl);
-    xhr.setRequestHeader("auth-token", encodeURIComponent(authToken));
-    xhr.setRequestHeader("ngrok-skip-browser-warning", "true");
-    
-    xhr.onload = function() {
-      if (xhr.status >= 200 && xhr.status < 300) {
-        try {
-          const data = JSON.parse(xhr.responseText);
-          console.log("Response of API: ", data);
-          resolve(data);
-        } catch (error) {
-          console.error(":x: Failed to parse API response:", error);
-          reject(new Error("Failed to parse API response"));
-        }
-      } else {
-        const errorText = xhr.responseText;
-        if (!errorText.includes("wait_for_front") && !errorText.includes("wait_for_back")) {
-          console.error(":x: API Error:", errorText);
-        }
-        reject(new Error(`API request failed with status ${xhr.status}`));
-      }
-    };
-    
-    xhr.onerror = function() {
-      reject(new Error("Network error occurred"));
-    };
-    
-    xhr.send(formData);
+  let xhr;
+  try {
+    xhr = await sendXhrWithRetry(
+      {
+        method: "POST",
+        url: apiUrl,
+        headers: {
+          "auth-token": encodeURIComponent(authToken),
+          "ngrok-skip-browser-warning": "true",
+        },
+        body: formData,
+        signal,
+        timeoutMs,
+        onUploaded:
+          onUploadTimed &&
+          ((uploadMs) => onUploadTimed({ bytes: frameBlob.size + (debugCropBlob?.size || 0), uploadMs })),
+      },
+      retry,
+      `Frame ${phase} #${frameNumber}`
+    );
+  } catch (error) {
+    // A cancelled upload is not a failed one: the scan that sent it is over.
+    // Errors thrown by the browser itself (DOMException) have numeric or no codes
+    if (error.code !== REQUEST_ERRORS.ABORTED) {
+      reportAuditEvent("frame_submitted", {
+        outcome: "failure",
+        details: { phase, frameNumber, scanSessionId: sessionId, error: String(error.code ?? "unknown").toLowerCase() },
+      });
+    }
+    throw error;
+  }
+
+  reportAuditEvent("frame_submitted", {
+    outcome: xhr.status >= 200 && xhr.status < 300 ? "success" : "failure",
+    details: { phase, frameNumber, scanSessionId: sessionId, status: xhr.status, bytes: frameBlob.size },
   });
+
+  if (xhr.status >= 200 && xhr.status < 300) {
+    try {
+      const data = JSON.parse(xhr.responseText);
+      console.log("Response of API: ", redactForLog(data));
+      return data;
+    } catch (error) {
+      console.error(":x: Failed to parse API response:", error);
+      throw new Error("Failed to parse API response");
+    }
+  }
+
+  const errorText = xhr.responseText;
+  if (!errorText.includes("wait_for_front") && !errorText.includes("wait_for_back")) {
+    console.error(":x: API Error:", errorText);
+  }
+  throw Object.assign(new Error(`API request failed with status ${xhr.status}`), { status: xhr.status });
+};
+
+/**
+ * Whether a voice user ID has an active voice enrollment
+ * @param {string} userId - Voice user ID
+ * @returns {Promise<boolean|null>} null when the voice service could not tell
+ */
+export const checkVoiceEnrollment = async (userId) => {
+  try {
+    const response = await fetch(
+      `${getPublicConfig().adminApiUrl}/api/voice/register/${encodeURIComponent(userId)}`
+    );
+    if (response.status === 404) return false;
+    if (!response.ok) return null;
+
+    // { success: true, data: { status: "active" } } once the user is enrolled
+    const data = await response.json();
+    return Boolean(data.success && data.data && data.data.status === "active");
+  } catch (error) {
+    console.error("❌ Error checking voice enrollment:", error);
+    return null;
+  }
 };
 
 /**
@@ -100,7 +358,7 @@ export const reportFailure = async (
       return;
     }
 
-    const apiUrl = `${process.env.NEXT_PUBLIC_API_URL}/report_failure`;
+    const apiUrl = `${getPublicConfig().apiUrl}/report_failure`;
 
     const payload = {
       scan_id: scanId || "",
@@ -112,6 +370,11 @@ export const reportFailure = async (
 
     console.log("📤 Sending failure report:", payload);
 
+    reportAuditEvent("failure_reported", {
+      outcome: "failure",
+      details: { scanSessionId: sessionId, reason: payload.reason, stage: payload.stage },
+    });
+
     const response = await fetch(apiUrl, {
       method: "POST",
       headers: {
@@ -133,3 +396,30 @@ export const reportFailure = async (
     console.error("❌ Error sending failure report:", error);
   }
 };
+
+
+/**
+ * Record a scan lifecycle event in the server-side audit trail
+ * Fire-and-forget: audit reporting never blocks or fails the scan
+ * @param {string} type - Event type (frame_submitted, screen_detect_verdict, scan_success_reported,
+ *   card_validation_failed, voice_verified_reported, failure_reported)
+ * @param {object} options - { outcome, details }
+ */
+export const reportAuditEvent = (type, { outcome = "success", details = {} } = {}) => {
+  const auth = typeof window !== "undefined" ? window.__WEBVIEW_AUTH__ : null;
+
+  fetch("/securityscan/api/client-log", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      message: `Audit: ${type}`,
+      audit: {
+        type,
+        sessionId: auth?.webviewSessionId || null,
+        merchantId: auth?.merchantId || null,
+        outcome,
+        details,
+      },
+    }),
+  }).catch((error) => console.warn("⚠️ Could not report audit event:", error.message));
+};
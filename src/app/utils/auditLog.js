@@ -0,0 +1,290 @@
+/**
+ * 📜 TAMPER-EVIDENT AUDIT TRAIL
+ *
+ * Append-only record of every step in the scan lifecycle.
+ *
+ * HASH CHAIN:
+ * - Every entry carries a sequence number, the previous entry's hash and its
+ *   own SHA-256 hash over both plus its contents
+ * - Editing an entry breaks its hash; deleting one breaks the sequence and the
+ *   next entry's prevHash, so verifyAuditChain() reports where it happened
+ * - Deleting the last entries leaves a shorter chain that is still valid on its
+ *   own, so the head (seq + hash of the last entry) is also kept apart from the
+ *   log and the chain is checked against it. This only catches truncation if
+ *   the head file is out of reach of whoever can edit the log
+ *
+ * CLIENT EVENTS:
+ * - Events reported by the browser are recorded with source "client", only for
+ *   sessions the server issued, and under their own types: scan_success and
+ *   voice_verified are written only by the routes that check them
+ *
+ * STORAGE (same STORE_BACKEND setting as the store adapters):
+ * - "memory" → the last MEMORY_LOG_LIMIT entries, kept in the server process
+ * - "file"   → one JSON line per entry in STORE_DIR/audit.jsonl, head in
+ *   AUDIT_HEAD_FILE (default STORE_DIR/audit.head.json)
+ *   (one writer process per file keeps the chain linear). Every
+ *   FILE_SEGMENT_ENTRIES entries the log is moved to
+ *   audit.<firstSeq>-<lastSeq>.jsonl and a new one is started
+ * Either way the head also keeps the anchor: seq + hash of the last entry no
+ * longer in the live log. The live log is verified from there, so dropping or
+ * moving old entries does not read as a broken chain. Queries only cover the
+ * live log; moved segments each link to the one before them for offline checks.
+ */
+
+import crypto from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import { getServerConfig } from "./config";
+
+const DEFAULT_STORE_DIR = path.join(process.cwd(), ".data", "store");
+const GENESIS_HASH = "0".repeat(64);
+const GENESIS = { seq: 0, hash: GENESIS_HASH };
+
+const MEMORY_LOG_LIMIT = 10000;
+const FILE_SEGMENT_ENTRIES = 50000;
+
+// Lifecycle events recorded in the audit trail
+export const AUDIT_EVENTS = {
+  SESSION_CREATED: "session_created",
+  SESSION_REDEEMED: "session_redeemed",
+  FRAME_SUBMITTED: "frame_submitted",
+  SCREEN_DETECT_VERDICT: "screen_detect_verdict",
+  SCAN_SUCCESS: "scan_success",
+  CARD_VALIDATION_FAILED: "card_validation_failed",
+  VOICE_VERIFIED: "voice_verified",
+  DATA_RELEASED: "data_released",
+  FAILURE_REPORTED: "failure_reported",
+  // What the browser says happened; the server-checked events are above
+  SCAN_SUCCESS_REPORTED: "scan_success_reported",
+  VOICE_VERIFIED_REPORTED: "voice_verified_reported",
+};
+
+// Events the browser is allowed to report through /api/client-log
+export const CLIENT_AUDIT_EVENTS = [
+  AUDIT_EVENTS.FRAME_SUBMITTED,
+  AUDIT_EVENTS.SCREEN_DETECT_VERDICT,
+  AUDIT_EVENTS.SCAN_SUCCESS_REPORTED,
+  AUDIT_EVENTS.CARD_VALIDATION_FAILED,
+  AUDIT_EVENTS.VOICE_VERIFIED_REPORTED,
+  AUDIT_EVENTS.FAILURE_REPORTED,
+];
+
+// ----------------------------------------------------------------------------
+// 💾 STORAGE
+// ----------------------------------------------------------------------------
+const memoryLog = [];
+let memoryAnchor = GENESIS;
+
+const isFileBackend = () => getServerConfig().storeBackend === "file";
+const auditFilePath = () =>
+  path.join(getServerConfig().storeDir || DEFAULT_STORE_DIR, "audit.jsonl");
+const headFilePath = () =>
+  getServerConfig().auditHeadFile ||
+  path.join(getServerConfig().storeDir || DEFAULT_STORE_DIR, "audit.head.json");
+const segmentFilePath = (firstSeq, lastSeq) =>
+  path.join(getServerConfig().storeDir || DEFAULT_STORE_DIR, `audit.${firstSeq}-${lastSeq}.jsonl`);
+
+const readEntries = async () => {
+  if (!isFileBackend()) return memoryLog.slice();
+
+  try {
+    const raw = await fs.readFile(auditFilePath(), "utf8");
+    return raw
+      .split("\n")
+      .filter((line) => line.trim() !== "")
+      .map((line) => JSON.parse(line));
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+};
+
+// Head of the chain as last written ({ seq, hash, anchor }), null before the first entry
+const readHead = async () => {
+  if (!isFileBackend()) {
+    const last = memoryLog[memoryLog.length - 1];
+    return last ? { seq: last.seq, hash: last.hash, anchor: memoryAnchor } : null;
+  }
+
+  try {
+    const head = JSON.parse(await fs.readFile(headFilePath(), "utf8"));
+    return { ...head, anchor: head.anchor || GENESIS };
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Store an entry, dropping or moving old ones once the live log is full
+ * @param {object} entry - Hashed entry
+ * @param {object} anchor - { seq, hash } the live log continues from
+ * @returns {Promise<object>} Anchor after this append
+ */
+const appendEntry = async (entry, anchor) => {
+  if (!isFileBackend()) {
+    memoryLog.push(entry);
+    if (memoryLog.length > MEMORY_LOG_LIMIT) {
+      const dropped = memoryLog.shift();
+      memoryAnchor = { seq: dropped.seq, hash: dropped.hash };
+    }
+    return memoryAnchor;
+  }
+  await fs.mkdir(path.dirname(auditFilePath()), { recursive: true });
+  await fs.appendFile(auditFilePath(), `${JSON.stringify(entry)}\n`);
+
+  let nextAnchor = anchor;
+  if (entry.seq - anchor.seq >= FILE_SEGMENT_ENTRIES) {
+    await fs.rename(auditFilePath(), segmentFilePath(anchor.seq + 1, entry.seq));
+    nextAnchor = { seq: entry.seq, hash: entry.hash };
+    console.log(`📜 [Audit] Log moved to segment ${anchor.seq + 1}-${entry.seq}`);
+  }
+
+  // Replaced whole, so an interrupted write never leaves a half-written head
+  const head = headFilePath();
+  await fs.mkdir(path.dirname(head), { recursive: true });
+  await fs.writeFile(`${head}.tmp`, JSON.stringify({ seq: entry.seq, hash: entry.hash, anchor: nextAnchor }));
+  await fs.rename(`${head}.tmp`, head);
+  return nextAnchor;
+};
+
+// ----------------------------------------------------------------------------
+// 🔗 HASH CHAIN
+// ----------------------------------------------------------------------------
+const hashEntry = (entry) =>
+  crypto
+    .createHash("sha256")
+    .update(
+      JSON.stringify([
+        entry.seq,
+        entry.prevHash,
+        entry.timestamp,
+        entry.type,
+        entry.sessionId,
+        entry.merchantId,
+        entry.outcome,
+        entry.source,
+        entry.details,
+      ])
+    )
+    .digest("hex");
+
+// Appends are serialized so every entry links to the one before it
+let chainHead = null;
+let appendQueue = Promise.resolve();
+
+// Continues from the stored head when the log stops short of it, so entries
+// appended after a truncation still point at the missing ones
+const loadChainHead = async () => {
+  if (chainHead) return chainHead;
+  const [entries, stored] = await Promise.all([readEntries(), readHead()]);
+  const last = entries[entries.length - 1];
+  const anchor = stored ? stored.anchor : GENESIS;
+  if (stored && (!last || stored.seq > last.seq)) chainHead = stored;
+  else chainHead = last ? { seq: last.seq, hash: last.hash, anchor } : { ...GENESIS, anchor };
+  return chainHead;
+};
+
+/**
+ * Append an event to the audit trail
+ * @param {object} event - { type, sessionId, merchantId, outcome, details, source }
+ * @returns {Promise<object|null>} The stored entry, or null if it could not be written
+ */
+export const recordAuditEvent = ({
+  type,
+  sessionId = null,
+  merchantId = null,
+  outcome = "success",
+  details = {},
+  source = "server",
+}) => {
+  const run = appendQueue.then(async () => {
+    try {
+      const head = await loadChainHead();
+      const entry = {
+        seq: head.seq + 1,
+        prevHash: head.hash,
+        timestamp: new Date().toISOString(),
+        type,
+        sessionId,
+        merchantId,
+        outcome,
+        source,
+        details,
+      };
+      entry.hash = hashEntry(entry);
+
+      const anchor = await appendEntry(entry, head.anchor);
+      chainHead = { seq: entry.seq, hash: entry.hash, anchor };
+
+      console.log(`📜 [Audit] #${entry.seq} ${type} (${outcome}) session=${sessionId || "-"}`);
+      return entry;
+    } catch (error) {
+      // Never let audit failures break the request being audited
+      console.error("❌ [Audit] Could not record event:", type, error.message);
+      return null;
+    }
+  });
+
+  appendQueue = run;
+  return run;
+};
+
+/**
+ * Check that a list of entries forms an unbroken hash chain
+ * @param {Array<object>} entries - Entries in sequence order
+ * @param {object|null} head - { seq, hash } the chain must end at, when known
+ * @param {object} anchor - { seq, hash } of the entry before the first one
+ *   (the start of the chain when nothing was dropped)
+ * @returns {{valid: boolean, checked: number, brokenAt?: number, reason?: string}}
+ */
+export const verifyAuditChain = (entries, head = null, anchor = GENESIS) => {
+  let expectedPrev = anchor.hash;
+  let expectedSeq = anchor.seq + 1;
+
+  for (const entry of entries) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked: entries.length, brokenAt: expectedSeq, reason: "missing_entry" };
+    }
+    if (entry.prevHash !== expectedPrev) {
+      return { valid: false, checked: entries.length, brokenAt: entry.seq, reason: "broken_link" };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, checked: entries.length, brokenAt: entry.seq, reason: "modified_entry" };
+    }
+    expectedPrev = entry.hash;
+    expectedSeq++;
+  }
+
+  // The head may lag one write behind the log (interrupted append), never ahead of it
+  if (head && head.seq > anchor.seq) {
+    const atHead = entries[head.seq - anchor.seq - 1];
+    if (!atHead) {
+      return { valid: false, checked: entries.length, brokenAt: expectedSeq, reason: "truncated" };
+    }
+    if (atHead.hash !== head.hash) {
+      return { valid: false, checked: entries.length, brokenAt: head.seq, reason: "modified_entry" };
+    }
+  }
+
+  return { valid: true, checked: entries.length };
+};
+
+/**
+ * Query the audit trail
+ * @param {object} filters - { sessionId, merchantId, type, limit }
+ * @returns {Promise<{entries: Array<object>, chain: object}>}
+ */
+export const queryAuditEvents = async ({ sessionId, merchantId, type, limit = 500 } = {}) => {
+  // Wait for pending appends so the chain check sees a consistent log
+  await appendQueue;
+  const [allEntries, head] = await Promise.all([readEntries(), readHead()]);
+
+  const entries = allEntries
+    .filter((entry) => !sessionId || entry.sessionId === sessionId)
+    .filter((entry) => !merchantId || entry.merchantId === merchantId)
+    .filter((entry) => !type || entry.type === type)
+    .slice(-limit);
+
+  return { entries, chain: { ...verifyAuditChain(allEntries, head, head?.anchor || GENESIS), head } };
+};
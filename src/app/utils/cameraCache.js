@@ -0,0 +1,108 @@
+/**
+ * 📦 BEST-CAMERA CACHE
+ *
+ * Remembers which camera findBestCameraForScan picked, so later sessions on
+ * the same device skip the per-camera temp streams and torch probes (seconds
+ * on phones with several back lenses). One facingMode stream is still opened
+ * first: labels and stable deviceIds need camera permission in this page.
+ *
+ * - Kept in localStorage per scan side, with the deviceId, label and torch
+ *   result of the winning camera
+ * - Keyed by a fingerprint of the camera set (every deviceId and label) and
+ *   the device camera profile: a new or removed lens, reset camera
+ *   permissions (new deviceIds) or a changed profile means a fresh probe
+ * - Entries older than CACHE_MAX_AGE_MS are probed again as well
+ * The caller drops the entry when the cached camera fails to open.
+ */
+
+const STORAGE_KEY = "securityscan.bestCamera";
+const CACHE_VERSION = 1;
+const CACHE_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// 32-bit FNV-1a, enough to tell camera sets apart
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, "0");
+};
+
+const readEntries = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "null");
+    return stored?.version === CACHE_VERSION ? stored.entries || {} : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeEntries = (entries) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: CACHE_VERSION, entries }));
+  } catch (error) {
+    // Storage full or disabled (private browsing): the camera is just probed next time
+    console.warn(`⚠️ [Camera cache] Not saved: ${error.message}`);
+  }
+};
+
+/**
+ * Fingerprint of the cameras a device has and the profile that chose between them
+ * @param {Array<MediaDeviceInfo>} devices - Video inputs, with labels
+ * @param {object} profile - Device camera profile (cameraProfiles.js)
+ * @returns {string}
+ */
+export const cameraFingerprint = (devices, profile) => {
+  const cameras = devices.map(({ deviceId, label }) => `${deviceId}|${label}`).sort();
+  const selection = [profile.id, profile.lens, profile.torch, ...profile.preferredLabels, ...profile.excludedLabels];
+  return hashString(JSON.stringify([cameras, selection]));
+};
+
+/**
+ * Camera cached for a scan side, if it was picked for this fingerprint
+ * @param {string} scanSide - "front" or "back"
+ * @param {string} fingerprint - Result of cameraFingerprint
+ * @returns {{deviceId: string, label: string, hasTorch: boolean, facing: string,
+ *   skipTorch: boolean}|null}
+ */
+export const readCachedCamera = (scanSide, fingerprint) => {
+  const entry = readEntries()[scanSide];
+  if (!entry || entry.fingerprint !== fingerprint) return null;
+  if (Date.now() - entry.savedAt > CACHE_MAX_AGE_MS) return null;
+  const { deviceId, label, hasTorch, facing, skipTorch } = entry;
+  return { deviceId, label, hasTorch, facing, skipTorch };
+};
+
+/**
+ * Remember the camera picked for a scan side
+ * @param {string} scanSide - "front" or "back"
+ * @param {string} fingerprint - Result of cameraFingerprint
+ * @param {object} camera - Selection from findBestCameraForScan
+ */
+export const saveCachedCamera = (scanSide, fingerprint, { deviceId, label, hasTorch, facing, skipTorch }) => {
+  if (!deviceId) return;
+  writeEntries({
+    ...readEntries(),
+    [scanSide]: {
+      fingerprint,
+      deviceId,
+      label,
+      hasTorch: Boolean(hasTorch),
+      facing,
+      skipTorch: Boolean(skipTorch),
+      savedAt: Date.now(),
+    },
+  });
+};
+
+/**
+ * Forget the camera cached for a scan side
+ * @param {string} scanSide - "front" or "back"
+ */
+export const clearCachedCamera = (scanSide) => {
+  const entries = readEntries();
+  if (!entries[scanSide]) return;
+  delete entries[scanSide];
+  writeEntries(entries);
+};
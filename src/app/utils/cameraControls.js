@@ -0,0 +1,283 @@
+/**
+ * 🎛️ CAMERA CONTROLS
+ *
+ * Focus, exposure and zoom of the camera track, for embossed and metallic
+ * cards that the camera's automatic settings leave soft or blown out.
+ *
+ * - Reads what the track supports from getCapabilities(): focusMode,
+ *   pointsOfInterest, exposureCompensation and zoom. Anything missing is
+ *   simply not offered (most desktop webcams, iOS Safari)
+ * - focusAt() focuses on a point of the frame (tap-to-focus) and keeps that
+ *   focus until autoFocus() or reset()
+ * - sweepExposure() steps exposure compensation down while the card shows
+ *   glare, and keeps the step with the least glare that is not too dark
+ * - Zoom goes up to the zoom of the device camera profile, and is not offered
+ *   where the profile leaves zoom alone
+ * - Values set here are put back when the stream is reopened (refresh())
+ *
+ * State handed to onChange (and getState):
+ *   { available, focus: { modes, mode, pointsOfInterest }, exposure, zoom, sweeping }
+ *   exposure / zoom are { min, max, step, value } or null when not supported
+ *
+ * Usage:
+ *   const controls = createCameraControls({ videoRef, onChange });
+ *   controls.refresh(); // after the camera is opened or reopened
+ *   controls.focusAt(framePointFromTap(video, event.clientX, event.clientY));
+ */
+
+import { drawCroppedFrame } from "./CameraUtils";
+import { getActiveCameraProfile } from "./cameraProfiles";
+import { measureFrameQuality, QUALITY_THRESHOLDS } from "./frameQuality";
+
+// Smallest change the control strip makes per press
+const ZOOM_STEP = 0.25;
+const EXPOSURE_STEP = 1 / 3;
+
+export const EXPOSURE_SWEEP = {
+  stepEv: 0.5, // exposure compensation removed per sweep step
+  maxSteps: 4,
+  settleMs: 300, // auto exposure needs a few frames to follow a new compensation
+};
+
+const UNAVAILABLE = { available: false, focus: { modes: [], mode: null, pointsOfInterest: false }, exposure: null, zoom: null };
+
+// Capability range as a control, with a step the strip can use
+const toRange = (capability, value, minStep) => {
+  if (!capability || typeof capability.min !== "number" || typeof capability.max !== "number") return null;
+  if (capability.max <= capability.min) return null;
+  return { min: capability.min, max: capability.max, step: Math.max(capability.step || 0, minStep), value: value ?? capability.min };
+};
+
+const clamp = (range, value) => Math.min(range.max, Math.max(range.min, value));
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Point of the video frame under a tap, for focusAt
+ * The video is shown with object-fit: cover, so part of the frame is cut off
+ * on screen; the point is mapped back onto the full frame.
+ * @param {HTMLVideoElement} video - Video element showing the camera
+ * @param {number} clientX - Tap position in the viewport
+ * @param {number} clientY
+ * @returns {{x: number, y: number}|null} 0..1 from the top-left of the frame,
+ *   null when the video has no frame yet
+ */
+export const framePointFromTap = (video, clientX, clientY) => {
+  if (!video?.videoWidth || !video?.videoHeight) return null;
+  const rect = video.getBoundingClientRect();
+  const scale = Math.max(rect.width / video.videoWidth, rect.height / video.videoHeight);
+  const shownWidth = video.videoWidth * scale;
+  const shownHeight = video.videoHeight * scale;
+  const x = (clientX - rect.left - (rect.width - shownWidth) / 2) / shownWidth;
+  const y = (clientY - rect.top - (rect.height - shownHeight) / 2) / shownHeight;
+  return { x: Math.min(1, Math.max(0, x)), y: Math.min(1, Math.max(0, y)) };
+};
+
+/**
+ * Create the controls for the camera track of a video element
+ * @param {object} options - { videoRef, onChange }
+ *   onChange receives the new state after every change
+ * @returns {{refresh: Function, getState: Function, setZoom: Function, setExposure: Function,
+ *   focusAt: Function, autoFocus: Function, sweepExposure: Function, reset: Function}}
+ */
+export const createCameraControls = ({ videoRef, onChange = null }) => {
+  let state = { ...UNAVAILABLE, sweeping: false };
+  let track = null;
+  let chosen = {}; // values set here, put back on a reopened track
+
+  const currentTrack = () => videoRef.current?.srcObject?.getVideoTracks?.()[0] || null;
+
+  const update = (changes) => {
+    state = { ...state, ...changes };
+    if (onChange) onChange(state);
+    return state;
+  };
+
+  // Read the track's capabilities and current values into the state
+  const readTrack = () => {
+    if (!track || track.readyState !== "live" || typeof track.getCapabilities !== "function") {
+      return update(UNAVAILABLE);
+    }
+    const capabilities = track.getCapabilities();
+    const settings = track.getSettings?.() || {};
+    const modes = Array.isArray(capabilities.focusMode) ? capabilities.focusMode : [];
+    const profileZoom = getActiveCameraProfile().zoom;
+
+    const focus = {
+      modes,
+      mode: settings.focusMode || null,
+      // Chrome reports pointsOfInterest in the settings, not the capabilities
+      pointsOfInterest: "pointsOfInterest" in capabilities || "pointsOfInterest" in settings,
+    };
+    const exposure = toRange(capabilities.exposureCompensation, settings.exposureCompensation, EXPOSURE_STEP);
+    // The profile's zoom is as far as the strip goes (further, phones switch to the telephoto lens)
+    const zoom = profileZoom
+      ? toRange(capabilities.zoom && { ...capabilities.zoom, max: Math.min(capabilities.zoom.max, profileZoom) }, settings.zoom, ZOOM_STEP)
+      : null;
+    const canFocus = focus.modes.length > 0 || focus.pointsOfInterest;
+
+    return update({ available: Boolean(canFocus || exposure || zoom), focus, exposure, zoom });
+  };
+
+  // applyConstraints replaces the constraints set before, so the torch is passed along
+  const apply = async (constraints) => {
+    if (!track) return false;
+    const torch = track.getSettings?.().torch === true ? { torch: true } : {};
+    try {
+      await track.applyConstraints({ advanced: [{ ...torch, ...constraints }] });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ [Camera controls] Could not apply ${JSON.stringify(constraints)}: ${error.message}`);
+      return false;
+    } finally {
+      readTrack();
+    }
+  };
+
+  const setExposure = async (value) => {
+    if (!state.exposure) return false;
+    const exposureCompensation = clamp(state.exposure, value);
+    const applied = await apply({ exposureCompensation });
+    if (applied) chosen.exposureCompensation = exposureCompensation;
+    return applied;
+  };
+
+  // Glare of the card area right now, null when no frame can be read
+  const measureGlare = () => {
+    try {
+      const canvas = document.createElement("canvas");
+      drawCroppedFrame(videoRef, canvas);
+      return measureFrameQuality(canvas);
+    } catch (error) {
+      console.warn(`⚠️ [Camera controls] Frame not measured: ${error.message}`);
+      return null;
+    }
+  };
+
+  return {
+    /**
+     * Pick up the track now in videoRef; a new track gets the values set before
+     * @returns {Promise<object>} State
+     */
+    refresh: async () => {
+      const next = currentTrack();
+      const reopened = next !== track;
+      track = next;
+      readTrack();
+      if (!reopened || !state.available || Object.keys(chosen).length === 0) return state;
+
+      const restore = {};
+      if (state.zoom && chosen.zoom !== undefined) restore.zoom = clamp(state.zoom, chosen.zoom);
+      if (state.exposure && chosen.exposureCompensation !== undefined) {
+        restore.exposureCompensation = clamp(state.exposure, chosen.exposureCompensation);
+      }
+      if (Object.keys(restore).length > 0) {
+        console.log("🎛️ [Camera controls] Restoring", restore);
+        await apply(restore);
+      }
+      return state;
+    },
+
+    getState: () => state,
+
+    /**
+     * @param {number} value - Zoom factor, clamped to what the camera supports
+     * @returns {Promise<boolean>} Whether it was applied
+     */
+    setZoom: async (value) => {
+      if (!state.zoom) return false;
+      const zoom = clamp(state.zoom, value);
+      const applied = await apply({ zoom });
+      if (applied) chosen.zoom = zoom;
+      return applied;
+    },
+
+    /**
+     * @param {number} value - Exposure compensation in EV, clamped to the camera's range
+     * @returns {Promise<boolean>} Whether it was applied
+     */
+    setExposure,
+
+    /**
+     * Focus on a point of the frame and hold that focus
+     * @param {{x: number, y: number}} point - Result of framePointFromTap
+     * @returns {Promise<boolean>} Whether the camera took it
+     */
+    focusAt: async (point) => {
+      const { modes, pointsOfInterest } = state.focus;
+      const constraints = {};
+      if (pointsOfInterest && point) constraints.pointsOfInterest = [point];
+      // single-shot focuses once and holds; continuous at least re-meters on the point
+      if (modes.includes("single-shot")) constraints.focusMode = "single-shot";
+      else if (constraints.pointsOfInterest && modes.includes("continuous")) constraints.focusMode = "continuous";
+      if (Object.keys(constraints).length === 0) return false;
+
+      console.log("🎯 [Camera controls] Focus at", point);
+      return apply(constraints);
+    },
+
+    /**
+     * Let the camera focus by itself again
+     * @returns {Promise<boolean>}
+     */
+    autoFocus: async () => {
+      if (!state.focus.modes.includes("continuous")) return false;
+      return apply({ focusMode: "continuous" });
+    },
+
+    /**
+     * Step exposure compensation down while the card shows glare (EXPOSURE_SWEEP)
+     * Stops at the first step without glare, and never keeps a step that makes
+     * the frame too dark. One sweep at a time.
+     * @returns {Promise<{value: number, glare: number}|null>} Exposure kept,
+     *   null when exposure cannot be changed or a sweep is running
+     */
+    sweepExposure: async () => {
+      if (!state.exposure || state.sweeping) return null;
+      const baseline = measureGlare();
+      if (!baseline) return null;
+
+      update({ sweeping: true });
+      const start = state.exposure.value;
+      let best = { value: start, glare: baseline.glare };
+      console.log(`🎛️ [Camera controls] Exposure sweep from ${start} EV, glare ${baseline.glare}`);
+
+      try {
+        let previous = start;
+        for (let stepIndex = 1; stepIndex <= EXPOSURE_SWEEP.maxSteps; stepIndex++) {
+          // The track may have dropped mid-sweep
+          if (!state.exposure) break;
+          const value = clamp(state.exposure, start - stepIndex * EXPOSURE_SWEEP.stepEv);
+          if (value === previous) break; // already at the minimum
+          previous = value;
+          if (!(await apply({ exposureCompensation: value }))) break;
+          await wait(EXPOSURE_SWEEP.settleMs);
+
+          const quality = measureGlare();
+          if (!quality || quality.luminance < QUALITY_THRESHOLDS.minLuminance) break;
+          if (quality.glare < best.glare) best = { value, glare: quality.glare };
+          if (quality.glare <= QUALITY_THRESHOLDS.maxGlare) break;
+        }
+      } finally {
+        await setExposure(best.value);
+        update({ sweeping: false });
+      }
+      console.log(`🎛️ [Camera controls] Exposure sweep kept ${best.value} EV, glare ${best.glare}`);
+      return best;
+    },
+
+    /**
+     * Back to the camera's own focus and exposure, and no zoom
+     * @returns {Promise<object>} State
+     */
+    reset: async () => {
+      chosen = {};
+      const constraints = {};
+      if (state.focus.modes.includes("continuous")) constraints.focusMode = "continuous";
+      if (state.exposure) constraints.exposureCompensation = clamp(state.exposure, 0);
+      if (state.zoom) constraints.zoom = state.zoom.min;
+      if (Object.keys(constraints).length > 0) await apply(constraints);
+      return state;
+    },
+  };
+};
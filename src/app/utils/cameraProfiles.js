@@ -0,0 +1,161 @@
+/**
+ * 📱 DEVICE CAMERA PROFILES
+ *
+ * How the camera is set up on each kind of device, as data instead of
+ * per-device branches in CameraUtils.js:
+ * - lens       → "main": probe the back cameras and keep the main lens that
+ *                has a torch; "default": let the browser pick by facingMode
+ * - preferredLabels / excludedLabels → camera label keywords ranked first /
+ *                never used when probing lenses
+ * - resolution → getUserMedia width / height constraints
+ * - torch      → whether the flashlight may be switched on at all
+ * - zoom       → highest zoom the camera controls offer, null to never touch zoom
+ * - delays     → flashlight warm-up / settle times of the scan (same keys as
+ *                DEFAULT_SCAN_TIMING) and how long the video may take to start
+ *
+ * MATCHING: the first profile with a rule that matches wins; rules are
+ * case-insensitive regular expressions on the user agent, the device model
+ * (reported by the app, else read from the user agent) and the camera labels.
+ * Devices nothing matches get DEFAULT_CAMERA_SETTINGS as profile "default".
+ *
+ * OVERRIDES: NEXT_PUBLIC_CAMERA_PROFILES holds a JSON array of profiles for
+ * the deployment. An entry with the id of a built-in profile changes only the
+ * settings it lists; entries with a new id are matched before the built-ins.
+ *   [{ "id": "pixel-8", "match": { "model": "^Pixel 8" }, "zoom": 1.2 },
+ *    { "id": "samsung", "delays": { "flashWarmupMs": 500 } }]
+ */
+
+import { getPublicConfig } from "./config";
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  lens: "main",
+  preferredLabels: [],
+  excludedLabels: ["telephoto", "tele", "zoom", "ultra"],
+  resolution: { width: 1280, height: 720, minWidth: 640, minHeight: 480, maxWidth: 1920, maxHeight: 1080 },
+  torch: true,
+  zoom: 1.5,
+  delays: { flashWarmupMs: 300, flashSettleMs: 800, videoLoadTimeoutMs: 15000 },
+};
+
+// Most specific first
+export const CAMERA_PROFILES = [
+  {
+    id: "ios",
+    description: "iPhone / iPad: switching the torch or zoom makes iOS change lenses mid-scan",
+    match: { userAgent: "iPhone|iPad|iPod" },
+    lens: "default",
+    torch: false,
+    zoom: null,
+  },
+  {
+    id: "samsung",
+    description: "Samsung: several back lenses, the torch is on the main one (camera2 0)",
+    match: { userAgent: "samsung|SM-", model: "^SM-" },
+    preferredLabels: ["camera2 0"],
+  },
+];
+
+const LENS_MODES = ["main", "default"];
+
+let activeProfile = null;
+
+// Settings of an entry over a base, one level deep for the grouped settings
+const mergeSettings = (base, entry) => ({
+  ...base,
+  ...entry,
+  resolution: { ...base.resolution, ...entry.resolution },
+  delays: { ...base.delays, ...entry.delays },
+});
+
+const toRegExp = (pattern, profileId) => {
+  try {
+    return new RegExp(pattern, "i");
+  } catch {
+    console.warn(`⚠️ [Camera] Profile "${profileId}" has an invalid pattern: ${pattern}`);
+    return null;
+  }
+};
+
+// Which rule of a profile matches the device, or null
+const matchedRule = (profile, device) => {
+  const { userAgent, model, cameraLabels } = profile.match || {};
+  const test = (pattern, values) => {
+    const regExp = pattern ? toRegExp(pattern, profile.id) : null;
+    return Boolean(regExp) && values.some((value) => value && regExp.test(value));
+  };
+
+  if (test(userAgent, [device.userAgent])) return "userAgent";
+  if (test(model, [device.model])) return "model";
+  if (test(cameraLabels, device.cameraLabels || [])) return "cameraLabels";
+  return null;
+};
+
+/**
+ * Built-in profiles with the deployment's overrides applied
+ * @param {Array<object>} overrides - Profiles from NEXT_PUBLIC_CAMERA_PROFILES
+ * @returns {Array<object>} Profiles in matching order
+ */
+export const buildCameraProfiles = (overrides = []) => {
+  if (!Array.isArray(overrides)) console.warn("⚠️ [Camera] NEXT_PUBLIC_CAMERA_PROFILES must be a JSON array - ignored");
+  const entries = Array.isArray(overrides) ? overrides : [];
+  const valid = entries.filter((entry) => {
+    const ok =
+      entry && typeof entry === "object" && typeof entry.id === "string" && (!entry.lens || LENS_MODES.includes(entry.lens));
+    if (!ok) console.warn("⚠️ [Camera] Ignoring invalid camera profile override:", entry);
+    return ok;
+  });
+
+  const builtIn = CAMERA_PROFILES.map((profile) => {
+    const override = valid.find(({ id }) => id === profile.id);
+    return override ? mergeSettings(profile, override) : profile;
+  });
+  const added = valid.filter(({ id }) => !CAMERA_PROFILES.some((profile) => profile.id === id));
+  return [...added, ...builtIn];
+};
+
+/**
+ * Profile for a device
+ * @param {{userAgent: string, model: string|null, cameraLabels: Array<string>}} device
+ * @param {Array<object>} profiles - Result of buildCameraProfiles
+ * @returns {object} Full settings plus id, description, match and matchedBy
+ *   (the rule that matched, null for "default")
+ */
+export const matchCameraProfile = (device, profiles = CAMERA_PROFILES) => {
+  for (const profile of profiles) {
+    const matchedBy = matchedRule(profile, device);
+    if (matchedBy) return { ...mergeSettings(DEFAULT_CAMERA_SETTINGS, profile), matchedBy };
+  }
+  return { ...DEFAULT_CAMERA_SETTINGS, id: "default", description: "No device quirks", matchedBy: null };
+};
+
+// Android user agents name the model before "Build/" (reduced user agents say "K")
+const modelFromUserAgent = (userAgent) => {
+  const model = /;\s*([^;)]+?)\s+Build\//.exec(userAgent)?.[1] || /Android [\d.]+;\s*([^;)]+)\)/.exec(userAgent)?.[1];
+  return model && model !== "K" ? model : null;
+};
+
+/**
+ * Match this device and remember the profile for the rest of the page
+ * @param {Array<string>} cameraLabels - Labels of the video inputs (empty
+ *   before camera permission is granted)
+ * @returns {object} Result of matchCameraProfile
+ */
+export const detectCameraProfile = (cameraLabels = []) => {
+  const userAgent = typeof navigator !== "undefined" ? navigator.userAgent : "";
+  const reportedModel = typeof window !== "undefined" ? window.__WEBVIEW_AUTH__?.device?.model : null;
+  const device = { userAgent, model: reportedModel || modelFromUserAgent(userAgent), cameraLabels };
+
+  activeProfile = matchCameraProfile(device, buildCameraProfiles(getPublicConfig().cameraProfiles || []));
+  console.log(
+    `📱 [Camera] Profile "${activeProfile.id}"` +
+      (activeProfile.matchedBy ? ` (matched by ${activeProfile.matchedBy})` : "") +
+      ` - lens: ${activeProfile.lens}, torch: ${activeProfile.torch}, zoom: ${activeProfile.zoom ?? "off"}`
+  );
+  return activeProfile;
+};
+
+/**
+ * Profile in use: the last one detected, or one matched without camera labels
+ * @returns {object} Result of matchCameraProfile
+ */
+export const getActiveCameraProfile = () => activeProfile || detectCameraProfile();
@@ -0,0 +1,232 @@
+/**
+ * 🩺 CAMERA SUPERVISOR
+ *
+ * Keeps the camera stream alive through interruptions: the app going to the
+ * background, another app taking the camera, the WebView pausing.
+ *
+ * - Watches the video track (ended, mute / unmute) and page visibility
+ * - A muted track or a hidden page interrupts the camera; it is healthy again
+ *   once the track unmutes / the page is visible with a live track
+ * - A track that ends, or stays muted for muteGraceMs, is reopened: the
+ *   initializer runs again with RECOVERY_POLICY backoff, then the torch and
+ *   zoom the old track had are put back (where the camera profile uses them)
+ * - Errors another attempt cannot fix (permission, no camera) are not retried;
+ *   nothing is reopened while the page is hidden
+ *
+ * STATES: healthy → interrupted → recovering → healthy | failed
+ * onStateChange receives { state, reason, attempt, error }
+ *
+ * Usage:
+ *   const supervisor = createCameraSupervisor({ videoRef, reinitialize, onStateChange });
+ *   supervisor.start(); // after the camera is open, again after it is reopened elsewhere
+ *   supervisor.stop();
+ */
+
+import { getActiveCameraProfile } from "./cameraProfiles";
+
+export const CAMERA_HEALTH = {
+  HEALTHY: "healthy",
+  INTERRUPTED: "interrupted",
+  RECOVERING: "recovering",
+  FAILED: "failed",
+};
+
+export const RECOVERY_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  muteGraceMs: 2000, // a muted track often comes back by itself
+};
+
+// initializeCamera errors another attempt cannot fix
+const FATAL_ERRORS = ["PERMISSION_DENIED", "NO_CAMERA", "NO_TORCH_CAMERA"];
+
+const isFatal = (error) => FATAL_ERRORS.some((code) => String(error?.message || "").startsWith(code));
+
+const isPageHidden = () => typeof document !== "undefined" && document.visibilityState === "hidden";
+
+/**
+ * Create a supervisor for the camera stream of a video element
+ * @param {object} options - { videoRef, reinitialize, onStateChange, policy }
+ *   reinitialize() opens the camera again into videoRef (e.g. initializeCamera)
+ * @returns {{start: Function, stop: Function, getState: Function}}
+ */
+export const createCameraSupervisor = ({ videoRef, reinitialize, onStateChange = null, policy = RECOVERY_POLICY }) => {
+  let state = CAMERA_HEALTH.HEALTHY;
+  let running = false;
+  let recovering = false;
+  let generation = 0; // bumped by start() / stop(), ends recoveries started before
+  let track = null;
+  let trackSettings = { torch: false, zoom: null }; // of the last live track
+  let muteTimerId = null;
+  let retryTimerId = null;
+
+  const setState = (next, details = {}) => {
+    if (next === state && next !== CAMERA_HEALTH.RECOVERING) return;
+    state = next;
+    console.log(`🩺 [Camera] ${next}${details.reason ? ` (${details.reason})` : ""}${details.attempt ? ` attempt ${details.attempt}` : ""}`);
+    if (onStateChange) onStateChange({ state, ...details });
+  };
+
+  const currentTrack = () => videoRef.current?.srcObject?.getVideoTracks?.()[0] || null;
+
+  // Torch and zoom to put back after reopening; an ended track may no longer report them
+  const rememberSettings = () => {
+    if (track?.readyState !== "live") return;
+    try {
+      const { torch, zoom } = track.getSettings();
+      trackSettings = { torch: torch === true, zoom: zoom ?? null };
+    } catch (error) {
+      console.warn(`⚠️ [Camera] Track settings unavailable: ${error.message}`);
+    }
+  };
+
+  const restoreSettings = async () => {
+    const profile = getActiveCameraProfile();
+    const capabilities = track?.getCapabilities?.() || {};
+    const constraints = {};
+    if (trackSettings.torch && profile.torch && capabilities.torch) constraints.torch = true;
+    if (trackSettings.zoom !== null && profile.zoom !== null && capabilities.zoom) {
+      constraints.zoom = Math.min(capabilities.zoom.max, Math.max(capabilities.zoom.min, trackSettings.zoom));
+    }
+    if (Object.keys(constraints).length === 0) return;
+
+    try {
+      await track.applyConstraints({ advanced: [constraints] });
+      console.log("🩺 [Camera] Restored track settings:", constraints);
+    } catch (error) {
+      console.warn(`⚠️ [Camera] Could not restore track settings: ${error.message}`);
+    }
+  };
+
+  const backoffDelay = (attempt) => Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+
+  // Reopen the camera, with backoff, until it works or cannot work
+  const recover = async (reason) => {
+    if (recovering) return;
+    recovering = true;
+    const cycle = generation;
+    const superseded = () => !running || cycle !== generation;
+    clearTimeout(muteTimerId);
+    detachTrack();
+
+    for (let attempt = 1; attempt <= policy.maxAttempts; attempt++) {
+      setState(CAMERA_HEALTH.RECOVERING, { reason, attempt });
+      videoRef.current?.srcObject?.getTracks().forEach((oldTrack) => oldTrack.stop());
+      try {
+        await reinitialize();
+        if (superseded()) return;
+        attachTrack(currentTrack());
+        await restoreSettings();
+        recovering = false;
+        setState(CAMERA_HEALTH.HEALTHY, { reason: "recovered", attempt });
+        return;
+      } catch (error) {
+        if (superseded()) return;
+        console.warn(`⚠️ [Camera] Reopen attempt ${attempt} failed: ${error.message}`);
+        // Backgrounded mid-attempt (camera access is refused there): try again once visible
+        if (isPageHidden()) {
+          recovering = false;
+          setState(CAMERA_HEALTH.INTERRUPTED, { reason: "page_hidden" });
+          return;
+        }
+        if (isFatal(error) || attempt === policy.maxAttempts) {
+          recovering = false;
+          setState(CAMERA_HEALTH.FAILED, { reason, attempt, error });
+          return;
+        }
+      }
+
+      await new Promise((resolve) => {
+        retryTimerId = setTimeout(resolve, backoffDelay(attempt));
+      });
+      if (superseded()) return;
+      // Backgrounded meanwhile: try again once the page is visible
+      if (isPageHidden()) {
+        recovering = false;
+        setState(CAMERA_HEALTH.INTERRUPTED, { reason: "page_hidden" });
+        return;
+      }
+    }
+  };
+
+  // Work out the camera's health from the track and the page
+  const checkTrack = (reason) => {
+    if (!running || recovering) return;
+    if (isPageHidden()) {
+      setState(CAMERA_HEALTH.INTERRUPTED, { reason: "page_hidden" });
+      return;
+    }
+    if (!track || track.readyState === "ended") {
+      recover(reason);
+      return;
+    }
+    if (track.muted) {
+      setState(CAMERA_HEALTH.INTERRUPTED, { reason });
+      clearTimeout(muteTimerId);
+      muteTimerId = setTimeout(() => recover("track_muted"), policy.muteGraceMs);
+      return;
+    }
+    clearTimeout(muteTimerId);
+    setState(CAMERA_HEALTH.HEALTHY, { reason });
+  };
+
+  const handleEnded = () => checkTrack("track_ended");
+  const handleMute = () => {
+    rememberSettings();
+    checkTrack("track_muted");
+  };
+  const handleUnmute = () => checkTrack("track_unmuted");
+  const handleVisibilityChange = () => {
+    if (isPageHidden()) rememberSettings();
+    checkTrack(isPageHidden() ? "page_hidden" : "page_visible");
+  };
+
+  const attachTrack = (nextTrack) => {
+    detachTrack();
+    track = nextTrack;
+    if (!track) return;
+    track.addEventListener("ended", handleEnded);
+    track.addEventListener("mute", handleMute);
+    track.addEventListener("unmute", handleUnmute);
+  };
+
+  const detachTrack = () => {
+    if (!track) return;
+    track.removeEventListener("ended", handleEnded);
+    track.removeEventListener("mute", handleMute);
+    track.removeEventListener("unmute", handleUnmute);
+    track = null;
+  };
+
+  return {
+    /**
+     * Watch the stream now in videoRef (again after it was reopened elsewhere)
+     */
+    start: () => {
+      if (!running) document.addEventListener("visibilitychange", handleVisibilityChange);
+      running = true;
+      recovering = false;
+      generation++;
+      clearTimeout(retryTimerId);
+      attachTrack(currentTrack());
+      rememberSettings();
+      checkTrack("started");
+    },
+
+    /**
+     * Stop watching; a recovery in progress is dropped
+     */
+    stop: () => {
+      running = false;
+      recovering = false;
+      generation++;
+      clearTimeout(muteTimerId);
+      clearTimeout(retryTimerId);
+      detachTrack();
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    },
+
+    getState: () => state,
+  };
+};
@@ -0,0 +1,277 @@
+/**
+ * 📐 CARD EDGE DETECTOR
+ *
+ * Finds the card quadrilateral in the cropped camera frame (the card border
+ * frame plus CROP_PADDING) and turns it into positioning guidance, so capture
+ * can start on its own once the card sits still inside the frame.
+ *
+ * Detection runs on a small grayscale copy (DETECTION_WIDTH):
+ * 1. Every row is scanned inwards from the left and right, every column from
+ *    the top and bottom, for the first strong gradient: the card's outline
+ *    against the background.
+ * 2. A straight line is fitted to each side's points; points far off the line
+ *    (card artwork, background clutter) are dropped and the line refitted.
+ * 3. Neighbouring lines are intersected into the four corners.
+ * A side with too few points on its line is taken to run off the frame and is
+ * put on the frame edge ("clipped"), so guidance can still say which way to
+ * move. Fewer than two sides found means no card.
+ *
+ * Corners are returned normalised to 0..1 of the cropped frame, which is also
+ * how CameraView draws them over the card border frame.
+ */
+
+import { CROP_PADDING } from "./CameraUtils";
+import { toAnalysisGrayscale } from "./frameQuality";
+
+const DETECTION_WIDTH = 160;
+const EDGE_GRADIENT = 30;
+// Share of rows / columns that must land on a side's line for it to count
+const MIN_SIDE_SUPPORT = 0.4;
+// Band around the median edge position used for the first fit, and how far
+// off the fitted line a point may be (px at DETECTION_WIDTH)
+const SEED_BAND = 6;
+const LINE_TOLERANCE = 2;
+// ID-1 cards are 1.586:1; the camera and perspective stretch that somewhat
+const MIN_ASPECT = 1.1;
+const MAX_ASPECT = 2.2;
+
+// Where the card border frame sits inside the cropped frame
+const GUIDE_INSET = CROP_PADDING / (1 + 2 * CROP_PADDING);
+
+export const ALIGNMENT_LIMITS = {
+  maxOffset: 0.06, // card centre from frame centre
+  minSize: 0.7, // card size relative to the card border frame
+  maxSize: 1.2,
+  edgeMargin: 0.01, // corners closer than this to the crop edge are cut off
+  maxJitter: 0.015, // corner movement between frames that still counts as steady
+};
+
+export const MOVEMENT_STATES = {
+  NO_CARD: "NO_CARD",
+  MOVE_UP: "MOVE_UP",
+  MOVE_DOWN: "MOVE_DOWN",
+  MOVE_LEFT: "MOVE_LEFT",
+  MOVE_RIGHT: "MOVE_RIGHT",
+  MOVE_CLOSER: "MOVE_CLOSER",
+  MOVE_AWAY: "MOVE_AWAY",
+  ALIGNED: "ALIGNED",
+};
+
+export const MOVEMENT_MESSAGES = {
+  NO_CARD: "Place your card inside the frame",
+  MOVE_UP: "Move the card up",
+  MOVE_DOWN: "Move the card down",
+  MOVE_LEFT: "Move the card left",
+  MOVE_RIGHT: "Move the card right",
+  MOVE_CLOSER: "Move the card closer",
+  MOVE_AWAY: "Move the card further away",
+  ALIGNED: "Hold still...",
+};
+
+// ----------------------------------------------------------------------------
+// 🧩 LINE FITTING
+// ----------------------------------------------------------------------------
+// Least-squares fit of v = slope * u + intercept
+const fitLine = (points) => {
+  const n = points.length;
+  let su = 0;
+  let sv = 0;
+  let suu = 0;
+  let suv = 0;
+  for (const [u, v] of points) {
+    su += u;
+    sv += v;
+    suu += u * u;
+    suv += u * v;
+  }
+  const denominator = n * suu - su * su;
+  if (n < 2 || denominator === 0) return null;
+  const slope = (n * suv - su * sv) / denominator;
+  return { slope, intercept: (sv - slope * su) / n };
+};
+
+// Points within tolerance px of a line
+const pointsNear = (points, { slope, intercept }, tolerance) =>
+  points.filter(([u, v]) => Math.abs(v - (slope * u + intercept)) <= tolerance);
+
+// Start from the median position (sides are close to axis-aligned), fit the
+// points near it, then refit on the points within 2px of that line. Clutter
+// scatters instead of lining up, so it leaves too few points and returns null
+const fitSide = (points, span) => {
+  if (points.length < span * MIN_SIDE_SUPPORT) return null;
+  const median = points.map(([, v]) => v).sort((a, b) => a - b)[Math.floor(points.length / 2)];
+
+  const rough = fitLine(pointsNear(points, { slope: 0, intercept: median }, SEED_BAND));
+  if (!rough) return null;
+  const inliers = pointsNear(points, rough, LINE_TOLERANCE);
+  if (inliers.length < span * MIN_SIDE_SUPPORT) return null;
+
+  const line = fitLine(inliers);
+  return line && { ...line, support: inliers.length / span };
+};
+
+// Corner where a vertical side x = a*y + b meets a horizontal side y = c*x + d
+const intersect = (vertical, horizontal) => {
+  const x =
+    (vertical.slope * horizontal.intercept + vertical.intercept) /
+    (1 - vertical.slope * horizontal.slope);
+  return { x, y: horizontal.slope * x + horizontal.intercept };
+};
+
+// ----------------------------------------------------------------------------
+// 🔎 DETECTION
+// ----------------------------------------------------------------------------
+/**
+ * Find the card outline in a cropped frame
+ * @param {HTMLCanvasElement} canvas - Frame drawn by drawCroppedFrame
+ * @returns {{corners: Array<{x: number, y: number}>, clipped: Array<string>, confidence: number}|null}
+ *   corners are top-left, top-right, bottom-right, bottom-left, normalised to 0..1;
+ *   clipped lists the sides ("left", "top", ...) that run off the frame
+ */
+export const detectCardQuad = (canvas) => {
+  const { gray, width, height } = toAnalysisGrayscale(canvas, DETECTION_WIDTH);
+  const at = (x, y) => gray[y * width + x];
+  const left = [];
+  const right = [];
+  const top = [];
+  const bottom = [];
+
+  // Rows: outermost horizontal gradient on each half gives the left / right sides
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width / 2; x++) {
+      if (Math.abs(at(x + 1, y) - at(x - 1, y)) > EDGE_GRADIENT) {
+        left.push([y, x]);
+        break;
+      }
+    }
+    for (let x = width - 2; x > width / 2; x--) {
+      if (Math.abs(at(x + 1, y) - at(x - 1, y)) > EDGE_GRADIENT) {
+        right.push([y, x]);
+        break;
+      }
+    }
+  }
+
+  // Columns: the same for the top / bottom sides
+  for (let x = 1; x < width - 1; x++) {
+    for (let y = 1; y < height / 2; y++) {
+      if (Math.abs(at(x, y + 1) - at(x, y - 1)) > EDGE_GRADIENT) {
+        top.push([x, y]);
+        break;
+      }
+    }
+    for (let y = height - 2; y > height / 2; y--) {
+      if (Math.abs(at(x, y + 1) - at(x, y - 1)) > EDGE_GRADIENT) {
+        bottom.push([x, y]);
+        break;
+      }
+    }
+  }
+
+  const fitted = {
+    left: fitSide(left, height - 2),
+    right: fitSide(right, height - 2),
+    top: fitSide(top, width - 2),
+    bottom: fitSide(bottom, width - 2),
+  };
+  const found = Object.values(fitted).filter(Boolean);
+  if (found.length < 2) return null;
+
+  const frameEdges = {
+    left: { slope: 0, intercept: 0 },
+    right: { slope: 0, intercept: width - 1 },
+    top: { slope: 0, intercept: 0 },
+    bottom: { slope: 0, intercept: height - 1 },
+  };
+  const clipped = Object.keys(fitted).filter((name) => !fitted[name]);
+  const sides = Object.fromEntries(
+    Object.entries(fitted).map(([name, side]) => [name, side || frameEdges[name]])
+  );
+
+  const pixelCorners = [
+    intersect(sides.left, sides.top),
+    intersect(sides.right, sides.top),
+    intersect(sides.right, sides.bottom),
+    intersect(sides.left, sides.bottom),
+  ];
+  if (pixelCorners.some(({ x, y }) => !Number.isFinite(x) || !Number.isFinite(y))) return null;
+
+  // Reject outlines that cannot be a card (e.g. a tall shape from background
+  // clutter); a clipped outline only shows part of the card
+  const [tl, tr, br, bl] = pixelCorners;
+  const quadWidth = (Math.hypot(tr.x - tl.x, tr.y - tl.y) + Math.hypot(br.x - bl.x, br.y - bl.y)) / 2;
+  const quadHeight = (Math.hypot(bl.x - tl.x, bl.y - tl.y) + Math.hypot(br.x - tr.x, br.y - tr.y)) / 2;
+  const aspect = quadWidth / quadHeight;
+  if (clipped.length === 0 && !(aspect >= MIN_ASPECT && aspect <= MAX_ASPECT)) return null;
+
+  return {
+    corners: pixelCorners.map(({ x, y }) => ({ x: x / (width - 1), y: y / (height - 1) })),
+    clipped,
+    confidence: Math.min(...found.map((side) => side.support)),
+  };
+};
+
+// ----------------------------------------------------------------------------
+// 🧭 GUIDANCE
+// ----------------------------------------------------------------------------
+/**
+ * Which way the card has to move to sit inside the card border frame
+ * @param {object|null} quad - Result of detectCardQuad
+ * @param {object} limits - Overrides for ALIGNMENT_LIMITS
+ * @returns {{state: string, message: string}} state is one of MOVEMENT_STATES
+ */
+export const getCardGuidance = (quad, limits = {}) => {
+  const { maxOffset, minSize, maxSize, edgeMargin } = { ...ALIGNMENT_LIMITS, ...limits };
+  const guidance = (state) => ({ state, message: MOVEMENT_MESSAGES[state] });
+  if (!quad) return guidance(MOVEMENT_STATES.NO_CARD);
+
+  // Part of the card is off the frame: move away from that side, or back off
+  // when it overflows on opposite sides
+  const { clipped = [] } = quad;
+  if (
+    (clipped.includes("left") && clipped.includes("right")) ||
+    (clipped.includes("top") && clipped.includes("bottom"))
+  ) {
+    return guidance(MOVEMENT_STATES.MOVE_AWAY);
+  }
+  if (clipped.includes("left")) return guidance(MOVEMENT_STATES.MOVE_RIGHT);
+  if (clipped.includes("right")) return guidance(MOVEMENT_STATES.MOVE_LEFT);
+  if (clipped.includes("top")) return guidance(MOVEMENT_STATES.MOVE_DOWN);
+  if (clipped.includes("bottom")) return guidance(MOVEMENT_STATES.MOVE_UP);
+
+  const xs = quad.corners.map(({ x }) => x);
+  const ys = quad.corners.map(({ y }) => y);
+  const size = Math.sqrt(
+    ((Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys))) / (1 - 2 * GUIDE_INSET) ** 2
+  );
+  const cutOff = quad.corners.some(
+    ({ x, y }) => x < edgeMargin || x > 1 - edgeMargin || y < edgeMargin || y > 1 - edgeMargin
+  );
+
+  if (cutOff || size > maxSize) return guidance(MOVEMENT_STATES.MOVE_AWAY);
+  if (size < minSize) return guidance(MOVEMENT_STATES.MOVE_CLOSER);
+
+  // The card has to move towards the centre, against its offset
+  const offsetX = xs.reduce((sum, x) => sum + x, 0) / 4 - 0.5;
+  const offsetY = ys.reduce((sum, y) => sum + y, 0) / 4 - 0.5;
+  if (Math.max(Math.abs(offsetX), Math.abs(offsetY)) > maxOffset) {
+    if (Math.abs(offsetX) >= Math.abs(offsetY)) {
+      return guidance(offsetX < 0 ? MOVEMENT_STATES.MOVE_RIGHT : MOVEMENT_STATES.MOVE_LEFT);
+    }
+    return guidance(offsetY < 0 ? MOVEMENT_STATES.MOVE_DOWN : MOVEMENT_STATES.MOVE_UP);
+  }
+
+  return guidance(MOVEMENT_STATES.ALIGNED);
+};
+
+/**
+ * Whether the card moved less than maxJitter since the previous detection
+ * @param {object} previous - Earlier detectCardQuad result
+ * @param {object} current - Latest detectCardQuad result
+ * @returns {boolean}
+ */
+export const isQuadSteady = (previous, current, maxJitter = ALIGNMENT_LIMITS.maxJitter) =>
+  Boolean(previous && current) &&
+  current.corners.every(
+    ({ x, y }, index) => Math.hypot(x - previous.corners[index].x, y - previous.corners[index].y) <= maxJitter
+  );
@@ -0,0 +1,175 @@
+/**
+ * 💳 CARD LIVENESS (no flashlight)
+ *
+ * The screen check normally sends a frame taken with the flashlight on: a
+ * screen or a printed photo reflects it very differently from a card. Where the
+ * flashlight cannot be used (iOS, cameras without a torch) that frame is an
+ * ordinary one, so the user tilts the card instead and a short burst of frames
+ * is measured for what a real card does and a replay does not:
+ * - specular change → highlights and holograms move across a tilted card, so
+ *                     brightness changes locally, not just overall. Measured on
+ *                     a grid of cells, after taking out the frame's overall
+ *                     brightness change
+ * - moiré           → a screen filmed by a camera shows fine periodic bands:
+ *                     rows / columns that stand out from their neighbours
+ * - flicker         → frame-to-frame brightness jitter from the screen's
+ *                     refresh / backlight, beyond the slow drift of the tilt
+ *
+ * The score (0..1, higher is more likely a physical card) goes to
+ * screen-detect with the frame; the backend decides. It is not a verdict on
+ * its own: a user who does not tilt the card scores low. A burst with too
+ * few frames has no score at all, and the scan engine does not go on without one.
+ */
+
+import { drawCroppedFrame } from "./CameraUtils";
+import { toAnalysisGrayscale } from "./frameQuality";
+
+export const LIVENESS_BURST = {
+  frames: 10,
+  intervalMs: 150, // ~1.5s of tilting
+  minFrames: 4, // fewer frames captured → no score
+  maxAttempts: 3, // bursts without a score before the scan fails
+};
+
+// Grid the specular change is measured on (columns × rows)
+const GRID_COLUMNS = 8;
+const GRID_ROWS = 5;
+// Window of the moving average the moiré bands stand out from
+const BAND_WINDOW = 9;
+
+// Values at which each measure counts fully in the score
+const SPECULAR_REFERENCE = 0.04; // mean local change between frames, relative to brightness
+const MOIRE_REFERENCE = 0.03; // band residual, relative to brightness
+const FLICKER_REFERENCE = 0.02; // brightness jitter, relative to brightness
+// How far replay artefacts can pull the score down
+const ARTEFACT_WEIGHT = 0.7;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Mean brightness of each grid cell, divided by the frame's mean brightness
+const cellProfile = ({ gray, width, height }) => {
+  const sums = new Float64Array(GRID_COLUMNS * GRID_ROWS);
+  const counts = new Uint32Array(GRID_COLUMNS * GRID_ROWS);
+  let total = 0;
+  for (let y = 0; y < height; y++) {
+    const row = Math.min(GRID_ROWS - 1, Math.floor((y * GRID_ROWS) / height));
+    for (let x = 0; x < width; x++) {
+      const cell = row * GRID_COLUMNS + Math.min(GRID_COLUMNS - 1, Math.floor((x * GRID_COLUMNS) / width));
+      const value = gray[y * width + x];
+      sums[cell] += value;
+      counts[cell]++;
+      total += value;
+    }
+  }
+  const frameMean = total / gray.length || 1;
+  return Array.from(sums, (sum, cell) => (counts[cell] ? sum / counts[cell] / frameMean : 1));
+};
+
+// How much a line profile (row or column means) stands out from its moving average
+const bandResidual = (profile) => {
+  const half = Math.floor(BAND_WINDOW / 2);
+  let squares = 0;
+  for (let i = 0; i < profile.length; i++) {
+    const from = Math.max(0, i - half);
+    const to = Math.min(profile.length, i + half + 1);
+    let local = 0;
+    for (let j = from; j < to; j++) local += profile[j];
+    const residual = profile[i] - local / (to - from);
+    squares += residual * residual;
+  }
+  return Math.sqrt(squares / profile.length);
+};
+
+// Moiré / refresh banding of one frame, relative to its brightness
+const measureBanding = ({ gray, width, height }) => {
+  const rows = new Float64Array(height);
+  const columns = new Float64Array(width);
+  let total = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = gray[y * width + x];
+      rows[y] += value / width;
+      columns[x] += value / height;
+      total += value;
+    }
+  }
+  const frameMean = total / gray.length || 1;
+  return (bandResidual(rows) + bandResidual(columns)) / 2 / frameMean;
+};
+
+/**
+ * Score a burst of frames of a tilted card
+ * @param {Array<{gray: Float32Array, width: number, height: number}>} images -
+ *   Frames in capture order, from toAnalysisGrayscale
+ * @returns {{score: number|null, specularChange: number, moire: number, flicker: number,
+ *   frames: number}} score is null when there were too few frames to tell
+ */
+export const scoreLiveness = (images) => {
+  if (images.length < LIVENESS_BURST.minFrames) {
+    return { score: null, specularChange: 0, moire: 0, flicker: 0, frames: images.length };
+  }
+
+  // Specular change: local brightness change between consecutive frames
+  const profiles = images.map(cellProfile);
+  const changes = profiles.slice(1).map((profile, index) =>
+    mean(profile.map((value, cell) => Math.abs(value - profiles[index][cell])))
+  );
+  const specularChange = mean(changes);
+
+  // Moiré: typical banding over the burst (a single odd frame does not count)
+  const moire = median(images.map(measureBanding));
+
+  // Flicker: jitter of the frame brightness around the slow drift of the tilt
+  const brightness = images.map(({ gray }) => mean(gray));
+  const jitter = brightness.slice(1, -1).map((value, index) =>
+    Math.abs(value - (brightness[index] + brightness[index + 2]) / 2)
+  );
+  const flicker = mean(jitter) / (mean(brightness) || 1);
+
+  const specularScore = Math.min(1, specularChange / SPECULAR_REFERENCE);
+  const artefactScore = Math.max(Math.min(1, moire / MOIRE_REFERENCE), Math.min(1, flicker / FLICKER_REFERENCE));
+  const score = specularScore * (1 - ARTEFACT_WEIGHT * artefactScore);
+
+  return {
+    score: Number(score.toFixed(2)),
+    specularChange: Number(specularChange.toFixed(4)),
+    moire: Number(moire.toFixed(4)),
+    flicker: Number(flicker.toFixed(4)),
+    frames: images.length,
+  };
+};
+
+/**
+ * Capture LIVENESS_BURST frames of the card area and score them
+ * @param {object} videoRef - Ref to the video element
+ * @param {object} options - { interrupted } returns true to give up on the burst
+ * @returns {Promise<object|null>} Result of scoreLiveness, null when interrupted
+ */
+export const captureLivenessBurst = async (videoRef, { interrupted = () => false } = {}) => {
+  const canvas = document.createElement("canvas");
+  const images = [];
+
+  for (let index = 0; index < LIVENESS_BURST.frames; index++) {
+    if (interrupted()) return null;
+    try {
+      drawCroppedFrame(videoRef, canvas);
+      images.push(toAnalysisGrayscale(canvas));
+    } catch (error) {
+      console.warn(`⚠️ [Liveness] Frame ${index + 1} not captured: ${error.message}`);
+    }
+    await sleep(LIVENESS_BURST.intervalMs);
+  }
+  if (interrupted()) return null;
+
+  const liveness = scoreLiveness(images);
+  console.log("💳 [Liveness] Tilt burst:", liveness);
+  return liveness;
+};
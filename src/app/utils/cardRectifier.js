@@ -0,0 +1,135 @@
+/**
+ * 🪪 CARD RECTIFIER
+ *
+ * Warps the card inside a cropped frame onto a flat rectangle with the
+ * ISO/IEC 7810 ID-1 aspect (85.60 × 53.98 mm) at a fixed resolution, so the
+ * detect API always gets the card face-on, edge to edge, at the same size -
+ * however the card was tilted and whatever background was around it.
+ *
+ * The corners come from detectCardQuad (cardDetector.js). A projective
+ * transform (homography) maps every output pixel back into the source frame,
+ * where it is sampled bilinearly.
+ */
+
+export const ID1_WIDTH_MM = 85.6;
+export const ID1_HEIGHT_MM = 53.98;
+
+// ~300 dpi: enough detail for the embossed digits, small enough to upload
+export const RECTIFIED_WIDTH = 1012;
+export const RECTIFIED_HEIGHT = Math.round((RECTIFIED_WIDTH * ID1_HEIGHT_MM) / ID1_WIDTH_MM);
+
+// ----------------------------------------------------------------------------
+// 📐 HOMOGRAPHY
+// ----------------------------------------------------------------------------
+// Solve A·x = b in place (Gaussian elimination with partial pivoting)
+const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  for (let column = 0; column < n; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < n; row++) {
+      if (Math.abs(A[row][column]) > Math.abs(A[pivot][column])) pivot = row;
+    }
+    if (Math.abs(A[pivot][column]) < 1e-12) return null;
+    [A[column], A[pivot]] = [A[pivot], A[column]];
+    [b[column], b[pivot]] = [b[pivot], b[column]];
+
+    for (let row = column + 1; row < n; row++) {
+      const factor = A[row][column] / A[column][column];
+      for (let k = column; k < n; k++) A[row][k] -= factor * A[column][k];
+      b[row] -= factor * b[column];
+    }
+  }
+
+  const x = new Array(n);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = b[row];
+    for (let k = row + 1; k < n; k++) sum -= A[row][k] * x[k];
+    x[row] = sum / A[row][row];
+  }
+  return x;
+};
+
+/**
+ * Homography taking four points onto four others
+ * @param {Array<{x: number, y: number}>} from - Source points
+ * @param {Array<{x: number, y: number}>} to - Where each source point lands
+ * @returns {Array<number>|null} [h0..h7] (h8 = 1), or null for degenerate points
+ */
+export const computeHomography = (from, to) => {
+  const A = [];
+  const b = [];
+  from.forEach(({ x: u, y: v }, index) => {
+    const { x, y } = to[index];
+    A.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+    b.push(x);
+    A.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+    b.push(y);
+  });
+  return solveLinearSystem(A, b);
+};
+
+// ----------------------------------------------------------------------------
+// 🖼️ WARP
+// ----------------------------------------------------------------------------
+/**
+ * Warp the card in a cropped frame onto an ID-1 rectangle
+ * @param {HTMLCanvasElement} source - Frame drawn by drawCroppedFrame
+ * @param {Array<{x: number, y: number}>} corners - Card corners normalised to
+ *   0..1 of source: top-left, top-right, bottom-right, bottom-left
+ * @returns {HTMLCanvasElement|null} RECTIFIED_WIDTH × RECTIFIED_HEIGHT canvas,
+ *   or null when the corners do not define a usable quadrilateral
+ */
+export const rectifyCard = (source, corners, width = RECTIFIED_WIDTH, height = RECTIFIED_HEIGHT) => {
+  const srcWidth = source.width;
+  const srcHeight = source.height;
+  const sourceCorners = corners.map(({ x, y }) => ({ x: x * (srcWidth - 1), y: y * (srcHeight - 1) }));
+  const targetCorners = [
+    { x: 0, y: 0 },
+    { x: width - 1, y: 0 },
+    { x: width - 1, y: height - 1 },
+    { x: 0, y: height - 1 },
+  ];
+
+  // Maps output pixels back into the source
+  const h = computeHomography(targetCorners, sourceCorners);
+  if (!h || h.some((value) => !Number.isFinite(value))) return null;
+
+  const src = source.getContext("2d", { willReadFrequently: true }).getImageData(0, 0, srcWidth, srcHeight).data;
+  const output = document.createElement("canvas");
+  output.width = width;
+  output.height = height;
+  const outputCtx = output.getContext("2d");
+  const image = outputCtx.createImageData(width, height);
+  const dst = image.data;
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const w = h[6] * u + h[7] * v + 1;
+      // Clamp to the frame: a corner just outside it repeats the edge pixels
+      const x = Math.min(srcWidth - 1, Math.max(0, (h[0] * u + h[1] * v + h[2]) / w));
+      const y = Math.min(srcHeight - 1, Math.max(0, (h[3] * u + h[4] * v + h[5]) / w));
+
+      // Bilinear sample
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, srcWidth - 1);
+      const y1 = Math.min(y0 + 1, srcHeight - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+      const p00 = (y0 * srcWidth + x0) * 4;
+      const p10 = (y0 * srcWidth + x1) * 4;
+      const p01 = (y1 * srcWidth + x0) * 4;
+      const p11 = (y1 * srcWidth + x1) * 4;
+      const out = (v * width + u) * 4;
+      for (let channel = 0; channel < 3; channel++) {
+        const top = src[p00 + channel] * (1 - fx) + src[p10 + channel] * fx;
+        const bottom = src[p01 + channel] * (1 - fx) + src[p11 + channel] * fx;
+        dst[out + channel] = top * (1 - fy) + bottom * fy;
+      }
+      dst[out + 3] = 255;
+    }
+  }
+
+  outputCtx.putImageData(image, 0, 0);
+  return output;
+};
@@ -0,0 +1,205 @@
+/**
+ * 💳 CARD DETAILS VALIDATION
+ *
+ * Sanity checks on the card details the backend read (final_ocr), so an OCR
+ * misread is caught on the device and rescanned instead of being handed to
+ * the merchant app.
+ *
+ * CHECKS (issue codes follow the backend's validation_reason style):
+ * - card number → digits only, Luhn checksum, length allowed for its scheme
+ * - expiry      → MM/YY or MM/YYYY, not expired, not implausibly far ahead
+ * - scheme      → the scheme the number belongs to must match the brand the
+ *                 backend read off the card (final_ocr.card_brand), the same
+ *                 way the back side is checked for brand_mismatch
+ * Issues are "error" (the result cannot be used) or "warning" (shown only).
+ * Only fields the backend did read can fail with an error: a missing card
+ * number or expiry is a warning, since not every card or backend provides them.
+ */
+
+export const CARD_SCHEMES = {
+  amex: { name: "American Express", lengths: [15] },
+  visa: { name: "Visa", lengths: [13, 16, 19] },
+  mastercard: { name: "Mastercard", lengths: [16] },
+  discover: { name: "Discover", lengths: [16, 17, 18, 19] },
+  jcb: { name: "JCB", lengths: [16, 17, 18, 19] },
+  unionpay: { name: "UnionPay", lengths: [16, 17, 18, 19] },
+};
+
+// IIN ranges as [first, last] of a prefix; more specific ranges come first so
+// the co-branded Discover / UnionPay range 622126-622925 matches both
+const SCHEME_RANGES = [
+  ["amex", "34", "34"],
+  ["amex", "37", "37"],
+  ["visa", "4", "4"],
+  ["mastercard", "51", "55"],
+  ["mastercard", "2221", "2720"],
+  ["discover", "6011", "6011"],
+  ["discover", "644", "649"],
+  ["discover", "65", "65"],
+  ["discover", "622126", "622925"],
+  ["jcb", "3528", "3589"],
+  ["unionpay", "62", "62"],
+];
+
+// Lengths accepted for a number no scheme above claims
+const GENERIC_LENGTHS = { min: 12, max: 19 };
+const MAX_EXPIRY_YEARS_AHEAD = 20;
+
+// Names the backend may use for each scheme, lowercased with non-letters removed
+const BRAND_ALIASES = {
+  amex: ["amex", "americanexpress"],
+  visa: ["visa", "visaelectron", "visadebit"],
+  mastercard: ["mastercard", "mc", "mastercarddebit"],
+  discover: ["discover", "discovernetwork"],
+  jcb: ["jcb"],
+  unionpay: ["unionpay", "chinaunionpay", "cup"],
+};
+
+const issue = (code, field, message, severity = "error") => ({ code, field, message, severity });
+
+/**
+ * Luhn (mod 10) checksum
+ * @param {string} digits - Card number, digits only
+ * @returns {boolean}
+ */
+export const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+};
+
+/**
+ * Schemes whose IIN ranges contain the number, most specific first
+ * @param {string} digits - Card number, digits only
+ * @returns {Array<string>} Keys of CARD_SCHEMES
+ */
+export const detectSchemes = (digits) => {
+  const schemes = [];
+  for (const [scheme, first, last] of SCHEME_RANGES) {
+    const prefix = digits.slice(0, first.length);
+    if (prefix.length === first.length && prefix >= first && prefix <= last && !schemes.includes(scheme)) {
+      schemes.push(scheme);
+    }
+  }
+  return schemes;
+};
+
+/**
+ * Scheme key for a brand name as the backend writes it ("Visa", "MasterCard", ...)
+ * @returns {string|null}
+ */
+export const schemeForBrand = (brand) => {
+  const normalized = String(brand || "").toLowerCase().replace(/[^a-z]/g, "");
+  const match = Object.entries(BRAND_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+};
+
+/**
+ * Parse an expiry date
+ * @param {string} value - "MM/YY", "MM/YYYY" (also with "-" or ".")
+ * @returns {{month: number, year: number}|null}
+ */
+export const parseExpiry = (value) => {
+  const match = /^(\d{1,2})\s*[/.-]\s*(\d{2}|\d{4})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const month = Number(match[1]);
+  const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+  return month >= 1 && month <= 12 ? { month, year } : null;
+};
+
+const validateNumber = (value, issues) => {
+  if (!value) {
+    issues.push(issue("pan_missing", "card_number", "Card number could not be read", "warning"));
+    return { digits: "", schemes: [] };
+  }
+
+  const digits = String(value).replace(/[\s-]/g, "");
+  if (!/^\d+$/.test(digits)) {
+    issues.push(issue("pan_format", "card_number", "Card number contains characters other than digits"));
+    return { digits: "", schemes: [] };
+  }
+
+  const schemes = detectSchemes(digits);
+  const lengths = schemes.flatMap((scheme) => CARD_SCHEMES[scheme].lengths);
+  if (schemes.length === 0) {
+    issues.push(issue("unknown_scheme", "card_number", "Card scheme not recognised", "warning"));
+    if (digits.length < GENERIC_LENGTHS.min || digits.length > GENERIC_LENGTHS.max) {
+      issues.push(issue("invalid_length", "card_number", `Card number has ${digits.length} digits`));
+    }
+  } else if (!lengths.includes(digits.length)) {
+    issues.push(
+      issue("invalid_length", "card_number", `${CARD_SCHEMES[schemes[0]].name} numbers cannot have ${digits.length} digits`)
+    );
+  }
+
+  if (!passesLuhn(digits)) {
+    issues.push(issue("luhn_failed", "card_number", "Card number checksum does not match - it was probably misread"));
+  }
+  return { digits, schemes };
+};
+
+const validateExpiry = (value, now, issues) => {
+  if (!value) {
+    issues.push(issue("expiry_missing", "expiry_date", "Expiry date could not be read", "warning"));
+    return;
+  }
+
+  const expiry = parseExpiry(value);
+  if (!expiry) {
+    issues.push(issue("expiry_format", "expiry_date", `Expiry date "${value}" is not a valid MM/YY date`));
+    return;
+  }
+
+  // A card is valid until the end of its expiry month
+  const monthsLeft = (expiry.year - now.getFullYear()) * 12 + (expiry.month - (now.getMonth() + 1));
+  if (monthsLeft < 0) {
+    issues.push(issue("expired", "expiry_date", "Card has expired"));
+  } else if (monthsLeft > MAX_EXPIRY_YEARS_AHEAD * 12) {
+    issues.push(issue("expiry_too_far", "expiry_date", "Expiry date is too far in the future - it was probably misread"));
+  }
+};
+
+/**
+ * Check the card details of a final detect response
+ * @param {object} result - Detect response with final_ocr
+ * @param {Date} now - Reference date for the expiry check
+ * @returns {{valid: boolean, checked: boolean, scheme: string|null, schemeName: string|null,
+ *   issues: Array<{code: string, field: string, message: string, severity: string}>}}
+ *   checked is false when the response has no final_ocr (nothing to check)
+ */
+export const validateCardResult = (result, now = new Date()) => {
+  const ocr = result?.final_ocr;
+  if (!ocr) return { valid: true, checked: false, scheme: null, schemeName: null, issues: [] };
+
+  const issues = [];
+  const { schemes } = validateNumber(ocr.card_number?.value, issues);
+  validateExpiry(ocr.expiry_date?.value, now, issues);
+
+  const brand = ocr.card_brand?.value;
+  const brandScheme = schemeForBrand(brand);
+  if (brandScheme && schemes.length > 0 && !schemes.includes(brandScheme)) {
+    issues.push(
+      issue(
+        "scheme_mismatch",
+        "card_number",
+        `Card number belongs to ${CARD_SCHEMES[schemes[0]].name} but the card shows ${CARD_SCHEMES[brandScheme].name}`
+      )
+    );
+  }
+
+  const scheme = schemes[0] || null;
+  return {
+    valid: !issues.some(({ severity }) => severity === "error"),
+    checked: true,
+    scheme,
+    schemeName: scheme ? CARD_SCHEMES[scheme].name : null,
+    issues,
+  };
+};
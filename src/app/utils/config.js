@@ -0,0 +1,264 @@
+/**
+ * ⚙️ CENTRAL CONFIGURATION
+ *
+ * Every endpoint and setting the app needs, read once from environment
+ * variables and checked against its type.
+ *
+ * PROFILES (selected with NEXT_PUBLIC_APP_ENV):
+ * - "production"  → defaults to the cardnest.io hosts
+ * - "staging"     → no host defaults, every endpoint must be set
+ * - "development" → webview redirects default to http://localhost:3000
+ * - "local"       → development plus the mock backend at /api/mock, so the
+ *                   whole scan and voice flow runs with no network
+ * When NEXT_PUBLIC_APP_ENV is unset the profile is "development" under
+ * `next dev` and required everywhere else, so a deployment never falls back
+ * to production hosts by accident.
+ *
+ * - getPublicConfig() → values the browser may see (NEXT_PUBLIC_*)
+ * - getServerConfig() → everything, for API routes and server utils only
+ * Both throw one error listing every missing or invalid value.
+ * src/instrumentation.js calls getServerConfig() so `next start` fails fast.
+ * While `next build` loads the route modules, problems are only logged:
+ * server secrets are not expected to exist at build time.
+ */
+
+import { MOCK_SCENARIO_NAMES } from "./mockScenarios";
+
+// Browser bundles only get NEXT_PUBLIC_* values that are referenced literally
+const PUBLIC_ENV = {
+  NEXT_PUBLIC_APP_ENV: process.env.NEXT_PUBLIC_APP_ENV,
+  NEXT_PUBLIC_API_URL: process.env.NEXT_PUBLIC_API_URL,
+  NEXT_PUBLIC_ADMIN_API_URL: process.env.NEXT_PUBLIC_ADMIN_API_URL,
+  NEXT_PUBLIC_UPLOAD_DEBUG_CROP: process.env.NEXT_PUBLIC_UPLOAD_DEBUG_CROP,
+  NEXT_PUBLIC_DEBUG_VIEWS: process.env.NEXT_PUBLIC_DEBUG_VIEWS,
+  NEXT_PUBLIC_CAMERA_PROFILES: process.env.NEXT_PUBLIC_CAMERA_PROFILES,
+};
+
+const PROFILES = {
+  production: {
+    NEXT_PUBLIC_ADMIN_API_URL: "https://admin.cardnest.io",
+    WEBVIEW_BASE_URL: "https://mobile.cardnest.io",
+  },
+  staging: {},
+  development: {
+    WEBVIEW_BASE_URL: "http://localhost:3000",
+  },
+  local: {
+    NEXT_PUBLIC_API_URL: "http://localhost:3000/securityscan/api/mock",
+    NEXT_PUBLIC_ADMIN_API_URL: "http://localhost:3000/securityscan/api/mock",
+    NEXT_PUBLIC_DEBUG_VIEWS: "true",
+    WEBVIEW_BASE_URL: "http://localhost:3000",
+    MOCK_BACKEND: "true",
+    // Signs the assertions issued by the mock voice service
+    VOICE_ASSERTION_SECRET: "local-mock-voice-secret",
+  },
+};
+
+// ----------------------------------------------------------------------------
+// 📋 SETTINGS
+// key → { env, type, required, default, oneOf }
+// ----------------------------------------------------------------------------
+const PUBLIC_SETTINGS = {
+  apiUrl: { env: "NEXT_PUBLIC_API_URL", type: "url", required: true },
+  adminApiUrl: { env: "NEXT_PUBLIC_ADMIN_API_URL", type: "url", required: true },
+  // Also upload the unrectified crop with each frame, for debugging the card warp
+  uploadDebugCrop: { env: "NEXT_PUBLIC_UPLOAD_DEBUG_CROP", type: "boolean", default: false },
+  // Full card numbers, raw JSON and clipboard copy in the results (see displayPolicy.js)
+  debugViews: { env: "NEXT_PUBLIC_DEBUG_VIEWS", type: "boolean", default: false },
+  // Device camera profiles added or changed for this deployment (see cameraProfiles.js)
+  cameraProfiles: { env: "NEXT_PUBLIC_CAMERA_PROFILES", type: "json", default: [] },
+};
+
+const SERVER_SETTINGS = {
+  webviewBaseUrl: { env: "WEBVIEW_BASE_URL", type: "url", required: true },
+  adminApiKey: { env: "ADMIN_API_KEY", type: "string" },
+  storeBackend: { env: "STORE_BACKEND", type: "string", default: "memory", oneOf: ["memory", "file"] },
+  storeDir: { env: "STORE_DIR", type: "string" },
+  auditHeadFile: { env: "AUDIT_HEAD_FILE", type: "string" },
+  rateLimitBackend: { env: "RATE_LIMIT_BACKEND", type: "string", default: "memory", oneOf: ["memory", "shared"] },
+  // Proxies in front of the app that append to X-Forwarded-For (see getClientIp)
+  trustedProxyCount: { env: "TRUSTED_PROXY_COUNT", type: "integer" },
+  releasePolicy: { env: "RELEASE_POLICY", type: "string", default: "single", oneOf: ["single", "count", "window"] },
+  releaseMaxReads: { env: "RELEASE_MAX_READS", type: "integer", default: 3 },
+  releaseWindowMs: { env: "RELEASE_WINDOW_MS", type: "integer", default: 60 * 1000 },
+  voiceVerifier: { env: "VOICE_VERIFIER", type: "string", default: "assertion" },
+  voiceAssertionSecret: { env: "VOICE_ASSERTION_SECRET", type: "string" },
+  voiceAssertionPublicKey: { env: "VOICE_ASSERTION_PUBLIC_KEY", type: "string" },
+  voiceVerifierUrl: { env: "VOICE_VERIFIER_URL", type: "url" },
+  identitySources: {
+    env: "IDENTITY_SOURCES",
+    type: "list",
+    default: ["customer_id", "sim", "device_id"],
+    oneOf: ["customer_id", "sim", "device_id"],
+  },
+  mockBackend: { env: "MOCK_BACKEND", type: "boolean", default: false },
+  mockScenario: {
+    env: "MOCK_SCENARIO",
+    type: "string",
+    default: "success",
+    oneOf: MOCK_SCENARIO_NAMES,
+  },
+};
+
+// ----------------------------------------------------------------------------
+// 🔍 PARSING
+// ----------------------------------------------------------------------------
+const readEnv = (name) =>
+  name in PUBLIC_ENV ? PUBLIC_ENV[name] : process.env[name];
+
+const resolveAppEnv = (problems) => {
+  const appEnv =
+    readEnv("NEXT_PUBLIC_APP_ENV") ||
+    (process.env.NODE_ENV === "development" ? "development" : undefined);
+
+  if (!appEnv) {
+    problems.push("NEXT_PUBLIC_APP_ENV is required (production, staging, development or local)");
+  } else if (!PROFILES[appEnv]) {
+    problems.push(`NEXT_PUBLIC_APP_ENV "${appEnv}" is not one of: ${Object.keys(PROFILES).join(", ")}`);
+  }
+  return appEnv;
+};
+
+const parseSetting = ({ env, type, required, default: fallback, oneOf }, profile, problems) => {
+  const raw = readEnv(env) || profile[env];
+
+  if (raw === undefined || raw === "") {
+    if (required) problems.push(`${env} is required`);
+    return fallback ?? null;
+  }
+
+  if (type === "integer") {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value <= 0) {
+      problems.push(`${env} must be a positive integer`);
+      return fallback ?? null;
+    }
+    return value;
+  }
+
+  if (type === "boolean") {
+    if (!["true", "false"].includes(raw)) {
+      problems.push(`${env} must be true or false`);
+      return fallback ?? null;
+    }
+    return raw === "true";
+  }
+
+  if (type === "list") {
+    const items = raw.split(",").map((item) => item.trim()).filter(Boolean);
+    const unknown = items.filter((item) => oneOf && !oneOf.includes(item));
+    if (items.length === 0 || unknown.length > 0) {
+      problems.push(`${env} must be a comma-separated list of: ${oneOf.join(", ")}`);
+      return fallback ?? null;
+    }
+    return items;
+  }
+
+  if (type === "json") {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      problems.push(`${env} must be valid JSON`);
+      return fallback ?? null;
+    }
+  }
+
+  if (type === "url") {
+    try {
+      const url = new URL(raw);
+      if (!["http:", "https:"].includes(url.protocol)) throw new Error("unsupported protocol");
+    } catch {
+      problems.push(`${env} must be an http(s) URL`);
+      return null;
+    }
+    // Stored without a trailing slash so paths can be appended
+    return raw.replace(/\/+$/, "");
+  }
+
+  if (oneOf && !oneOf.includes(raw)) {
+    problems.push(`${env} "${raw}" is not one of: ${oneOf.join(", ")}`);
+    return fallback ?? null;
+  }
+  return raw;
+};
+
+const parseSettings = (settings, profile, problems) =>
+  Object.fromEntries(
+    Object.entries(settings).map(([key, setting]) => [key, parseSetting(setting, profile, problems)])
+  );
+
+// Set by Next.js while `next build` collects page data
+const isBuildPhase = () => process.env.NEXT_PHASE === "phase-production-build";
+let buildWarningShown = false;
+
+const failOnProblems = (problems) => {
+  if (problems.length === 0) return;
+
+  const message = `Invalid configuration:\n  - ${problems.join("\n  - ")}`;
+  if (isBuildPhase()) {
+    if (!buildWarningShown) console.warn(`⚠️ [Config] ${message}`);
+    buildWarningShown = true;
+    return;
+  }
+  throw new Error(message);
+};
+
+// ----------------------------------------------------------------------------
+// 📦 ACCESSORS
+// ----------------------------------------------------------------------------
+let publicConfig = null;
+let serverConfig = null;
+
+/**
+ * Configuration that is safe to use in the browser
+ * @returns {{appEnv: string, apiUrl: string, adminApiUrl: string, uploadDebugCrop: boolean,
+ *   debugViews: boolean, cameraProfiles: Array<object>}}
+ */
+export const getPublicConfig = () => {
+  if (publicConfig) return publicConfig;
+
+  const problems = [];
+  const appEnv = resolveAppEnv(problems);
+  const values = parseSettings(PUBLIC_SETTINGS, PROFILES[appEnv] || {}, problems);
+  failOnProblems(problems);
+
+  publicConfig = Object.freeze({ appEnv, ...values });
+  return publicConfig;
+};
+
+/**
+ * Full configuration for API routes and server utilities
+ * @returns {object} Public values plus server-only settings and secrets
+ */
+export const getServerConfig = () => {
+  if (serverConfig) return serverConfig;
+
+  const problems = [];
+  const appEnv = resolveAppEnv(problems);
+  const profile = PROFILES[appEnv] || {};
+  const values = {
+    ...parseSettings(PUBLIC_SETTINGS, profile, problems),
+    ...parseSettings(SERVER_SETTINGS, profile, problems),
+  };
+
+  // Settings that only matter for the selected voice verifier
+  if (values.voiceVerifier === "callback" && !values.voiceVerifierUrl) {
+    problems.push("VOICE_VERIFIER_URL is required when VOICE_VERIFIER=callback");
+  }
+  if (
+    values.voiceVerifier === "assertion" &&
+    !values.voiceAssertionSecret &&
+    !values.voiceAssertionPublicKey
+  ) {
+    problems.push("VOICE_ASSERTION_SECRET or VOICE_ASSERTION_PUBLIC_KEY is required when VOICE_VERIFIER=assertion");
+  }
+  if (values.mockBackend && appEnv === "production") {
+    problems.push("MOCK_BACKEND cannot be enabled in the production profile");
+  }
+  failOnProblems(problems);
+
+  const config = Object.freeze({ appEnv, ...values });
+  // Build-time values may be incomplete, so only the runtime result is kept
+  if (!isBuildPhase()) serverConfig = config;
+  return config;
+};
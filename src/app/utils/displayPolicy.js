@@ -0,0 +1,88 @@
+/**
+ * 🙈 DISPLAY POLICY
+ *
+ * What card data the page and the browser console may show.
+ * - Card numbers are masked to the first 6 and last 4 digits
+ * - Raw JSON, encrypted payload viewers and clipboard copy only exist in
+ *   debug builds (NEXT_PUBLIC_DEBUG_VIEWS=true), which also show card numbers
+ *   in full so OCR results can be checked
+ * - redactForLog() takes card data out of API responses before they are logged
+ */
+
+import { getPublicConfig } from "./config";
+
+const MASK_CHARACTER = "•";
+const VISIBLE_PREFIX = 6;
+const VISIBLE_SUFFIX = 4;
+
+// Response fields never logged as they are. Card fields come as { value, confidence }
+const MASKED_LOG_FIELDS = ["card_number", "pan"];
+const REDACTED_LOG_FIELDS = [
+  "cardholder_name",
+  "expiry_date",
+  "cvv",
+  "cvc",
+  "assertion",
+  "authToken",
+  "auth_token",
+];
+const ENCRYPTED_LOG_FIELDS = ["encrypted_card_data", "encrypted_data"];
+
+/**
+ * Whether this build shows debug-only views (raw JSON, clipboard, full card numbers)
+ * @returns {boolean}
+ */
+export const isDebugViewsEnabled = () => getPublicConfig().debugViews === true;
+
+/**
+ * Mask a card number to its first 6 and last 4 digits, keeping its spacing
+ * ("4111 1111 1111 1111" → "4111 11•• •••• 1111"). Numbers too short to
+ * show 10 digits safely keep only the last 4.
+ * @param {string} value - Card number as read
+ * @returns {string}
+ */
+export const maskPan = (value) => {
+  if (!value) return "";
+  const text = String(value);
+  const digitCount = text.replace(/\D/g, "").length;
+  const prefix = digitCount >= 13 ? VISIBLE_PREFIX : 0;
+
+  let digitIndex = 0;
+  return text.replace(/\d/g, (digit) => {
+    const index = digitIndex++;
+    return index < prefix || index >= digitCount - VISIBLE_SUFFIX ? digit : MASK_CHARACTER;
+  });
+};
+
+/**
+ * Card number as the page shows it
+ * @param {string} value - Card number as read
+ * @returns {string} Masked, or in full in debug builds
+ */
+export const displayPan = (value) => (isDebugViewsEnabled() ? String(value || "") : maskPan(value));
+
+// Replace a field value, inside its { value } wrapper when it has one
+const redactField = (field, replace) =>
+  field && typeof field === "object" && "value" in field ? { ...field, value: replace(field.value) } : replace(field);
+
+/**
+ * Copy of an API response that is safe to log
+ * @param {*} data - Response, or any value
+ * @returns {*} Same shape with card numbers masked and other card data,
+ *   secrets and encrypted payloads replaced
+ */
+export const redactForLog = (data) => {
+  if (Array.isArray(data)) return data.map(redactForLog);
+  if (!data || typeof data !== "object") return data;
+
+  return Object.fromEntries(
+    Object.entries(data).map(([key, value]) => {
+      if (MASKED_LOG_FIELDS.includes(key)) return [key, redactField(value, maskPan)];
+      if (REDACTED_LOG_FIELDS.includes(key)) return [key, redactField(value, () => "[redacted]")];
+      if (ENCRYPTED_LOG_FIELDS.includes(key)) {
+        return [key, typeof value === "string" ? `[encrypted, ${value.length} chars]` : "[encrypted]"];
+      }
+      return [key, redactForLog(value)];
+    })
+  );
+};
@@ -0,0 +1,173 @@
+/**
+ * 📦 ADAPTIVE FRAME ENCODER
+ *
+ * Picks the size and quality of every uploaded frame from how fast uploads
+ * actually go, so a frame still reaches detect within UPLOAD_TIME_BUDGET_MS on
+ * a slow or metered mobile link, while fast links keep full detail.
+ *
+ * - Throughput: estimated from the time each upload took (recordUploadTiming),
+ *   seeded with the upload bandwidth the app reported in its device info
+ *   (network.bandwidthKbpsUp, handed over with the session)
+ * - Encoding: the first step of ENCODING_LADDER whose expected size fits the
+ *   byte budget. Expected sizes are corrected by how far the last frames were
+ *   off, so the choice settles after a frame or two
+ * - Requirements: the backend may advertise minimums with its detect responses
+ *   (upload_requirements: { min_width, min_height, min_quality, formats });
+ *   no step goes below them, and WebP is only used when it is listed there
+ *
+ * The estimate lives for the page, so the back side starts where the front
+ * side ended.
+ */
+
+import { canvasToBlob } from "./CameraUtils";
+
+// A frame should be uploaded well within the scan's frame interval
+const UPLOAD_TIME_BUDGET_MS = 600;
+
+// Best first. bytesPerPixel is the typical size of a card frame at that quality
+const ENCODING_LADDER = [
+  { maxWidth: 1280, quality: 0.92, bytesPerPixel: 0.35 },
+  { maxWidth: 1012, quality: 0.88, bytesPerPixel: 0.27 },
+  { maxWidth: 1012, quality: 0.8, bytesPerPixel: 0.19 },
+  { maxWidth: 800, quality: 0.75, bytesPerPixel: 0.16 },
+  { maxWidth: 640, quality: 0.7, bytesPerPixel: 0.13 },
+];
+
+// WebP at the same quality comes out about this much smaller than JPEG
+const WEBP_SIZE_RATIO = 0.75;
+
+export const DEFAULT_UPLOAD_REQUIREMENTS = {
+  minWidth: 640,
+  minHeight: 400,
+  minQuality: 0.7,
+  formats: ["jpeg"],
+};
+
+// Weight of the newest sample in the running estimates
+const SMOOTHING = 0.5;
+// Uploads this small are dominated by latency, not throughput
+const MIN_TIMED_BYTES = 8 * 1024;
+
+let throughputKbps = null; // null until seeded or measured
+let sizeCorrection = 1; // actual / expected bytes of recent frames
+let webpSupported = null;
+
+const smooth = (previous, sample) => (previous === null ? sample : previous + SMOOTHING * (sample - previous));
+
+/**
+ * Current upload throughput estimate
+ * @returns {number|null} kbit/s, or null when nothing is known yet
+ */
+export const getUploadThroughputKbps = () => {
+  if (throughputKbps === null && typeof window !== "undefined") {
+    const reported = Number(window.__WEBVIEW_AUTH__?.network?.bandwidthKbpsUp);
+    if (reported > 0) throughputKbps = reported;
+  }
+  return throughputKbps;
+};
+
+/**
+ * Feed the time an upload took into the throughput estimate
+ * @param {object} timing - { bytes, uploadMs } uploadMs covers sending the body only
+ * @returns {number|null} The updated estimate in kbit/s
+ */
+export const recordUploadTiming = ({ bytes, uploadMs }) => {
+  getUploadThroughputKbps();
+  if (bytes >= MIN_TIMED_BYTES && uploadMs > 0) {
+    throughputKbps = smooth(throughputKbps, (bytes * 8) / uploadMs);
+  }
+  return throughputKbps;
+};
+
+/**
+ * Upload requirements from a detect response, over the defaults
+ * @param {object} advertised - response.upload_requirements
+ * @returns {{minWidth: number, minHeight: number, minQuality: number, formats: Array<string>}}
+ */
+export const parseUploadRequirements = (advertised) => {
+  if (!advertised || typeof advertised !== "object") return DEFAULT_UPLOAD_REQUIREMENTS;
+  const number = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  const formats = Array.isArray(advertised.formats)
+    ? advertised.formats.map((format) => String(format).toLowerCase())
+    : DEFAULT_UPLOAD_REQUIREMENTS.formats;
+  return {
+    minWidth: number(advertised.min_width, DEFAULT_UPLOAD_REQUIREMENTS.minWidth),
+    minHeight: number(advertised.min_height, DEFAULT_UPLOAD_REQUIREMENTS.minHeight),
+    minQuality: Math.min(1, number(advertised.min_quality, DEFAULT_UPLOAD_REQUIREMENTS.minQuality)),
+    formats: formats.length > 0 ? formats : DEFAULT_UPLOAD_REQUIREMENTS.formats,
+  };
+};
+
+// Browsers without a WebP encoder hand back a PNG instead
+const supportsWebp = () => {
+  if (webpSupported === null) {
+    const probe = document.createElement("canvas");
+    probe.width = 1;
+    probe.height = 1;
+    webpSupported = probe.toDataURL("image/webp").startsWith("data:image/webp");
+  }
+  return webpSupported;
+};
+
+// Output size for a step: never upscaled, never below the minimum size
+const stepDimensions = (source, step, { minWidth, minHeight }) => {
+  const scale = Math.min(
+    1,
+    Math.max(step.maxWidth / source.width, minWidth / source.width, minHeight / source.height)
+  );
+  return { width: Math.round(source.width * scale), height: Math.round(source.height * scale) };
+};
+
+/**
+ * Encoding the next frame should use
+ * @param {{width: number, height: number}} source - Size of the frame canvas
+ * @param {object} requirements - Result of parseUploadRequirements
+ * @returns {{width: number, height: number, quality: number, format: string,
+ *   expectedBytes: number, budgetBytes: number|null}}
+ */
+export const chooseEncoding = (source, requirements = DEFAULT_UPLOAD_REQUIREMENTS) => {
+  const format = requirements.formats.includes("webp") && supportsWebp() ? "webp" : "jpeg";
+  const kbps = getUploadThroughputKbps();
+  const budgetBytes = kbps === null ? null : (kbps * UPLOAD_TIME_BUDGET_MS) / 8;
+
+  const steps = ENCODING_LADDER.filter(({ quality }) => quality >= requirements.minQuality);
+  const options = (steps.length > 0 ? steps : ENCODING_LADDER.slice(0, 1)).map((step) => {
+    const { width, height } = stepDimensions(source, step, requirements);
+    const formatRatio = format === "webp" ? WEBP_SIZE_RATIO : 1;
+    const expectedBytes = Math.round(width * height * step.bytesPerPixel * formatRatio * sizeCorrection);
+    return { width, height, quality: step.quality, format, expectedBytes };
+  });
+
+  // Unknown throughput: best quality until the first upload is timed.
+  // Nothing fits: the smallest step allowed
+  const chosen =
+    budgetBytes === null
+      ? options[0]
+      : options.find(({ expectedBytes }) => expectedBytes <= budgetBytes) || options[options.length - 1];
+  return { ...chosen, budgetBytes };
+};
+
+/**
+ * Encode a frame for upload at the size and quality the link can take
+ * @param {HTMLCanvasElement} canvas - Frame to upload
+ * @param {object} requirements - Result of parseUploadRequirements
+ * @returns {Promise<{blob: Blob, width: number, height: number, quality: number,
+ *   format: string, expectedBytes: number, budgetBytes: number|null}>}
+ */
+export const encodeFrame = async (canvas, requirements = DEFAULT_UPLOAD_REQUIREMENTS) => {
+  const encoding = chooseEncoding(canvas, requirements);
+
+  let source = canvas;
+  if (encoding.width !== canvas.width || encoding.height !== canvas.height) {
+    source = document.createElement("canvas");
+    source.width = encoding.width;
+    source.height = encoding.height;
+    const ctx = source.getContext("2d");
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(canvas, 0, 0, encoding.width, encoding.height);
+  }
+
+  const blob = await canvasToBlob(source, `image/${encoding.format}`, encoding.quality);
+  sizeCorrection = smooth(sizeCorrection, (sizeCorrection * blob.size) / encoding.expectedBytes);
+  return { ...encoding, blob };
+};
@@ -0,0 +1,197 @@
+/**
+ * 🔍 FRAME QUALITY GATE
+ *
+ * Measures candidate frames on the device so that only usable frames are
+ * uploaded, and the best of those goes first. A frame that fails the gate
+ * never reaches the detect API, so it cannot burn an attempt.
+ *
+ * Frames are analysed on a grayscale copy scaled down to ANALYSIS_WIDTH, which
+ * keeps a measurement to a few milliseconds on mid-range phones.
+ * - sharpness → variance of the Laplacian (blurred frames have few strong edges)
+ * - glare     → share of pixels at or near sensor saturation (specular highlights)
+ * - luminance → mean brightness, 0-255
+ * - fill      → share of the crop inside the card's outer edges, found from
+ *               long straight runs of strong gradients; null when no edge is found
+ *
+ * Each failed check maps to a hint CameraView shows. Checks are listed in the
+ * order their hints are shown: a dark frame is also blurry, but "too dark" is
+ * the thing to fix first.
+ */
+
+const ANALYSIS_WIDTH = 320;
+
+export const QUALITY_THRESHOLDS = {
+  minSharpness: 60, // Laplacian variance at ANALYSIS_WIDTH
+  maxGlare: 0.04, // share of saturated pixels
+  minLuminance: 60,
+  maxLuminance: 210,
+  minFill: 0.45, // the crop has ~9% padding around the on-screen guide
+};
+
+// Laplacian variance of a well-focused card at ANALYSIS_WIDTH
+const SHARPNESS_REFERENCE = 400;
+const GLARE_LEVEL = 250;
+// Gradient that counts as an edge, and how much of a row / column must be edge
+// for it to be a card border
+const EDGE_GRADIENT = 40;
+const BORDER_RUN = 0.25;
+
+export const QUALITY_HINTS = {
+  TOO_DARK: "Too dark - move to a brighter spot",
+  TOO_BRIGHT: "Too bright - move out of direct light",
+  GLARE: "Glare on the card - tilt it slightly away from the light",
+  BLURRY: "Hold the card steady so it comes into focus",
+  TOO_FAR: "Move the card closer so it fills the frame",
+};
+
+let analysisCanvas = null;
+
+/**
+ * Grayscale copy of a canvas at analysis resolution
+ * @param {HTMLCanvasElement} canvas - Source frame
+ * @param {number} targetWidth - Width to scale down to
+ * @returns {{gray: Float32Array, width: number, height: number}}
+ */
+export const toAnalysisGrayscale = (canvas, targetWidth = ANALYSIS_WIDTH) => {
+  const scale = Math.min(1, targetWidth / canvas.width);
+  const width = Math.max(1, Math.round(canvas.width * scale));
+  const height = Math.max(1, Math.round(canvas.height * scale));
+
+  if (!analysisCanvas) analysisCanvas = document.createElement("canvas");
+  analysisCanvas.width = width;
+  analysisCanvas.height = height;
+  const ctx = analysisCanvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(canvas, 0, 0, width, height);
+
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    // ITU-R BT.601 luma
+    gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  }
+  return { gray, width, height };
+};
+
+/**
+ * Variance of the 4-neighbour Laplacian
+ * @returns {number} Higher is sharper
+ */
+export const laplacianVariance = ({ gray, width, height }) => {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const value = gray[p - width] + gray[p + width] + gray[p - 1] + gray[p + 1] - 4 * gray[p];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+};
+
+/**
+ * Mean brightness and share of saturated pixels
+ * @returns {{luminance: number, glare: number}}
+ */
+export const measureExposure = ({ gray }) => {
+  let sum = 0;
+  let saturated = 0;
+  for (let p = 0; p < gray.length; p++) {
+    sum += gray[p];
+    if (gray[p] >= GLARE_LEVEL) saturated++;
+  }
+  return { luminance: sum / gray.length, glare: saturated / gray.length };
+};
+
+/**
+ * Share of the frame inside the card's outer edges
+ * @returns {number|null} 0..1, or null when no card edge was found
+ */
+export const measureCardFill = ({ gray, width, height }) => {
+  const columnEdges = new Uint16Array(width);
+  const rowEdges = new Uint16Array(height);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      if (Math.abs(gray[p + 1] - gray[p - 1]) > EDGE_GRADIENT) columnEdges[x]++;
+      if (Math.abs(gray[p + width] - gray[p - width]) > EDGE_GRADIENT) rowEdges[y]++;
+    }
+  }
+
+  // Outermost border line on each side of the centre, or null
+  const findBorders = (edges, length, span) => {
+    const minRun = span * BORDER_RUN;
+    let first = null;
+    let last = null;
+    for (let i = 1; i < length / 2; i++) {
+      if (edges[i] >= minRun) {
+        first = i;
+        break;
+      }
+    }
+    for (let i = length - 2; i > length / 2; i--) {
+      if (edges[i] >= minRun) {
+        last = i;
+        break;
+      }
+    }
+    return { first, last };
+  };
+
+  const columns = findBorders(columnEdges, width, height);
+  const rows = findBorders(rowEdges, height, width);
+  if ([columns.first, columns.last, rows.first, rows.last].every((edge) => edge === null)) {
+    return null;
+  }
+
+  // A side with no visible border is taken to run off the frame
+  const cardWidth = (columns.last ?? width - 1) - (columns.first ?? 0);
+  const cardHeight = (rows.last ?? height - 1) - (rows.first ?? 0);
+  return (cardWidth * cardHeight) / ((width - 1) * (height - 1));
+};
+
+/**
+ * Measure a captured frame and run it through the quality gate
+ * @param {HTMLCanvasElement} canvas - The cropped frame
+ * @param {object} thresholds - Overrides for QUALITY_THRESHOLDS
+ * @returns {{passed: boolean, score: number, issues: Array<string>, hint: object|null,
+ *   sharpness: number, glare: number, luminance: number, fill: number|null}}
+ *   score is 0..1 (higher is better); hint is { code, message } for the first issue
+ */
+export const measureFrameQuality = (canvas, thresholds = {}) => {
+  const limits = { ...QUALITY_THRESHOLDS, ...thresholds };
+  const image = toAnalysisGrayscale(canvas);
+  const sharpness = laplacianVariance(image);
+  const { luminance, glare } = measureExposure(image);
+  const fill = measureCardFill(image);
+
+  const issues = [];
+  if (luminance < limits.minLuminance) issues.push("TOO_DARK");
+  if (luminance > limits.maxLuminance) issues.push("TOO_BRIGHT");
+  if (glare > limits.maxGlare) issues.push("GLARE");
+  if (sharpness < limits.minSharpness) issues.push("BLURRY");
+  if (fill !== null && fill < limits.minFill) issues.push("TOO_FAR");
+
+  // Sharpness ranks frames; glare scales the score down before it fails the gate
+  const glarePenalty = Math.min(1, glare / limits.maxGlare) * 0.5;
+  const score = Math.min(1, sharpness / SHARPNESS_REFERENCE) * (1 - glarePenalty);
+
+  return {
+    passed: issues.length === 0,
+    score,
+    issues,
+    hint: issues.length > 0 ? { code: issues[0], message: QUALITY_HINTS[issues[0]] } : null,
+    sharpness: Math.round(sharpness),
+    glare: Number(glare.toFixed(4)),
+    luminance: Math.round(luminance),
+    fill: fill === null ? null : Number(fill.toFixed(2)),
+  };
+};
@@ -0,0 +1,109 @@
+/**
+ * 🪪 VOICE IDENTITY RESOLUTION
+ *
+ * Picks the user ID that voice enrollment and verification run against.
+ * There is deliberately no shared fallback ID: when no source yields a value,
+ * resolution fails with IDENTITY_UNAVAILABLE and the page offers another path.
+ *
+ * SOURCES (tried in the order given by IDENTITY_SOURCES on the server):
+ * - "customer_id" → customer ID supplied by the merchant app  → "cust_<id>"
+ * - "sim"         → first usable SIM number from device info  → digits only
+ * - "device_id"   → SHA-256 of merchant ID + Android device ID → "dev_<hash>"
+ * - "manual"      → mobile number typed in by the user (page fallback only,
+ *                   verify-only against an existing voice enrollment)
+ *
+ * Enrollments made before identity sources existed are keyed by the SIM
+ * number. When another source wins, that number is returned as
+ * legacyVoiceUserId so the page can still verify against an old enrollment.
+ *
+ * Works in the browser and on the server (Web Crypto only).
+ */
+
+export const IDENTITY_SOURCES = ["customer_id", "sim", "device_id", "manual"];
+
+export const IDENTITY_ERRORS = {
+  IDENTITY_UNAVAILABLE: "IDENTITY_UNAVAILABLE",
+};
+
+// Values Android reports when a SIM number cannot be read
+const UNKNOWN_SIM_VALUES = ["na", "n/a", "null", "unknown", "0"];
+
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15; // E.164
+
+/**
+ * Normalise a phone number to digits only
+ * @param {string} value - Raw number ("+971 55 946 7800", "00971...")
+ * @returns {string|null} Digits, or null if it is not a usable number
+ */
+export const normalizePhoneNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const raw = String(value).trim();
+  if (UNKNOWN_SIM_VALUES.includes(raw.toLowerCase())) return null;
+  if (!/^[+\d\s().-]+$/.test(raw)) return null;
+
+  const digits = raw.replace(/\D/g, "").replace(/^00/, "");
+  if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) return null;
+  return digits;
+};
+
+const sha256Hex = async (text) => {
+  const digest = await globalThis.crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// ----------------------------------------------------------------------------
+// 🔌 SOURCE RESOLVERS
+// Each returns the voice user ID for its source, or null
+// ----------------------------------------------------------------------------
+const resolvers = {
+  customer_id: async ({ customerId }) => {
+    const id = customerId ? String(customerId).trim() : "";
+    return /^[A-Za-z0-9._-]{1,128}$/.test(id) ? `cust_${id}` : null;
+  },
+
+  sim: async ({ deviceInfo }) => {
+    for (const sim of deviceInfo?.sims || []) {
+      const number = normalizePhoneNumber(sim?.sim);
+      if (number) return number;
+    }
+    return null;
+  },
+
+  device_id: async ({ deviceInfo, merchantId }) => {
+    const deviceId = deviceInfo?.DeviceId ? String(deviceInfo.DeviceId).trim() : "";
+    if (!deviceId || !merchantId) return null;
+    // Scoped to the merchant so the same handset is a different user elsewhere
+    const hash = await sha256Hex(`${merchantId}:${deviceId}`);
+    return `dev_${hash.slice(0, 32)}`;
+  },
+
+  manual: async ({ manualPhoneNumber }) => normalizePhoneNumber(manualPhoneNumber),
+};
+
+/**
+ * Resolve the voice user ID from the first source that has a usable value
+ * @param {object} input - { merchantId, customerId, deviceInfo, manualPhoneNumber }
+ * @param {Array<string>} sources - Source names in priority order
+ * @returns {Promise<{voiceUserId: string, source: string, legacyVoiceUserId: string|null} | {error: string, tried: Array<string>}>}
+ */
+export const resolveVoiceIdentity = async (input, sources) => {
+  for (const source of sources) {
+    const resolver = resolvers[source];
+    if (!resolver) throw new Error(`Unknown identity source "${source}"`);
+
+    const voiceUserId = await resolver(input);
+    if (voiceUserId) {
+      const simNumber = source === "manual" ? null : await resolvers.sim(input);
+      const legacyVoiceUserId = simNumber && simNumber !== voiceUserId ? simNumber : null;
+      return { voiceUserId, source, legacyVoiceUserId };
+    }
+  }
+
+  return { error: IDENTITY_ERRORS.IDENTITY_UNAVAILABLE, tried: sources };
+};
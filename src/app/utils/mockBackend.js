@@ -0,0 +1,325 @@
+/**
+ * 🧪 MOCK BACKEND
+ *
+ * Stand-ins for the scan API (detect, screen-detect, voice, report_failure)
+ * and the admin API (merchant display info, voice registration check, device
+ * info) so the whole front → back → voice flow runs on a laptop with no
+ * network. Served from /api/mock/* only when MOCK_BACKEND=true; the "local"
+ * profile turns it on and points both API URLs at it.
+ *
+ * SCENARIOS (MOCK_SCENARIO picks the default, POST /api/mock/scenario switches):
+ * - "success"        → each side succeeds on frame 4
+ * - "slow"           → success, but every response takes 3 seconds
+ * - "wait_for_front" → back frames are answered with wait_for_front
+ * - "brand_mismatch" → the back side fails validation with brand_mismatch
+ * - "screen"         → screen-detect reports is_screen: true
+ * - "server_error"   → detect answers HTTP 500
+ * - "voice_error"    → voice register / verify answer HTTP 500
+ * - "new_user"       → nobody is enrolled, so voice starts in register mode
+ * - "invalid_card"   → the scan succeeds with a misread card number (fails Luhn)
+ * Any scenario field can be overridden, e.g. { scenario: "success", backSuccessFrame: 10 }
+ *
+ * Every handler resolves to { status, body }; withMockBackend() turns that into
+ * the route response.
+ */
+
+import crypto from "crypto";
+import { NextResponse } from "next/server";
+import { getStore } from "./storeAdapter";
+import { getServerConfig } from "./config";
+import { MOCK_SCENARIO_NAMES } from "./mockScenarios";
+
+const mockStore = getStore("mock-backend");
+const FRAME_COUNTER_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const SCENARIO_DEFAULTS = {
+  frontSuccessFrame: 4,
+  backSuccessFrame: 4,
+  delayMs: 0,
+  waitForFront: false,
+  brandMismatch: false,
+  isScreen: false,
+  failing: [], // "detect", "screen-detect", "voice", "merchant"
+  voiceRegistered: true,
+  cardNumber: null, // replaces MOCK_CARD's number
+};
+
+// Settings of each of MOCK_SCENARIO_NAMES
+const MOCK_SCENARIOS = {
+  success: {},
+  slow: { delayMs: 3000 },
+  wait_for_front: { waitForFront: true },
+  brand_mismatch: { brandMismatch: true },
+  screen: { isScreen: true },
+  server_error: { failing: ["detect"] },
+  voice_error: { failing: ["voice"] },
+  new_user: { voiceRegistered: false },
+  invalid_card: { cardNumber: "4111 1111 1111 1112" },
+};
+
+// Card returned by a successful back scan (Visa test number)
+const MOCK_CARD = {
+  cardholder_name: { value: "TEST CARDHOLDER", confidence: 0.97 },
+  card_number: { value: "4111 1111 1111 1111", confidence: 0.99 },
+  expiry_date: { value: "12/30", confidence: 0.95 },
+  bank_name: { value: "Mock Bank", confidence: 0.9 },
+  card_brand: { value: "Visa", confidence: 0.96 },
+};
+
+// Upload minimums detect advertises with its progress responses (frameEncoder.js)
+const MOCK_UPLOAD_REQUIREMENTS = { min_width: 640, min_height: 400, min_quality: 0.7, formats: ["jpeg", "webp"] };
+
+const json = (body, status = 200) => ({ status, body });
+const serverError = (endpoint) => json({ detail: `Mock ${endpoint} failure` }, 500);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ----------------------------------------------------------------------------
+// 🎬 SCENARIO SELECTION
+// ----------------------------------------------------------------------------
+/**
+ * Scenario currently in effect
+ * @returns {Promise<object>} { name, ...scenario fields }
+ */
+export const getMockScenario = async () => {
+  const selected = await mockStore.get("scenario");
+  const name = selected?.name || getServerConfig().mockScenario;
+  return { ...SCENARIO_DEFAULTS, ...MOCK_SCENARIOS[name], ...selected?.overrides, name };
+};
+
+/**
+ * Switch scenario and clear frame counters and enrolments
+ * @param {string} name - One of MOCK_SCENARIO_NAMES
+ * @param {object} overrides - Scenario fields to replace
+ * @returns {Promise<object>} The scenario now in effect
+ */
+export const setMockScenario = async (name, overrides = {}) => {
+  if (!MOCK_SCENARIO_NAMES.includes(name)) throw new Error(`Unknown mock scenario "${name}"`);
+  await resetMockBackend();
+  await mockStore.set("scenario", { name, overrides });
+  return getMockScenario();
+};
+
+/**
+ * Forget the selected scenario, frame counters and voice enrolments
+ */
+export const resetMockBackend = async () => {
+  for (const [key] of await mockStore.entries()) {
+    await mockStore.delete(key);
+  }
+};
+
+// Applied first by every handler: the configured delay, then the failure switch
+const begin = async (endpoint) => {
+  const scenario = await getMockScenario();
+  if (scenario.delayMs > 0) await sleep(scenario.delayMs);
+  return { scenario, failed: scenario.failing.includes(endpoint) };
+};
+
+// ----------------------------------------------------------------------------
+// 📸 DETECT
+// ----------------------------------------------------------------------------
+const countFrame = async (sessionId, phase) => {
+  const { value } = await mockStore.update(
+    `frames:${sessionId}:${phase}`,
+    (count) => (count || 0) + 1,
+    FRAME_COUNTER_TTL_MS
+  );
+  return value;
+};
+
+const bufferInfo = (phase, frames) => ({
+  front_frames_buffered: phase === "front" ? frames : 0,
+  back_frames_buffered: phase === "back" ? frames : 0,
+});
+
+/**
+ * POST /detect/{merchantId}
+ * @param {object} frame - { merchantId, phase, sessionId }
+ */
+export const mockDetect = async ({ merchantId, phase, sessionId }) => {
+  const { scenario, failed } = await begin("detect");
+  if (failed) return serverError("detect");
+
+  if (phase === "back") {
+    const frontComplete = await mockStore.get(`front-complete:${sessionId}`);
+    if (scenario.waitForFront || !frontComplete) {
+      return json({ status: "wait_for_front", message: "Front side has not been scanned for this session" });
+    }
+  }
+
+  const frames = await countFrame(sessionId, phase);
+  const successFrame = phase === "front" ? scenario.frontSuccessFrame : scenario.backSuccessFrame;
+  const reached = frames >= successFrame;
+  const progress = {
+    status: "processing",
+    complete_scan: false,
+    buffer_info: bufferInfo(phase, frames),
+    motion_progress: `${Math.min(frames, successFrame)}/${successFrame}`,
+    message_state: reached ? "VALIDATION_PASSED" : "IN_PROGRESS",
+    upload_requirements: MOCK_UPLOAD_REQUIREMENTS,
+  };
+
+  if (phase === "front") {
+    if (reached) await mockStore.set(`front-complete:${sessionId}`, true, FRAME_COUNTER_TTL_MS);
+    return json({ ...progress, chip: reached, bank_logo: reached, physical_card: true });
+  }
+
+  if (!reached) {
+    return json({ ...progress, magstrip: false, signstrip: false, hologram: false });
+  }
+
+  if (scenario.brandMismatch) {
+    return json({
+      ...progress,
+      validation_failed: true,
+      validation_reason: "brand_mismatch",
+      message_state: "VALIDATION_FAILED",
+      message: "Card brand on the back does not match the front",
+    });
+  }
+
+  const finalOcr = scenario.cardNumber
+    ? { ...MOCK_CARD, card_number: { value: scenario.cardNumber, confidence: 0.71 } }
+    : MOCK_CARD;
+  return json({
+    status: "success",
+    complete_scan: true,
+    score: 92,
+    confidence: 0.94,
+    physical_card: true,
+    chip: true,
+    bank_logo: true,
+    magstrip: true,
+    signstrip: true,
+    hologram: true,
+    symmetry: true,
+    buffer_info: progress.buffer_info,
+    final_ocr: finalOcr,
+    encrypted_card_data: Buffer.from(
+      JSON.stringify({ mock: true, merchant_id: merchantId, session_id: sessionId, final_ocr: finalOcr })
+    ).toString("base64"),
+  });
+};
+
+// ----------------------------------------------------------------------------
+// 🖥️ SCREEN DETECT
+// ----------------------------------------------------------------------------
+/**
+ * POST /screen-detect/detect-screen
+ */
+export const mockScreenDetect = async () => {
+  const { scenario, failed } = await begin("screen-detect");
+  if (failed) return json({ detail: "Screen detection model not available" }, 500);
+
+  return json(
+    scenario.isScreen
+      ? { is_screen: true, confidence: 0.96, prediction_class: "screen", message: "Screen or printed photo detected" }
+      : { is_screen: false, confidence: 0.98, prediction_class: "real_card", message: "Physical card detected" }
+  );
+};
+
+// ----------------------------------------------------------------------------
+// 🎤 VOICE
+// ----------------------------------------------------------------------------
+// Signed the way the real voice service does, so PUT /api/secure-results accepts it
+const signAssertion = (claims) => {
+  const secret = getServerConfig().voiceAssertionSecret;
+  if (!secret) return undefined;
+
+  const encode = (part) => Buffer.from(JSON.stringify(part)).toString("base64url");
+  const signingInput = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(claims)}`;
+  const signature = crypto.createHmac("sha256", secret).update(signingInput).digest("base64url");
+  return `${signingInput}.${signature}`;
+};
+
+/**
+ * POST /voice/register and /voice/verify
+ * @param {object} submission - { mode, userId, merchantId, sessionId }
+ */
+export const mockVoice = async ({ mode, userId, merchantId, sessionId = null }) => {
+  const { scenario, failed } = await begin("voice");
+  if (failed) return serverError(`voice ${mode}`);
+
+  const enrolled = scenario.voiceRegistered || (await mockStore.get(`voice-user:${userId}`));
+  if (mode === "verify" && !enrolled) {
+    return json({ detail: "Voice profile not found for this user" }, 404);
+  }
+  if (mode === "register") {
+    await mockStore.set(`voice-user:${userId}`, { merchantId, registeredAt: Date.now() });
+  }
+
+  const verificationId = `mock_${crypto.randomBytes(12).toString("hex")}`;
+  return json({
+    success: true,
+    id: verificationId,
+    verification_id: verificationId,
+    user_id: userId,
+    message: mode === "verify" ? "Voice verified" : "Voice registered",
+    assertion: signAssertion({
+      jti: verificationId,
+      merchant_id: merchantId,
+      session_id: sessionId,
+      verified: true,
+      exp: Math.floor(Date.now() / 1000) + 5 * 60,
+    }),
+  });
+};
+
+/**
+ * GET /api/voice/register/{userId}
+ */
+export const mockVoiceRegistration = async (userId) => {
+  const { scenario, failed } = await begin("voice");
+  if (failed) return serverError("voice registration check");
+
+  const enrolled = scenario.voiceRegistered || (await mockStore.get(`voice-user:${userId}`));
+  return enrolled
+    ? json({ success: true, data: { user_id: userId, status: "active" } })
+    : json({ success: false, message: "User is not registered" }, 404);
+};
+
+// ----------------------------------------------------------------------------
+// 🏪 MERCHANT AND REPORTING
+// ----------------------------------------------------------------------------
+/**
+ * GET /api/getmerchantDisplayInfo
+ */
+export const mockMerchantDisplayInfo = async (merchantId) => {
+  const { failed } = await begin("merchant");
+  if (failed) return serverError("merchant");
+
+  return json({
+    success: true,
+    data: { merchant_id: merchantId, display_name: "Demo Merchant", display_logo: null },
+  });
+};
+
+/**
+ * POST /report_failure and /api/device-info (accepted and logged only)
+ * @param {string} endpoint - Name used in the log line
+ * @param {object} payload - Request body
+ */
+export const mockAccept = async (endpoint, payload) => {
+  await begin(endpoint);
+  console.log(`🧪 [Mock] ${endpoint} received`, payload);
+  return json({ success: true, message: `Mock ${endpoint} received` });
+};
+
+// ----------------------------------------------------------------------------
+// 🧱 ROUTE WRAPPER
+// ----------------------------------------------------------------------------
+/**
+ * Wrap a mock route handler: 404 unless MOCK_BACKEND is on, and send its
+ * { status, body } result as JSON
+ * @param {Function} handler - (request, context) => { status, body } or a Response
+ * @returns {Function} Route handler
+ */
+export const withMockBackend = (handler) => async (request, context) => {
+  if (!getServerConfig().mockBackend) {
+    return NextResponse.json({ error: "Not found" }, { status: 404 });
+  }
+
+  const result = await handler(request, context);
+  if (result instanceof Response) return result;
+  return NextResponse.json(result.body, { status: result.status });
+};
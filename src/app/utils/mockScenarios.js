@@ -0,0 +1,19 @@
+/**
+ * 🧪 MOCK SCENARIO NAMES
+ *
+ * The scenarios the mock backend knows (mockBackend.js describes each one).
+ * Kept apart from the mock backend so config.js and the API schemas can list
+ * them without pulling the mock handlers into every route.
+ */
+
+export const MOCK_SCENARIO_NAMES = [
+  "success",
+  "slow",
+  "wait_for_front",
+  "brand_mismatch",
+  "screen",
+  "server_error",
+  "voice_error",
+  "new_user",
+  "invalid_card",
+];
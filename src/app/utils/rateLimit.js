@@ -0,0 +1,194 @@
+/**
+ * 🚦 RATE LIMITING AND ABUSE PROTECTION FOR API ROUTES
+ *
+ * - Token bucket per client IP and, optionally, per session. The IP comes from
+ *   the trusted proxy hop only (TRUSTED_PROXY_COUNT), never from what the
+ *   client itself puts in X-Forwarded-For. Without a trusted address the
+ *   per-IP bucket is skipped: one bucket for every client would let a single
+ *   client use up everyone's limit
+ * - Request body size caps (checked against Content-Length, or while reading
+ *   chunked bodies)
+ * - 429 responses with Retry-After, 413 for oversized bodies
+ *
+ * Buckets live in a process-local memory store by default. Set
+ * RATE_LIMIT_BACKEND=shared to keep them in the shared store adapter
+ * (STORE_BACKEND) so every instance enforces the same limits.
+ *
+ * Usage in a route:
+ *   export const POST = withRateLimit(handlePost, {
+ *     name: "client-log",
+ *     ip: { capacity: 60, refillPerSecond: 1 },
+ *     maxBodyBytes: 16 * 1024,
+ *   });
+ */
+
+import { NextResponse } from "next/server";
+import { createMemoryStore, getStore } from "./storeAdapter";
+import { getServerConfig } from "./config";
+
+let bucketStore = null;
+
+const getBucketStore = () => {
+  if (!bucketStore) {
+    bucketStore =
+      getServerConfig().rateLimitBackend === "shared"
+        ? getStore("rate-limits")
+        : createMemoryStore();
+  }
+  return bucketStore;
+};
+
+// ----------------------------------------------------------------------------
+// 🪣 TOKEN BUCKET
+// ----------------------------------------------------------------------------
+const refill = (bucket, { capacity, refillPerSecond }, now) => {
+  if (!bucket) return { tokens: capacity, updatedAt: now };
+  const elapsedSeconds = (now - bucket.updatedAt) / 1000;
+  return {
+    tokens: Math.min(capacity, bucket.tokens + elapsedSeconds * refillPerSecond),
+    updatedAt: now,
+  };
+};
+
+const secondsUntilToken = (tokens, refillPerSecond) =>
+  Math.max(1, Math.ceil((1 - tokens) / refillPerSecond));
+
+/**
+ * Take tokens from a bucket
+ * @param {string} key - Bucket key (e.g. "client-log:ip:1.2.3.4")
+ * @param {object} limit - { capacity, refillPerSecond }
+ * @param {number} cost - Tokens to take (0 only checks the bucket)
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfterSeconds: number}>}
+ */
+export const consumeToken = async (key, limit, cost = 1) => {
+  const now = Date.now();
+  // Entries expire once the bucket would be full again
+  const ttlMs = Math.ceil((limit.capacity / limit.refillPerSecond) * 1000);
+  let result;
+
+  await getBucketStore().update(
+    key,
+    (bucket) => {
+      const current = refill(bucket, limit, now);
+      const allowed = current.tokens >= Math.max(cost, 1);
+      const tokens = allowed ? current.tokens - cost : current.tokens;
+      result = {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfterSeconds: allowed ? 0 : secondsUntilToken(tokens, limit.refillPerSecond),
+      };
+      return { tokens, updatedAt: now };
+    },
+    ttlMs
+  );
+
+  return result;
+};
+
+// ----------------------------------------------------------------------------
+// 🌐 REQUEST HELPERS
+// ----------------------------------------------------------------------------
+/**
+ * Client address as recorded by the outermost trusted proxy
+ * X-Forwarded-For entries left of the trusted hops are whatever the client sent,
+ * so they are never used. TRUSTED_PROXY_COUNT is the number of proxies in front
+ * of the app that append to the header; unset, no address is trusted.
+ * @param {Request} request
+ * @returns {string|null} Address, or null when there is no trusted one
+ */
+export const getClientIp = (request) => {
+  const trustedProxies = getServerConfig().trustedProxyCount || 0;
+  if (trustedProxies === 0) return null;
+
+  const hops = (request.headers.get("x-forwarded-for") || "")
+    .split(",")
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  const index = hops.length - trustedProxies;
+  return index >= 0 ? hops[index] : null;
+};
+
+// Default session key: any of the session identifiers the routes accept
+const defaultSessionKey = (request) => {
+  const params = new URL(request.url).searchParams;
+  return params.get("session") || params.get("sessionId") || params.get("resultId");
+};
+
+export const tooManyRequests = (retryAfterSeconds, message = "Too many requests") =>
+  NextResponse.json(
+    { error: message, code: "RATE_LIMITED", retryAfter: retryAfterSeconds },
+    { status: 429, headers: { "Retry-After": String(retryAfterSeconds) } }
+  );
+
+// Requests without Content-Length (chunked uploads) are read up to the cap and
+// handed to the route as a rebuilt request carrying the buffered body.
+// Returns null when the body is too large.
+const capRequestBody = async (request, maxBytes) => {
+  const declaredLength = parseInt(request.headers.get("content-length"), 10);
+  if (!Number.isNaN(declaredLength)) return declaredLength > maxBytes ? null : request;
+  if (!request.body) return request;
+
+  const reader = request.body.getReader();
+  const chunks = [];
+  let received = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    received += value.byteLength;
+    if (received > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+
+  return new Request(request, { body: Buffer.concat(chunks), duplex: "half" });
+};
+
+// ----------------------------------------------------------------------------
+// 🧱 ROUTE WRAPPER
+// ----------------------------------------------------------------------------
+/**
+ * Wrap a route handler with rate limiting and a body size cap
+ * @param {Function} handler - The route handler (request, context) => Response
+ * @param {object} options - { name, ip, session, sessionKey, maxBodyBytes }
+ * @returns {Function} Wrapped route handler
+ */
+export const withRateLimit = (handler, options) => {
+  const { name, ip, session, sessionKey = defaultSessionKey, maxBodyBytes } = options;
+
+  return async (request, context) => {
+    const clientIp = getClientIp(request);
+
+    if (ip && clientIp) {
+      const { allowed, retryAfterSeconds } = await consumeToken(`${name}:ip:${clientIp}`, ip);
+      if (!allowed) {
+        console.warn(`🚦 [Rate Limit] ${name} blocked IP ${clientIp} for ${retryAfterSeconds}s`);
+        return tooManyRequests(retryAfterSeconds);
+      }
+    }
+
+    const sessionValue = session ? sessionKey(request) : null;
+    if (sessionValue) {
+      const { allowed, retryAfterSeconds } = await consumeToken(
+        `${name}:session:${sessionValue}`,
+        session
+      );
+      if (!allowed) {
+        console.warn(`🚦 [Rate Limit] ${name} blocked session ${sessionValue} for ${retryAfterSeconds}s`);
+        return tooManyRequests(retryAfterSeconds);
+      }
+    }
+
+    const cappedRequest = maxBodyBytes ? await capRequestBody(request, maxBodyBytes) : request;
+    if (!cappedRequest) {
+      console.warn(`🚦 [Rate Limit] ${name} rejected body over ${maxBodyBytes} bytes from ${clientIp || "unknown IP"}`);
+      return NextResponse.json(
+        { error: "Request body too large", code: "PAYLOAD_TOO_LARGE", maxBytes: maxBodyBytes },
+        { status: 413 }
+      );
+    }
+
+    return handler(cappedRequest, context);
+  };
+};
@@ -0,0 +1,68 @@
+/**
+ * 🔓 RELEASE POLICY FOR VERIFIED SCAN DATA
+ *
+ * Decides how often GET /api/secure-results may hand out a verified result.
+ *
+ * POLICIES (selected with RELEASE_POLICY):
+ * - "single" (default) → one read, then the result is deleted
+ * - "count"            → up to RELEASE_MAX_READS reads, then deleted
+ * - "window"           → any number of reads within RELEASE_WINDOW_MS of the first one
+ */
+
+import { getServerConfig } from "./config";
+
+// Defaults (3 reads, 1 minute window) and validation live in config.js
+export const getReleasePolicy = () => {
+  const { releasePolicy, releaseMaxReads, releaseWindowMs } = getServerConfig();
+  return { mode: releasePolicy, maxReads: releaseMaxReads, windowMs: releaseWindowMs };
+};
+
+/**
+ * Atomically claim one release of a verified result
+ * @param {object} store - Store adapter holding verified results
+ * @param {string} resultId - The result being read
+ * @returns {Promise<{allowed: boolean, reason?: string, record?: object, releaseCount?: number, policy: string}>}
+ */
+export const claimRelease = async (store, resultId) => {
+  const { mode, maxReads, windowMs } = getReleasePolicy();
+  let decision = { allowed: false, reason: "not_found", policy: mode };
+
+  await store.update(resultId, (record) => {
+    if (!record) return null;
+
+    const now = Date.now();
+    const releaseCount = record.releaseCount || 0;
+    const firstReleasedAt = record.firstReleasedAt || now;
+
+    let allowed;
+    let exhaustedAfterRead;
+    if (mode === "single") {
+      allowed = releaseCount === 0;
+      exhaustedAfterRead = true;
+    } else if (mode === "count") {
+      allowed = releaseCount < maxReads;
+      exhaustedAfterRead = releaseCount + 1 >= maxReads;
+    } else {
+      allowed = now - firstReleasedAt <= windowMs;
+      exhaustedAfterRead = false;
+    }
+
+    if (!allowed) {
+      decision = { allowed: false, reason: `${mode}_policy_exhausted`, policy: mode };
+      return null;
+    }
+
+    const next = {
+      ...record,
+      releaseCount: releaseCount + 1,
+      firstReleasedAt,
+      lastReleasedAt: now,
+    };
+    decision = { allowed: true, record: next, releaseCount: next.releaseCount, policy: mode };
+
+    // Delete as soon as the policy has nothing left to give
+    return exhaustedAfterRead ? null : next;
+  });
+
+  return decision;
+};
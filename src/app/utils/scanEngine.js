@@ -0,0 +1,760 @@
+/**
+ * 🔁 CARD SCAN ENGINE
+ *
+ * Runs one side of the card scan (see scanProfiles.js) as an explicit state
+ * machine and reports progress as typed events, so the React side only maps
+ * events to state.
+ *
+ * STATES:
+ *   idle → screen_check → preparing → scanning → draining → succeeded
+ *                                        └──────────┴──────→ failed | cancelled
+ * - screen_check → flashlight on, one frame sent to screen-detect. When the
+ *                  flashlight does not come on (iOS, no torch) the user tilts
+ *                  the card for a burst of frames instead, and its liveness
+ *                  score (cardLiveness.js) goes along with the frame
+ * - preparing    → flashlight off, camera settles, a preview frame is captured
+ *                  and shown while the user reads the success message
+ * - scanning     → fresh frames are captured every captureIntervalMs into a
+ *                  rolling buffer of bufferSize, scored (frameQuality.js), and
+ *                  every frameIntervalMs the best one captured since the last
+ *                  upload is sent to detect, so every upload is a different frame.
+ *                  Frames that fail the quality gate are never uploaded. When the
+ *                  card outline was found (cardDetector.js) the card is warped
+ *                  flat to ID-1 size (cardRectifier.js) and that is uploaded;
+ *                  otherwise the crop goes as it is. Frames are encoded at the
+ *                  size and quality the measured upload speed allows
+ *                  (frameEncoder.js)
+ * - draining     → maxFrames sent, waiting for the responses still in flight
+ * While the browser is offline nothing is uploaded and the scan timeout is
+ * paused, so a dropped connection does not use up the scan; uploads already
+ * sent wait for the connection in the API client (RETRY_POLICY).
+ * pause() / resume() do the same while the camera is unavailable
+ * (cameraSupervisor.js), and also stop capturing: frames from a dead stream are
+ * dropped, and the screen check / preview capture wait for the camera.
+ * Any state can fail or be cancelled. Reaching a terminal state aborts every
+ * request still outstanding (screen check and uploads), and a response that
+ * still arrives after it is dropped.
+ *
+ * EVENTS (listener receives { type, ...payload }):
+ * - state_changed   → { from, to }
+ * - liveness_started → {} the user should tilt the card now (no flashlight)
+ * - liveness_checked → { liveness } result of the tilt burst (cardLiveness.js)
+ * - screen_checked  → { isScreen, confidence }
+ * - frame_captured  → { dataUrl } the preview frame, before scanning starts
+ * - quality_hint    → { hint } { code, message } of the latest frame's first issue,
+ *                     or null once frames pass; only emitted when the hint changes
+ * - connection_changed → { online } the browser went offline / came back
+ * - frame_sent      → { frameNumber, quality, rectified }
+ * - frame_result    → { frameNumber, response, progress: { framesBuffered, motionProgress, detectedFeatures } }
+ * - frame_error     → { frameNumber, error }
+ * - succeeded       → { result, cardCheck } cardCheck is the card details
+ *                     validation (cardValidation.js) of a final response, else null
+ * - failed          → { error } (error.code is one of SCAN_ERRORS)
+ * - cancelled       → {}
+ *
+ * Usage:
+ *   const engine = createScanEngine({ profile: SCAN_PROFILES.back, sessionId, videoRef, canvasRef });
+ *   engine.on(SCAN_EVENTS.FRAME_RESULT, ({ progress }) => ...);
+ *   const { result, cardCheck } = await engine.start();
+ */
+
+import {
+  captureCroppedFrame,
+  drawCroppedFrame,
+  canvasToJpeg,
+  resetDebugFrameCount,
+} from "./CameraUtils";
+import { sendFrameToAPI, reportAuditEvent, waitForConnection } from "./apiService";
+import { getPublicConfig } from "./config";
+import { measureFrameQuality } from "./frameQuality";
+import { captureLivenessBurst, LIVENESS_BURST } from "./cardLiveness";
+import { detectCardQuad } from "./cardDetector";
+import { rectifyCard } from "./cardRectifier";
+import { validateCardResult } from "./cardValidation";
+import { encodeFrame, parseUploadRequirements, recordUploadTiming } from "./frameEncoder";
+import {
+  MIN_BUFFERED_FRAMES,
+  getFramesBuffered,
+  getDetectedFeatures,
+  meetsRequirements,
+  isFinalResponse,
+} from "./scanProfiles";
+
+export const SCAN_STATES = {
+  IDLE: "idle",
+  SCREEN_CHECK: "screen_check",
+  PREPARING: "preparing",
+  SCANNING: "scanning",
+  DRAINING: "draining",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const SCAN_EVENTS = {
+  STATE_CHANGED: "state_changed",
+  LIVENESS_STARTED: "liveness_started",
+  LIVENESS_CHECKED: "liveness_checked",
+  SCREEN_CHECKED: "screen_checked",
+  FRAME_CAPTURED: "frame_captured",
+  QUALITY_HINT: "quality_hint",
+  CONNECTION_CHANGED: "connection_changed",
+  FRAME_SENT: "frame_sent",
+  FRAME_RESULT: "frame_result",
+  FRAME_ERROR: "frame_error",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+export const SCAN_ERRORS = {
+  VIDEO_NOT_READY: "VIDEO_NOT_READY",
+  SCREEN_DETECTED: "SCREEN_DETECTED",
+  FAKE_CARD: "FAKE_CARD",
+  BRAND_MISMATCH: "BRAND_MISMATCH",
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  SESSION_RESTART: "SESSION_RESTART",
+  REQUIREMENTS_NOT_MET: "REQUIREMENTS_NOT_MET",
+  NO_RESPONSES: "NO_RESPONSES",
+  LOW_QUALITY: "LOW_QUALITY",
+  LIVENESS_UNMEASURED: "LIVENESS_UNMEASURED",
+  CLEANUP: "CLEANUP",
+  CANCELLED: "CANCELLED",
+};
+
+const TRANSITIONS = {
+  idle: ["screen_check", "failed", "cancelled"],
+  screen_check: ["preparing", "failed", "cancelled"],
+  preparing: ["scanning", "failed", "cancelled"],
+  scanning: ["draining", "succeeded", "failed", "cancelled"],
+  draining: ["succeeded", "failed", "cancelled"],
+  succeeded: [],
+  failed: [],
+  cancelled: [],
+};
+
+const TERMINAL_STATES = ["succeeded", "failed", "cancelled"];
+
+export const DEFAULT_SCAN_TIMING = {
+  flashWarmupMs: 300, // flashlight on → screen-check frame
+  flashSettleMs: 800, // flashlight off → exposure readjusted
+  livenessLeadInMs: 800, // tilt prompt shown → burst starts (no flashlight)
+  previewMs: 3000, // preview frame shown before detection starts
+  captureIntervalMs: 200, // fresh frame into the buffer
+  frameIntervalMs: 800, // best buffered frame to detect
+  bufferSize: 5,
+  maxFrames: 8,
+  timeoutMs: 30000,
+};
+
+const RESTART_STATUSES = ["wait_for_front", "wait_for_back"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ----------------------------------------------------------------------------
+// 🧩 HELPERS
+// ----------------------------------------------------------------------------
+/**
+ * Build the Error for a failure code using the profile's error mapping
+ * @param {object} profile - Entry of SCAN_PROFILES
+ * @param {string} code - One of SCAN_ERRORS
+ * @param {string} userMessage - Replaces the mapped user message (backend text)
+ * @returns {Error} Error with code, uiPhase and userMessage
+ */
+export const createScanError = (profile, code, userMessage) => {
+  const failure = profile.failures[code] || { message: code };
+  return Object.assign(new Error(failure.message), {
+    code,
+    side: profile.side,
+    uiPhase: failure.uiPhase || null,
+    userMessage: userMessage || failure.userMessage || null,
+  });
+};
+
+// The video element reports 0×0 for a few frames after the flashlight toggles
+const waitForVideoDimensions = async (videoRef, maxRetries = 10) => {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    const rect = videoRef.current?.getBoundingClientRect();
+    if (!rect || (rect.width > 0 && rect.height > 0)) return;
+    console.log(`⏳ Waiting for video dimensions... (attempt ${attempt + 1}/${maxRetries})`);
+    await sleep(50);
+  }
+  console.error("❌ Video still has no dimensions after retries");
+};
+
+// Screen-detect failures never block the scan: only is_screen === true does.
+// Without a flashlight frame the tilt burst's liveness goes along
+const checkForScreen = async (blob, side, signal, liveness = null) => {
+  try {
+    const formData = new FormData();
+    formData.append("file", blob, `${side}_screen_check.jpg`);
+    formData.append("capture_mode", liveness ? "tilt" : "flash");
+    if (liveness?.score !== null && liveness?.score !== undefined) {
+      formData.append("liveness_score", String(liveness.score));
+      formData.append("liveness", JSON.stringify(liveness));
+    }
+
+    const response = await fetch(`${getPublicConfig().apiUrl}/screen-detect/detect-screen`, {
+      method: "POST",
+      body: formData,
+      signal,
+    });
+
+    if (!response.ok) {
+      // 500 "Screen detection model not available" is expected and counts as a pass
+      console.log(`✅ ${side} screen detection returned ${response.status}, continuing...`);
+      return { isScreen: false, confidence: null };
+    }
+
+    const data = await response.json();
+    reportAuditEvent("screen_detect_verdict", {
+      outcome: data.is_screen === true ? "failure" : "success",
+      details: { phase: side, isScreen: data.is_screen, confidence: data.confidence, livenessScore: liveness?.score ?? null },
+    });
+    console.log(`📊 ${side} screen detection response:`, data);
+    return { isScreen: data.is_screen === true, confidence: data.confidence ?? null };
+  } catch (error) {
+    // Aborted because the scan ended; nothing is waiting for the verdict
+    if (signal?.aborted) return { isScreen: false, confidence: null };
+    console.error(`❌ ${side} screen detection error:`, error);
+    return { isScreen: false, confidence: null };
+  }
+};
+
+// ----------------------------------------------------------------------------
+// 🔁 ENGINE
+// ----------------------------------------------------------------------------
+/**
+ * Create a scan engine for one side of the card. Each engine runs once.
+ * @param {object} options - { profile, sessionId, videoRef, canvasRef,
+ *   stopRequestedRef, enableFlashlight, disableFlashlight, timing }
+ * @returns {{start: Function, cancel: Function, pause: Function, resume: Function,
+ *   on: Function, getState: Function}}
+ */
+export const createScanEngine = ({
+  profile,
+  sessionId,
+  videoRef,
+  canvasRef,
+  stopRequestedRef = { current: false },
+  enableFlashlight = null,
+  disableFlashlight = null,
+  timing = {},
+}) => {
+  const {
+    flashWarmupMs,
+    flashSettleMs,
+    livenessLeadInMs,
+    previewMs,
+    captureIntervalMs,
+    frameIntervalMs,
+    bufferSize,
+    maxFrames,
+    timeoutMs,
+  } = { ...DEFAULT_SCAN_TIMING, ...timing };
+
+  const listeners = new Map();
+  let state = SCAN_STATES.IDLE;
+  let settle = null; // { resolve, reject } of the running start() call
+  let captureIntervalId = null;
+  let intervalId = null;
+  let timeoutId = null;
+  let candidates = []; // frame buffer: [{ canvas, quality, quad, capturedAt }], oldest first
+  let qualityHint = null; // { code, message } of the latest captured frame
+  let framesPassed = 0; // captured frames that passed the quality gate
+  const requests = new Set(); // AbortControllers of the requests still outstanding
+  let offlineSince = null; // while set, nothing is uploaded
+  let cameraPausedSince = null; // while set, nothing is captured or uploaded
+  let cameraWaiters = []; // resolvers of captures waiting for the camera
+  let deadline = null; // when the scan times out
+  let pausedTimeoutMs = null; // time left on the scan timeout while paused
+
+  const emit = (type, payload = {}) => {
+    for (const listener of listeners.get(type) || []) {
+      try {
+        listener({ type, ...payload });
+      } catch (error) {
+        console.error(`❌ [Scan] ${type} listener failed:`, error);
+      }
+    }
+  };
+
+  const isTerminal = () => TERMINAL_STATES.includes(state);
+
+  const transition = (to) => {
+    if (!TRANSITIONS[state].includes(to)) {
+      throw new Error(`Invalid scan transition ${state} → ${to}`);
+    }
+    const from = state;
+    state = to;
+    console.log(`🔁 [Scan] ${profile.side}: ${from} → ${to}`);
+    emit(SCAN_EVENTS.STATE_CHANGED, { from, to });
+  };
+
+  const stopTimers = () => {
+    clearInterval(captureIntervalId);
+    clearInterval(intervalId);
+    clearTimeout(timeoutId);
+    captureIntervalId = null;
+    intervalId = null;
+    timeoutId = null;
+    candidates = [];
+  };
+
+  // AbortSignal for one request, aborted when the scan ends
+  const trackRequest = () => {
+    const controller = new AbortController();
+    requests.add(controller);
+    return {
+      signal: controller.signal,
+      done: () => requests.delete(controller),
+    };
+  };
+
+  const abortRequests = () => {
+    if (requests.size > 0) console.log(`🛑 [Scan] Aborting ${requests.size} outstanding request(s)`);
+    requests.forEach((controller) => controller.abort());
+    requests.clear();
+  };
+
+  // Let captures waiting for the camera go on (resumed, or the scan ended)
+  const releaseCameraWaiters = () => {
+    cameraWaiters.forEach((resolve) => resolve());
+    cameraWaiters = [];
+  };
+
+  // Leaving for a terminal state: nothing may run or arrive afterwards
+  const finish = () => {
+    stopTimers();
+    abortRequests();
+    releaseCameraWaiters();
+    window.removeEventListener("offline", handleOffline);
+    window.removeEventListener("online", handleOnline);
+  };
+
+  // Terminal transitions happen once; anything arriving later is ignored
+  const succeed = (result) => {
+    if (isTerminal()) return;
+    finish();
+    // Card details are checked once here; listeners and the caller share the outcome
+    const cardCheck = isFinalResponse(result) ? validateCardResult(result) : null;
+    transition(SCAN_STATES.SUCCEEDED);
+    emit(SCAN_EVENTS.SUCCEEDED, { result, cardCheck });
+    settle?.resolve({ result, cardCheck });
+  };
+
+  const fail = (error) => {
+    if (isTerminal()) return;
+    finish();
+    transition(SCAN_STATES.FAILED);
+    emit(SCAN_EVENTS.FAILED, { error });
+    settle?.reject(error);
+  };
+
+  const cancel = () => {
+    if (isTerminal()) return;
+    finish();
+    transition(SCAN_STATES.CANCELLED);
+    emit(SCAN_EVENTS.CANCELLED);
+    settle?.reject(createScanError(profile, SCAN_ERRORS.CANCELLED));
+  };
+
+  const failWith = (code, userMessage) => fail(createScanError(profile, code, userMessage));
+
+  // ----------------------------------------------------------------------------
+  // 📶 CONNECTION / CAMERA PAUSES
+  // ----------------------------------------------------------------------------
+  const isPaused = () => Boolean(offlineSince || cameraPausedSince);
+
+  const startTimeout = (ms) => {
+    deadline = Date.now() + ms;
+    timeoutId = setTimeout(handleTimeout, ms);
+  };
+
+  // The scan timeout stands still while offline or without a camera
+  const pauseTimeout = () => {
+    if (!timeoutId) return;
+    clearTimeout(timeoutId);
+    timeoutId = null;
+    pausedTimeoutMs = Math.max(0, deadline - Date.now());
+  };
+
+  const resumeTimeout = () => {
+    if (isPaused() || pausedTimeoutMs === null) return;
+    startTimeout(pausedTimeoutMs);
+    pausedTimeoutMs = null;
+  };
+
+  const handleOffline = () => {
+    if (isTerminal() || offlineSince) return;
+    offlineSince = Date.now();
+    pauseTimeout();
+    console.log(`📵 [Scan] ${profile.side}: offline - pausing uploads`);
+    emit(SCAN_EVENTS.CONNECTION_CHANGED, { online: false });
+  };
+
+  const handleOnline = () => {
+    if (isTerminal() || !offlineSince) return;
+    console.log(`📶 [Scan] ${profile.side}: back online after ${Date.now() - offlineSince}ms - resuming`);
+    offlineSince = null;
+    resumeTimeout();
+    emit(SCAN_EVENTS.CONNECTION_CHANGED, { online: true });
+  };
+
+  const pauseForCamera = () => {
+    if (isTerminal() || cameraPausedSince) return;
+    cameraPausedSince = Date.now();
+    pauseTimeout();
+    candidates = [];
+    console.log(`📷 [Scan] ${profile.side}: camera unavailable - pausing`);
+  };
+
+  const resumeAfterCamera = () => {
+    if (isTerminal() || !cameraPausedSince) return;
+    console.log(`📷 [Scan] ${profile.side}: camera back after ${Date.now() - cameraPausedSince}ms - resuming`);
+    cameraPausedSince = null;
+    candidates = [];
+    resumeTimeout();
+    releaseCameraWaiters();
+  };
+
+  // Resolves once the camera is available (at once when it is)
+  const cameraAvailable = () =>
+    cameraPausedSince ? new Promise((resolve) => cameraWaiters.push(resolve)) : Promise.resolve();
+
+  // True when the scan should not go on (stop pressed or already finished)
+  const shouldStop = () => {
+    if (stopRequestedRef.current) cancel();
+    return isTerminal();
+  };
+
+  // ----------------------------------------------------------------------------
+  // 🎞️ FRAME BUFFER
+  // ----------------------------------------------------------------------------
+  const captureCandidate = () => {
+    if (isTerminal() || cameraPausedSince) return;
+    try {
+      const canvas = document.createElement("canvas");
+      drawCroppedFrame(videoRef, canvas);
+      const quality = measureFrameQuality(canvas);
+      candidates.push({ canvas, quality, quad: detectCardQuad(canvas), capturedAt: Date.now() });
+      if (candidates.length > bufferSize) candidates.shift();
+      if (quality.passed) framesPassed++;
+
+      if (quality.hint?.code !== qualityHint?.code) {
+        qualityHint = quality.hint;
+        if (qualityHint) console.log(`🔍 [Scan] Quality hint: ${qualityHint.code}`, quality);
+        emit(SCAN_EVENTS.QUALITY_HINT, { hint: qualityHint });
+      }
+    } catch (error) {
+      console.warn(`⚠️ [Scan] Frame capture failed: ${error.message}`);
+    }
+  };
+
+  // Best frame in the buffer that passed the gate; it and everything older
+  // leave the buffer. null when no buffered frame passed
+  const takeBestCandidate = () => {
+    if (candidates.length === 0) captureCandidate();
+
+    const bestIndex = candidates.reduce(
+      (top, candidate, index) =>
+        candidate.quality.passed && (top === -1 || candidate.quality.score > candidates[top].quality.score)
+          ? index
+          : top,
+      -1
+    );
+    if (bestIndex === -1) return null;
+    const best = candidates[bestIndex];
+    candidates = candidates.slice(bestIndex + 1);
+    return best;
+  };
+
+  // The card warped flat when all four edges were found, else the crop itself
+  const prepareUpload = (candidate) => {
+    const { quad } = candidate;
+    if (!quad || quad.clipped.length > 0) return { canvas: candidate.canvas, rectified: false };
+
+    try {
+      const rectified = rectifyCard(candidate.canvas, quad.corners);
+      if (rectified) return { canvas: rectified, rectified: true };
+    } catch (error) {
+      console.warn(`⚠️ [Scan] Card rectification failed: ${error.message}`);
+    }
+    return { canvas: candidate.canvas, rectified: false };
+  };
+
+  // ----------------------------------------------------------------------------
+  // 📨 RESPONSE HANDLING
+  // ----------------------------------------------------------------------------
+  let frameNumber = 0;
+  let inFlight = 0;
+  let lastResponse = null;
+  let uploadRequirements = parseUploadRequirements(null); // minimums the backend advertised
+
+  // Outcome once no more responses will arrive (drained or timed out)
+  const settleOnLastResponse = () => {
+    if (!lastResponse && frameNumber === 0 && framesPassed === 0) {
+      // Nothing was uploaded because no frame was good enough: say what was wrong
+      return failWith(SCAN_ERRORS.LOW_QUALITY, qualityHint?.message);
+    }
+    if (!lastResponse) return failWith(SCAN_ERRORS.NO_RESPONSES);
+    if (isFinalResponse(lastResponse) || meetsRequirements(profile, lastResponse)) {
+      return succeed(lastResponse);
+    }
+    return failWith(SCAN_ERRORS.REQUIREMENTS_NOT_MET);
+  };
+
+  const handleResponse = (response, sentFrame) => {
+    if (response.upload_requirements) uploadRequirements = parseUploadRequirements(response.upload_requirements);
+    if (isFinalResponse(response)) return succeed(response);
+
+    if (RESTART_STATUSES.includes(response.status)) {
+      console.log(`🔄 Backend requires session restart: ${response.status}`);
+      return failWith(SCAN_ERRORS.SESSION_RESTART);
+    }
+
+    lastResponse = response;
+    const framesBuffered = getFramesBuffered(profile, response);
+    emit(SCAN_EVENTS.FRAME_RESULT, {
+      frameNumber: sentFrame,
+      response,
+      progress: {
+        framesBuffered,
+        motionProgress: response.motion_progress || null,
+        detectedFeatures: getDetectedFeatures(profile, response),
+      },
+    });
+
+    if (profile.failures.FAKE_CARD && response.fake_card === true) {
+      return failWith(SCAN_ERRORS.FAKE_CARD);
+    }
+
+    if (response.validation_failed === true) {
+      if (profile.failures.BRAND_MISMATCH && response.validation_reason === "brand_mismatch") {
+        return failWith(SCAN_ERRORS.BRAND_MISMATCH);
+      }
+      console.warn("⚠️ Validation failed but no specific reason provided");
+    }
+
+    // Validation results are only meaningful once enough frames are buffered
+    if (
+      framesBuffered >= MIN_BUFFERED_FRAMES &&
+      (response.message_state === "VALIDATION_FAILED" || response.movement_state === "VALIDATION_FAILED")
+    ) {
+      return failWith(SCAN_ERRORS.VALIDATION_FAILED, response.message || response.movement_message);
+    }
+
+    if (meetsRequirements(profile, response)) {
+      console.log(`✅ ${profile.side} side requirements met: [${getDetectedFeatures(profile, response).join(", ")}]`);
+      return succeed(response);
+    }
+  };
+
+  const sendFrame = async () => {
+    if (shouldStop()) return;
+    // Offline the buffer keeps filling; uploads go on once the connection is back.
+    // Without a camera there is nothing new to send
+    if (isPaused()) return;
+
+    if (!videoRef.current || !canvasRef.current) {
+      console.log("🛡️ Video or canvas no longer available - stopping detection");
+      return failWith(SCAN_ERRORS.CLEANUP);
+    }
+
+    if (frameNumber >= maxFrames) {
+      if (state === SCAN_STATES.SCANNING) {
+        console.log(`📋 Reached ${maxFrames} frames - waiting for ${inFlight} response(s)`);
+        clearInterval(captureIntervalId);
+        clearInterval(intervalId);
+        candidates = [];
+        transition(SCAN_STATES.DRAINING);
+        if (inFlight === 0) settleOnLastResponse();
+      }
+      return;
+    }
+
+    const candidate = takeBestCandidate();
+    if (!candidate) {
+      console.log(`⏭️ [Scan] No frame passed the quality gate${qualityHint ? ` (${qualityHint.code})` : ""} - skipping upload`);
+      return;
+    }
+
+    frameNumber++;
+    const sentFrame = frameNumber;
+    inFlight++;
+    const upload = prepareUpload(candidate);
+    console.log(
+      `🎞️ [Scan] Frame ${sentFrame}: quality ${candidate.quality.score.toFixed(2)} (sharpness ${candidate.quality.sharpness}), ${upload.rectified ? "rectified" : "unrectified crop"}`
+    );
+    emit(SCAN_EVENTS.FRAME_SENT, { frameNumber: sentFrame, quality: candidate.quality, rectified: upload.rectified });
+
+    const request = trackRequest();
+    try {
+      const encoded = await encodeFrame(upload.canvas, uploadRequirements);
+      // The original crop only goes along when debugging the warp
+      const debugCrop =
+        upload.rectified && getPublicConfig().uploadDebugCrop ? await canvasToJpeg(candidate.canvas) : null;
+      const response = await sendFrameToAPI(encoded.blob, profile.side, sessionId, sentFrame, debugCrop, {
+        signal: request.signal,
+        onUploadTimed: ({ bytes, uploadMs }) => {
+          const kbps = recordUploadTiming({ bytes, uploadMs });
+          console.log(
+            `📦 [Scan] Frame ${sentFrame}: ${(bytes / 1024).toFixed(1)} KB ${encoded.format} ${encoded.width}×${encoded.height} q${encoded.quality}, uploaded in ${uploadMs}ms${kbps ? ` (~${Math.round(kbps)} kbps)` : ""}`
+          );
+        },
+      });
+      request.done();
+      inFlight--;
+      if (isTerminal()) {
+        console.log(`⏭️ Ignoring response for frame ${sentFrame} - scan already ${state}`);
+        return;
+      }
+      handleResponse(response, sentFrame);
+    } catch (error) {
+      request.done();
+      inFlight--;
+      // Aborted because the scan ended, or failed after it ended
+      if (isTerminal()) return;
+      console.error(`API Error (frame ${sentFrame}):`, error);
+      emit(SCAN_EVENTS.FRAME_ERROR, { frameNumber: sentFrame, error });
+    }
+
+    if (state === SCAN_STATES.DRAINING && inFlight === 0) settleOnLastResponse();
+  };
+
+  const handleTimeout = () => {
+    if (isTerminal()) return;
+    console.log(`⏰ ${profile.side} scan timed out after ${timeoutMs}ms`);
+    settleOnLastResponse();
+  };
+
+  // ----------------------------------------------------------------------------
+  // ▶️ RUN
+  // ----------------------------------------------------------------------------
+  const run = async () => {
+    if (!videoRef.current || videoRef.current.readyState < 2) {
+      return failWith(SCAN_ERRORS.VIDEO_NOT_READY);
+    }
+    resetDebugFrameCount();
+    window.addEventListener("offline", handleOffline);
+    window.addEventListener("online", handleOnline);
+
+    // Screen check: one frame with the flashlight on (or after a tilt burst
+    // without it), once there is a connection to send it over (offline, the
+    // check would fail and count as a pass)
+    transition(SCAN_STATES.SCREEN_CHECK);
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      handleOffline();
+      const connection = trackRequest();
+      await waitForConnection(connection.signal).catch(() => {});
+      connection.done();
+      handleOnline();
+      if (shouldStop()) return;
+    }
+    await cameraAvailable();
+    if (shouldStop()) return;
+    const flashOn = enableFlashlight ? (await enableFlashlight()) === true : false;
+    let liveness = null;
+    if (flashOn) {
+      await sleep(flashWarmupMs);
+    } else {
+      // No flashlight frame to tell a card from a screen: tilt burst instead,
+      // started over if the camera drops in the middle of it. A burst with too
+      // few frames to score is retried, and never passes on to the screen check
+      emit(SCAN_EVENTS.LIVENESS_STARTED, {});
+      await sleep(livenessLeadInMs);
+      let unscoredBursts = 0;
+      while (!liveness) {
+        await cameraAvailable();
+        if (shouldStop()) return;
+        const burst = await captureLivenessBurst(videoRef, { interrupted: () => isTerminal() || Boolean(cameraPausedSince) });
+        if (!burst) continue;
+        if (burst.score !== null) {
+          liveness = burst;
+        } else if (++unscoredBursts >= LIVENESS_BURST.maxAttempts) {
+          console.log(`💳 ${profile.side} tilt burst unscored ${unscoredBursts} times - giving up`);
+          return failWith(SCAN_ERRORS.LIVENESS_UNMEASURED);
+        }
+      }
+      emit(SCAN_EVENTS.LIVENESS_CHECKED, { liveness });
+    }
+    const { blob: screenBlob } = await captureCroppedFrame(videoRef, canvasRef);
+    const screenRequest = trackRequest();
+    const screenCheck = await checkForScreen(screenBlob, profile.side, screenRequest.signal, liveness);
+    screenRequest.done();
+    if (!isTerminal()) emit(SCAN_EVENTS.SCREEN_CHECKED, screenCheck);
+    if (disableFlashlight && flashOn) await disableFlashlight();
+    if (screenCheck.isScreen) return failWith(SCAN_ERRORS.SCREEN_DETECTED);
+    if (shouldStop()) return;
+
+    // Prepare: let exposure settle, then capture the frame shown to the user
+    transition(SCAN_STATES.PREPARING);
+    if (flashOn) await sleep(flashSettleMs);
+    await cameraAvailable();
+    if (shouldStop()) return;
+    await waitForVideoDimensions(videoRef);
+    const { dataUrl } = await captureCroppedFrame(videoRef, canvasRef);
+    if (shouldStop()) return;
+    emit(SCAN_EVENTS.FRAME_CAPTURED, { dataUrl });
+    await sleep(previewMs);
+    if (shouldStop()) return;
+
+    // Scan: keep the buffer filled and upload its best frame until the side passes or fails
+    transition(SCAN_STATES.SCANNING);
+    if (isPaused()) {
+      pausedTimeoutMs = timeoutMs;
+    } else {
+      startTimeout(timeoutMs);
+    }
+    captureIntervalId = setInterval(captureCandidate, captureIntervalMs);
+    intervalId = setInterval(sendFrame, frameIntervalMs);
+    sendFrame();
+  };
+
+  return {
+    /**
+     * Run the scan
+     * @returns {Promise<{result: object, cardCheck: object|null}>} The detect
+     *   response that completed the side, and its card details check
+     */
+    start: () => {
+      if (state !== SCAN_STATES.IDLE) {
+        return Promise.reject(new Error(`Scan engine already ${state}`));
+      }
+      return new Promise((resolve, reject) => {
+        settle = { resolve, reject };
+        run().catch((error) => {
+          console.error(`❌ [Scan] ${profile.side} scan error:`, error);
+          fail(Object.assign(error, { code: error.code || "UNEXPECTED", side: profile.side }));
+        });
+      });
+    },
+
+    cancel,
+
+    /**
+     * Hold the scan while the camera is unavailable: no captures or uploads,
+     * scan timeout stopped. Requests already sent carry on
+     */
+    pause: pauseForCamera,
+
+    /**
+     * Go on after pause(), with a fresh frame buffer
+     */
+    resume: resumeAfterCamera,
+
+    /**
+     * Subscribe to an engine event
+     * @param {string} type - One of SCAN_EVENTS
+     * @param {Function} listener - Receives { type, ...payload }
+     * @returns {Function} Unsubscribe
+     */
+    on: (type, listener) => {
+      if (!listeners.has(type)) listeners.set(type, new Set());
+      listeners.get(type).add(listener);
+      return () => listeners.get(type).delete(listener);
+    },
+
+    getState: () => state,
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * 🪪 CARD SIDE PROFILES
+ *
+ * Everything the scan engine needs to know about one side of the card:
+ * - bufferKey        → buffer_info field holding this side's buffered frame count
+ * - requiredFeatures → detection flags the backend reports for this side
+ * - minFeatures      → how many of them must be true at once
+ * - failures         → error mapping, keyed by SCAN_ERRORS code. A response
+ *                      check only runs when its code is mapped here (so only the
+ *                      front rejects fake_card and only the back brand_mismatch)
+ *
+ * Each failure has the Error message (page.js matches "Unacceptable Card
+ * Detection") and, when the engine should put the page into an error phase
+ * itself, the uiPhase and the message shown to the user.
+ */
+
+// Frames the backend must have buffered before a side can pass or fail validation
+export const MIN_BUFFERED_FRAMES = 4;
+
+const SESSION_RESTART_MESSAGE =
+  "Oops, after numerous security scan detection your card issuer verification details do not match the bank records - please try again. Thank you!!.";
+
+const sharedFailures = (side) => ({
+  SCREEN_DETECTED: {
+    message: `Unacceptable Card Detection on ${side} side - screen or photo detected instead of physical card`,
+  },
+  SESSION_RESTART: {
+    message: "Session restart required",
+    uiPhase: "error",
+    userMessage: SESSION_RESTART_MESSAGE,
+  },
+  VALIDATION_FAILED: {
+    message: "Validation failed",
+    uiPhase: "error",
+    userMessage: "Validation failed. Please try again.",
+  },
+  NO_RESPONSES: { message: "Timeout: Network Error No successful API responses received" },
+  LOW_QUALITY: { message: "Could not get a clear picture of the card" },
+  LIVENESS_UNMEASURED: {
+    message: `Card liveness on ${side} side could not be measured - too few frames of the tilted card`,
+    uiPhase: "error",
+    userMessage: "We could not see the card while it was tilted. Please hold it steady in front of the camera and try again.",
+  },
+  VIDEO_NOT_READY: { message: "Video not ready for capture" },
+  CLEANUP: { message: "Component cleanup detected during frame capture" },
+  CANCELLED: { message: "Scan cancelled" },
+});
+
+export const SCAN_PROFILES = {
+  front: {
+    side: "front",
+    bufferKey: "front_frames_buffered",
+    requiredFeatures: ["chip", "bank_logo"],
+    minFeatures: 2,
+    failures: {
+      ...sharedFailures("front"),
+      FAKE_CARD: {
+        message: "Unacceptable Card Detection",
+        uiPhase: "fake-card-error",
+        userMessage: "Unacceptable Card Detection. Please use an original physical card.",
+      },
+      REQUIREMENTS_NOT_MET: {
+        message: "Front side requirements not met: chip and bank_logo must be detected",
+      },
+    },
+  },
+
+  back: {
+    side: "back",
+    bufferKey: "back_frames_buffered",
+    requiredFeatures: ["magstrip", "signstrip", "hologram"],
+    minFeatures: 2,
+    failures: {
+      ...sharedFailures("back"),
+      BRAND_MISMATCH: {
+        message: "Brand mismatch",
+        uiPhase: "error",
+        userMessage: "Security validation failed: Card brand mismatch detected between front and back sides",
+      },
+      REQUIREMENTS_NOT_MET: { message: "Insufficient back side features detected" },
+    },
+  },
+};
+
+/**
+ * Frames the backend has buffered for this side
+ * @param {object} profile - Entry of SCAN_PROFILES
+ * @param {object} response - Detect API response
+ * @returns {number}
+ */
+export const getFramesBuffered = (profile, response) =>
+  response?.buffer_info?.[profile.bufferKey] || 0;
+
+/**
+ * Required features the response reports as detected
+ * @returns {Array<string>} Feature names, e.g. ["chip", "bank_logo"]
+ */
+export const getDetectedFeatures = (profile, response) =>
+  profile.requiredFeatures.filter((feature) => response?.[feature] === true);
+
+/**
+ * Whether a detect response satisfies this side
+ * @returns {boolean}
+ */
+export const meetsRequirements = (profile, response) =>
+  getFramesBuffered(profile, response) >= MIN_BUFFERED_FRAMES &&
+  getDetectedFeatures(profile, response).length >= profile.minFeatures;
+
+/**
+ * Whether the backend considers the whole scan finished (any side)
+ * @param {object} response - Detect API response
+ * @returns {boolean}
+ */
+export const isFinalResponse = (response) =>
+  response?.status === "success" ||
+  response?.status === "already_completed" ||
+  Boolean(response?.encrypted_card_data && response?.status);
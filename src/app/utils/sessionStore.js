@@ -0,0 +1,170 @@
+/**
+ * 🔐 WEBVIEW SESSION STORE
+ *
+ * Sessions are created by POST /api/webview-entry when the native app opens
+ * the scanner, and redeemed once by the web page through GET /api/webview-entry.
+ *
+ * - Session IDs are cryptographically random and kept in the shared store
+ * - Each session carries a short-lived, single-use redemption token that is
+ *   only ever delivered inside the redirect URL issued for that session
+ * - Redeemed sessions stay behind (without credentials) until they expire so
+ *   replays can be told apart from expired or unknown IDs
+ * - Each session also gets a release secret that is handed only to the native
+ *   app; GET /api/secure-results requires it to read that session's results
+ */
+
+import crypto from "crypto";
+import { getStore } from "./storeAdapter";
+
+const SESSION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const REDEMPTION_TOKEN_TTL_MS = 2 * 60 * 1000; // 2 minutes
+const RELEASE_BINDING_TTL_MS = 30 * 60 * 1000; // 30 minutes
+
+const sessions = getStore("webview-sessions");
+const releaseBindings = getStore("release-bindings");
+
+// Error codes returned to the page when a session cannot be redeemed
+export const SESSION_ERRORS = {
+  SESSION_REQUIRED: "SESSION_REQUIRED",
+  SESSION_EXPIRED: "SESSION_EXPIRED",
+  SESSION_REPLAYED: "SESSION_REPLAYED",
+  TOKEN_INVALID: "REDEMPTION_TOKEN_INVALID",
+  TOKEN_EXPIRED: "REDEMPTION_TOKEN_EXPIRED",
+};
+
+const randomId = (bytes) => crypto.randomBytes(bytes).toString("base64url");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const tokensMatch = (token, expectedHash) => {
+  const actual = Buffer.from(hashToken(token), "hex");
+  const expected = Buffer.from(expectedHash, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// ----------------------------------------------------------------------------
+// CREATE SESSION
+// Returns the new session ID, its one-time redemption token and the
+// release secret for the native app
+// ----------------------------------------------------------------------------
+export const createSession = async ({
+  merchantId,
+  authToken,
+  voiceUserId = null,
+  legacyVoiceUserId = null,
+  identitySource = null,
+  uploadBandwidthKbps = null,
+  deviceModel = null,
+}) => {
+  const sessionId = `session_${randomId(24)}`;
+  const redemptionToken = randomId(32);
+  const releaseSecret = randomId(32);
+  const now = Date.now();
+
+  // Outlives the session itself so results can be collected after the scan
+  await releaseBindings.set(
+    sessionId,
+    { merchantId, secretHash: hashToken(releaseSecret), createdAt: now },
+    RELEASE_BINDING_TTL_MS
+  );
+
+  await sessions.set(
+    sessionId,
+    {
+      merchantId,
+      authToken,
+      voiceUserId,
+      legacyVoiceUserId,
+      identitySource,
+      uploadBandwidthKbps,
+      deviceModel,
+      tokenHash: hashToken(redemptionToken),
+      tokenExpiresAt: now + REDEMPTION_TOKEN_TTL_MS,
+      redeemedAt: null,
+      createdAt: now,
+    },
+    SESSION_TTL_MS
+  );
+
+  return { sessionId, redemptionToken, releaseSecret };
+};
+
+// ----------------------------------------------------------------------------
+// REDEEM SESSION
+// Exchanges session ID + redemption token for the session data, exactly once.
+// Returns { session } on success or { error, status } on failure.
+// ----------------------------------------------------------------------------
+export const redeemSession = async (sessionId, redemptionToken) => {
+  if (!sessionId) {
+    return { error: SESSION_ERRORS.SESSION_REQUIRED, status: 400 };
+  }
+
+  let failure = null;
+
+  const { previous } = await sessions.update(sessionId, (session) => {
+    if (!session) {
+      failure = { error: SESSION_ERRORS.SESSION_EXPIRED, status: 410 };
+      return null;
+    }
+    if (session.redeemedAt) {
+      failure = { error: SESSION_ERRORS.SESSION_REPLAYED, status: 409 };
+      return session;
+    }
+    if (!redemptionToken || !tokensMatch(redemptionToken, session.tokenHash)) {
+      failure = { error: SESSION_ERRORS.TOKEN_INVALID, status: 403 };
+      return session;
+    }
+    if (session.tokenExpiresAt <= Date.now()) {
+      failure = { error: SESSION_ERRORS.TOKEN_EXPIRED, status: 410 };
+      return session;
+    }
+
+    // Keep a credential-free tombstone so replays are detectable
+    return {
+      merchantId: session.merchantId,
+      redeemedAt: Date.now(),
+      createdAt: session.createdAt,
+    };
+  });
+
+  if (failure) return failure;
+
+  return {
+    session: {
+      merchantId: previous.merchantId,
+      authToken: previous.authToken,
+      voiceUserId: previous.voiceUserId,
+      legacyVoiceUserId: previous.legacyVoiceUserId ?? null,
+      identitySource: previous.identitySource,
+      uploadBandwidthKbps: previous.uploadBandwidthKbps ?? null,
+      deviceModel: previous.deviceModel ?? null,
+      createdAt: previous.createdAt,
+    },
+  };
+};
+
+// ----------------------------------------------------------------------------
+// VERIFY RELEASE SECRET
+// True only for the secret issued to the native app that created the session
+// ----------------------------------------------------------------------------
+export const verifyReleaseSecret = async (sessionId, releaseSecret) => {
+  if (!sessionId || !releaseSecret) return false;
+
+  const binding = await releaseBindings.get(sessionId);
+  if (!binding) return false;
+
+  return tokensMatch(releaseSecret, binding.secretHash);
+};
+
+// ----------------------------------------------------------------------------
+// SESSION MERCHANT
+// Merchant of a session this server issued, or null for unknown IDs.
+// Read from the release binding, which outlives the session itself.
+// ----------------------------------------------------------------------------
+export const getSessionMerchant = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const binding = await releaseBindings.get(sessionId);
+  return binding ? binding.merchantId : null;
+};
@@ -0,0 +1,319 @@
+/**
+ * 🗄️ SERVER-SIDE STORE ADAPTERS
+ *
+ * Shared key/value storage for API routes that must survive restarts,
+ * multiple server instances and serverless cold starts.
+ *
+ * ADAPTER INTERFACE (all methods async):
+ * - get(key)                 → value or null (expired entries are never returned)
+ * - set(key, value, ttlMs)   → stores value, expiring after ttlMs (optional)
+ * - update(key, updater, ttlMs)
+ *                            → atomically replaces an entry with updater(previous);
+ *                              ttlMs restarts its expiry, otherwise a live entry
+ *                              keeps its own; returning null deletes; → { previous, value }
+ * - delete(key)              → true if an entry was removed
+ * - entries()                → [[key, value], ...] of live entries only
+ * - cleanup()                → purges expired entries, returns number removed
+ *
+ * TTL is enforced by the adapter itself: expired entries are dropped on read
+ * and swept on every write, so routes never need a setInterval.
+ *
+ * BACKENDS (selected with STORE_BACKEND):
+ * - "memory" (default) → process-local Map, lost on restart
+ * - "file"             → one JSON file per namespace under STORE_DIR, written
+ *                        atomically. Writes hold a lockfile (created with O_EXCL)
+ *                        so several instances can share a local volume; network
+ *                        filesystems without reliable O_EXCL are not supported.
+ *                        A file that cannot be parsed fails every call instead of
+ *                        being overwritten (replay protection lives in it)
+ */
+
+import { promises as fs } from "fs";
+import path from "path";
+import { getServerConfig } from "./config";
+
+const DEFAULT_STORE_DIR = path.join(process.cwd(), ".data", "store");
+
+// Cross-process lock of the file adapter
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000; // a holder that crashed leaves its lockfile behind
+
+const isExpired = (entry, now = Date.now()) =>
+  entry.expiresAt !== null && entry.expiresAt <= now;
+
+const toEntry = (value, ttlMs) => ({
+  value,
+  expiresAt: ttlMs ? Date.now() + ttlMs : null,
+});
+
+// ----------------------------------------------------------------------------
+// 🧠 IN-MEMORY ADAPTER
+// ----------------------------------------------------------------------------
+export const createMemoryStore = () => {
+  const data = new Map();
+  let lastSweepAt = 0;
+
+  const cleanup = async () => {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of data.entries()) {
+      if (isExpired(entry, now)) {
+        data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  // Sweep at most once a second so hot keys don't pay for a full scan
+  const sweep = async () => {
+    const now = Date.now();
+    if (now - lastSweepAt < 1000) return;
+    lastSweepAt = now;
+    await cleanup();
+  };
+
+  return {
+    backend: "memory",
+
+    async get(key) {
+      const entry = data.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        data.delete(key);
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs = null) {
+      data.set(key, toEntry(value, ttlMs));
+      await sweep();
+      return value;
+    },
+
+    async update(key, updater, ttlMs = null) {
+      const entry = data.get(key);
+      const live = entry && !isExpired(entry) ? entry : null;
+      const previous = live ? live.value : null;
+      const value = updater(previous);
+      if (value === null || value === undefined) {
+        data.delete(key);
+      } else {
+        data.set(key, live && !ttlMs ? { value, expiresAt: live.expiresAt } : toEntry(value, ttlMs));
+      }
+      await sweep();
+      return { previous, value: value ?? null };
+    },
+
+    async delete(key) {
+      return data.delete(key);
+    },
+
+    async entries() {
+      const now = Date.now();
+      return Array.from(data.entries())
+        .filter(([, entry]) => !isExpired(entry, now))
+        .map(([key, entry]) => [key, entry.value]);
+    },
+
+    cleanup,
+  };
+};
+
+// ----------------------------------------------------------------------------
+// 📁 FILE ADAPTER
+// ----------------------------------------------------------------------------
+export const createFileStore = (namespace, storeDir = DEFAULT_STORE_DIR) => {
+  const filePath = path.join(storeDir, `${namespace}.json`);
+
+  const lockPath = `${filePath}.lock`;
+
+  // Serialize read-modify-write cycles within this process
+  let queue = Promise.resolve();
+  const enqueue = (operation) => {
+    const run = queue.then(operation, operation);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // Another waiter may have removed the stale lock and taken a fresh one since
+  // it was stat'ed, so move the lockfile aside first and only delete it if it
+  // is still the same stale file; a fresh lock is moved back.
+  const removeStaleLock = async (staleStat) => {
+    const asidePath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+    try {
+      await fs.rename(lockPath, asidePath);
+    } catch {
+      return; // already removed by another waiter
+    }
+    const moved = await fs.stat(asidePath).catch(() => null);
+    if (moved && moved.ino === staleStat.ino && moved.dev === staleStat.dev) {
+      console.warn(`⚠️ [Store] Removing stale lock ${lockPath}`);
+      await fs.unlink(asidePath).catch(() => {});
+      return;
+    }
+    // Not the lock we judged stale: hand it back unless a new one exists already
+    await fs.link(asidePath, lockPath).catch(() => {});
+    await fs.unlink(asidePath).catch(() => {});
+  };
+
+  // Serialize read-modify-write cycles across processes sharing the directory
+  const withLock = async (operation) => {
+    await fs.mkdir(storeDir, { recursive: true });
+    const startedAt = Date.now();
+    let handle = null;
+    while (!handle) {
+      try {
+        handle = await fs.open(lockPath, "wx");
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        const stat = await fs.stat(lockPath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_MS) {
+          await removeStaleLock(stat);
+          continue;
+        }
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+          throw new Error(`Store lock ${lockPath} not acquired within ${LOCK_TIMEOUT_MS}ms`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      return await operation();
+    } finally {
+      // Release only our own lockfile, not one taken after ours was judged stale
+      const held = await handle.stat().catch(() => null);
+      const current = await fs.stat(lockPath).catch(() => null);
+      await handle.close();
+      if (held && current && held.ino === current.ino && held.dev === current.dev) {
+        await fs.unlink(lockPath).catch(() => {});
+      }
+    }
+  };
+
+  const enqueueLocked = (operation) => enqueue(() => withLock(operation));
+
+  // A missing file is an empty namespace; anything else that cannot be read
+  // throws, so the next write cannot replace data it never saw
+  const readAll = async () => {
+    let raw;
+    try {
+      raw = await fs.readFile(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      console.error(`❌ [Store] Could not read ${filePath}:`, error.message);
+      throw error;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      console.error(`❌ [Store] ${filePath} is corrupt - fix or remove it:`, error.message);
+      throw new Error(`Store file ${filePath} is corrupt`);
+    }
+  };
+
+  // Write to a temp file and rename so readers never see a partial file
+  const writeAll = async (data) => {
+    await fs.mkdir(storeDir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(data));
+    await fs.rename(tempPath, filePath);
+  };
+
+  const purgeExpired = (data) => {
+    const now = Date.now();
+    let removed = 0;
+    for (const key of Object.keys(data)) {
+      if (isExpired(data[key], now)) {
+        delete data[key];
+        removed++;
+      }
+    }
+    return removed;
+  };
+
+  return {
+    backend: "file",
+
+    get: (key) =>
+      enqueue(async () => {
+        const entry = (await readAll())[key];
+        if (!entry || isExpired(entry)) return null;
+        return entry.value;
+      }),
+
+    set: (key, value, ttlMs = null) =>
+      enqueueLocked(async () => {
+        const data = await readAll();
+        purgeExpired(data);
+        data[key] = toEntry(value, ttlMs);
+        await writeAll(data);
+        return value;
+      }),
+
+    update: (key, updater, ttlMs = null) =>
+      enqueueLocked(async () => {
+        const data = await readAll();
+        purgeExpired(data);
+        const live = data[key] || null;
+        const previous = live ? live.value : null;
+        const value = updater(previous);
+        if (value === null || value === undefined) {
+          delete data[key];
+        } else {
+          data[key] = live && !ttlMs ? { value, expiresAt: live.expiresAt } : toEntry(value, ttlMs);
+        }
+        await writeAll(data);
+        return { previous, value: value ?? null };
+      }),
+
+    delete: (key) =>
+      enqueueLocked(async () => {
+        const data = await readAll();
+        if (!(key in data)) return false;
+        const wasLive = !isExpired(data[key]);
+        delete data[key];
+        await writeAll(data);
+        return wasLive;
+      }),
+
+    entries: () =>
+      enqueue(async () => {
+        const now = Date.now();
+        return Object.entries(await readAll())
+          .filter(([, entry]) => !isExpired(entry, now))
+          .map(([key, entry]) => [key, entry.value]);
+      }),
+
+    cleanup: () =>
+      enqueueLocked(async () => {
+        const data = await readAll();
+        const removed = purgeExpired(data);
+        if (removed > 0) await writeAll(data);
+        return removed;
+      }),
+  };
+};
+
+// ----------------------------------------------------------------------------
+// 🔌 STORE REGISTRY
+// One adapter instance per namespace, backend chosen by configuration
+// ----------------------------------------------------------------------------
+const stores = new Map();
+
+export const getStore = (namespace) => {
+  if (stores.has(namespace)) return stores.get(namespace);
+
+  const { storeBackend, storeDir } = getServerConfig();
+  const store =
+    storeBackend === "file"
+      ? createFileStore(namespace, storeDir || DEFAULT_STORE_DIR)
+      : createMemoryStore();
+
+  console.log(`🗄️ [Store] ${namespace} using ${store.backend} backend`);
+  stores.set(namespace, store);
+  return store;
+};
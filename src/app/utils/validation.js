@@ -0,0 +1,302 @@
+/**
+ * ✅ DECLARATIVE REQUEST / RESPONSE VALIDATION
+ *
+ * Small schema builder used by every API route (schemas live in apiSchemas.js).
+ * Parsing a value both validates and normalises it:
+ * - strings are trimmed, numbers can be coerced from query / form strings
+ * - object keys can have aliases (device_Info → device_info)
+ * - oneOrMany() turns a single value into a one-item array (ipv4: "1.2.3.4")
+ * - json() accepts an object or a JSON string (including escaped quotes)
+ * - unknown object keys are dropped unless the object is declared passthrough
+ *
+ * Failures are collected as { path, message } so a 400 can list every field
+ * that failed, e.g. "device_info.network.ipv4[0]".
+ *
+ * Usage in a route:
+ *   const { data, errorResponse } = await validateBody(request, securePutSchema);
+ *   if (errorResponse) return errorResponse;
+ */
+
+import { NextResponse } from "next/server";
+
+// ----------------------------------------------------------------------------
+// 🧩 SCHEMA BUILDER
+// ----------------------------------------------------------------------------
+const joinPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Wraps a parse function (value, path, issues) => normalised value with the
+// modifiers every schema shares
+const createSchema = (parseValue, flags = {}) => ({
+  flags,
+  parse(value, path, issues) {
+    if (value === undefined || (value === "" && flags.emptyAsMissing)) {
+      if (flags.hasDefault) {
+        return typeof flags.defaultValue === "function" ? flags.defaultValue() : flags.defaultValue;
+      }
+      if (flags.optional) return undefined;
+      issues.push({ path: path || "(request)", message: "is required" });
+      return undefined;
+    }
+    if (value === null) {
+      if (flags.nullable) return null;
+      issues.push({ path: path || "(request)", message: "must not be null" });
+      return undefined;
+    }
+
+    const before = issues.length;
+    const parsed = parseValue(value, path, issues);
+    if (issues.length === before && flags.check) {
+      const message = flags.check(parsed);
+      if (message) issues.push({ path: path || "(request)", message });
+    }
+    return parsed;
+  },
+  optional: () => createSchema(parseValue, { ...flags, optional: true }),
+  nullable: () => createSchema(parseValue, { ...flags, nullable: true }),
+  default: (defaultValue) =>
+    createSchema(parseValue, { ...flags, hasDefault: true, defaultValue }),
+  // check(value) returns an error message, or nothing when the value is fine
+  refine: (check) => createSchema(parseValue, { ...flags, check }),
+});
+
+const string = ({ minLength = 0, maxLength = 4096, pattern, oneOf, coerce = false } = {}) =>
+  createSchema(
+    (value, path, issues) => {
+      if (coerce && (typeof value === "number" || typeof value === "boolean")) {
+        value = String(value);
+      }
+      if (typeof value !== "string") {
+        issues.push({ path, message: "must be a string" });
+        return undefined;
+      }
+      const trimmed = value.trim();
+      if (trimmed.length < minLength) {
+        issues.push({ path, message: minLength === 1 ? "must not be empty" : `must be at least ${minLength} characters` });
+      } else if (trimmed.length > maxLength) {
+        issues.push({ path, message: `must be at most ${maxLength} characters` });
+      } else if (pattern && !pattern.test(trimmed)) {
+        issues.push({ path, message: "has an invalid format" });
+      } else if (oneOf && !oneOf.includes(trimmed)) {
+        issues.push({ path, message: `must be one of: ${oneOf.join(", ")}` });
+      }
+      return trimmed;
+    },
+    { emptyAsMissing: minLength > 0 }
+  );
+
+const number = ({ min, max, integer = false, coerce = false } = {}) =>
+  createSchema((value, path, issues) => {
+    const parsed = coerce && typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof parsed !== "number" || !Number.isFinite(parsed)) {
+      issues.push({ path, message: "must be a number" });
+      return undefined;
+    }
+    if (integer && !Number.isInteger(parsed)) {
+      issues.push({ path, message: "must be an integer" });
+    } else if (min !== undefined && parsed < min) {
+      issues.push({ path, message: `must be at least ${min}` });
+    } else if (max !== undefined && parsed > max) {
+      issues.push({ path, message: `must be at most ${max}` });
+    }
+    return parsed;
+  });
+
+const boolean = ({ coerce = false } = {}) =>
+  createSchema((value, path, issues) => {
+    if (coerce && (value === "true" || value === "false")) return value === "true";
+    if (typeof value !== "boolean") {
+      issues.push({ path, message: "must be true or false" });
+      return undefined;
+    }
+    return value;
+  });
+
+const any = () => createSchema((value) => value);
+
+const array = (item, { maxItems = 100 } = {}) =>
+  createSchema((value, path, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push({ path, message: "must be an array" });
+      return undefined;
+    }
+    if (value.length > maxItems) {
+      issues.push({ path, message: `must have at most ${maxItems} items` });
+      return undefined;
+    }
+    return value.map((entry, index) => item.parse(entry, joinPath(path, index), issues));
+  });
+
+// Accepts a single value or an array of them and always returns an array
+const oneOrMany = (item, options) => {
+  const asArray = array(item, options);
+  return createSchema((value, path, issues) =>
+    asArray.parse(Array.isArray(value) ? value : [value], path, issues)
+  );
+};
+
+/**
+ * Object schema
+ * @param {object} shape - { key: schema }
+ * @param {object} options - { aliases: { key: ["altKey"] }, passthrough: boolean }
+ */
+const object = (shape, { aliases = {}, passthrough = false } = {}) =>
+  createSchema((value, path, issues) => {
+    if (!isPlainObject(value)) {
+      issues.push({ path: path || "(request)", message: "must be an object" });
+      return undefined;
+    }
+
+    const consumed = new Set();
+    const result = {};
+
+    for (const [key, fieldSchema] of Object.entries(shape)) {
+      const sourceKey = [key, ...(aliases[key] || [])].find((name) => value[name] !== undefined);
+      (aliases[key] || []).forEach((name) => consumed.add(name));
+      consumed.add(key);
+
+      const parsed = fieldSchema.parse(
+        sourceKey === undefined ? undefined : value[sourceKey],
+        joinPath(path, key),
+        issues
+      );
+      if (parsed !== undefined) result[key] = parsed;
+    }
+
+    if (passthrough) {
+      for (const [key, extra] of Object.entries(value)) {
+        if (!consumed.has(key)) result[key] = extra;
+      }
+    }
+
+    return result;
+  });
+
+// Accepts an object or a JSON string holding one (Android sometimes escapes
+// the quotes inside form fields)
+const json = (inner) =>
+  createSchema((value, path, issues) => {
+    if (typeof value !== "string") return inner.parse(value, path, issues);
+
+    let decoded;
+    try {
+      decoded = JSON.parse(value);
+    } catch {
+      try {
+        decoded = JSON.parse(value.replace(/\\"/g, '"'));
+      } catch {
+        issues.push({ path, message: "must be valid JSON" });
+        return undefined;
+      }
+    }
+    return inner.parse(decoded, path, issues);
+  }, { emptyAsMissing: true });
+
+export const s = { string, number, boolean, any, array, oneOrMany, object, json };
+
+// ----------------------------------------------------------------------------
+// 🔍 VALIDATION
+// ----------------------------------------------------------------------------
+
+/**
+ * Validate and normalise a value against a schema
+ * @param {object} schema - Schema built with `s`
+ * @param {*} value - Raw input
+ * @returns {{valid: boolean, data?: *, errors?: Array<{path: string, message: string}>}}
+ */
+export const validate = (schema, value) => {
+  const issues = [];
+  const data = schema.parse(value, "", issues);
+  return issues.length > 0 ? { valid: false, errors: issues } : { valid: true, data };
+};
+
+export const validationError = (errors) =>
+  NextResponse.json(
+    {
+      error: "Invalid request",
+      code: "VALIDATION_FAILED",
+      fields: errors,
+    },
+    { status: 400 }
+  );
+
+// Reads JSON, multipart or urlencoded bodies into a plain object.
+// Throws a SyntaxError when a JSON body cannot be parsed.
+export const readBody = async (request) => {
+  const contentType = request.headers.get("content-type") || "";
+
+  if (contentType.includes("multipart/form-data") || contentType.includes("application/x-www-form-urlencoded")) {
+    const formData = await request.formData();
+    return Object.fromEntries(
+      [...formData.entries()].filter(([, value]) => typeof value === "string")
+    );
+  }
+
+  const text = await request.text();
+  if (text.trim() === "") return {};
+  if (contentType.includes("application/json") || text.trim().startsWith("{")) {
+    return JSON.parse(text);
+  }
+  return Object.fromEntries(new URLSearchParams(text));
+};
+
+export const readQuery = (request) =>
+  Object.fromEntries(new URL(request.url).searchParams);
+
+/**
+ * Read and validate a request body
+ * @param {Request} request - Incoming request
+ * @param {object} schema - Body schema
+ * @param {object} options - { includeQuery: also accept fields from the query string }
+ * @returns {Promise<{data?: *, errorResponse?: Response}>}
+ */
+export const validateBody = async (request, schema, { includeQuery = false } = {}) => {
+  let body;
+  try {
+    body = await readBody(request);
+  } catch {
+    return { errorResponse: validationError([{ path: "(body)", message: "must be valid JSON" }]) };
+  }
+
+  const input = includeQuery && isPlainObject(body) ? { ...readQuery(request), ...body } : body;
+  const { valid, data, errors } = validate(schema, input);
+  if (!valid) {
+    console.warn("⚠️ [Validation] Rejected request body:", errors.map((issue) => issue.path).join(", "));
+    return { errorResponse: validationError(errors) };
+  }
+  return { data };
+};
+
+/**
+ * Validate the query string of a request
+ * @param {Request} request - Incoming request
+ * @param {object} schema - Query schema (values arrive as strings)
+ * @returns {{data?: object, errorResponse?: Response}}
+ */
+export const validateQuery = (request, schema) => {
+  const { valid, data, errors } = validate(schema, readQuery(request));
+  if (!valid) {
+    console.warn("⚠️ [Validation] Rejected query:", errors.map((issue) => issue.path).join(", "));
+    return { errorResponse: validationError(errors) };
+  }
+  return { data };
+};
+
+/**
+ * Check an outgoing response body against its schema.
+ * Mismatches are logged, never sent to the client.
+ * @param {object} schema - Response schema
+ * @param {object} body - Response body
+ * @param {string} name - Route name for the log line
+ * @returns {object} The body, unchanged
+ */
+export const checkResponse = (schema, body, name) => {
+  const { valid, errors } = validate(schema, body);
+  if (!valid) {
+    console.error(`❌ [Validation] ${name} response does not match its schema:`, errors);
+  }
+  return body;
+};
@@ -0,0 +1,162 @@
+/**
+ * 🎤 VOICE VERIFICATION PROOF CHECKS
+ *
+ * PUT /api/secure-results only releases a result after the voice service has
+ * proven that the caller really passed voice verification.
+ *
+ * VERIFIERS (selected with VOICE_VERIFIER):
+ * - "assertion" (default) → the client forwards a signed assertion issued by the
+ *   voice service: a compact JWS (HS256 with VOICE_ASSERTION_SECRET, or RS256 /
+ *   ES256 with VOICE_ASSERTION_PUBLIC_KEY) whose claims are
+ *   { jti: verificationId, merchant_id, session_id, verified: true, exp }.
+ *   session_id ties it to the session whose result it releases: an assertion
+ *   from another session of the same merchant is refused
+ * - "callback"            → the server asks VOICE_VERIFIER_URL to confirm the
+ *   verification ID and expects { verified: true } back
+ * - any name registered with registerVoiceVerifier()
+ *
+ * Every verifier resolves to { valid: true, claims } or { valid: false, reason }.
+ */
+
+import crypto from "crypto";
+import { getStore } from "./storeAdapter";
+import { getServerConfig } from "./config";
+
+// Verification IDs that have already released a result (replay protection)
+const usedVerifications = getStore("used-voice-verifications");
+const USED_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+const fail = (reason) => ({ valid: false, reason });
+
+// ----------------------------------------------------------------------------
+// 🔏 SIGNED ASSERTION VERIFIER
+// ----------------------------------------------------------------------------
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+const checkSignature = (alg, signingInput, signature) => {
+  if (alg === "HS256") {
+    const secret = getServerConfig().voiceAssertionSecret;
+    if (!secret) throw new Error("VOICE_ASSERTION_SECRET is not configured");
+    const expected = crypto.createHmac("sha256", secret).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+
+  if (alg === "RS256" || alg === "ES256") {
+    const publicKey = getServerConfig().voiceAssertionPublicKey;
+    if (!publicKey) throw new Error("VOICE_ASSERTION_PUBLIC_KEY is not configured");
+    return crypto.verify(
+      "sha256",
+      Buffer.from(signingInput),
+      // JWS ES256 signatures are raw r||s, not DER
+      alg === "ES256" ? { key: publicKey, dsaEncoding: "ieee-p1363" } : publicKey,
+      signature
+    );
+  }
+
+  return false;
+};
+
+const verifySignedAssertion = async ({ assertion, verificationId, merchantId, sessionId }) => {
+  if (!assertion || typeof assertion !== "string") {
+    return fail("missing_assertion");
+  }
+
+  const segments = assertion.split(".");
+  if (segments.length !== 3) return fail("malformed_assertion");
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(segments[0]);
+    claims = decodeSegment(segments[1]);
+  } catch {
+    return fail("malformed_assertion");
+  }
+
+  const signature = Buffer.from(segments[2], "base64url");
+  if (!checkSignature(header.alg, `${segments[0]}.${segments[1]}`, signature)) {
+    return fail("bad_signature");
+  }
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp <= nowSeconds) {
+    return fail("assertion_expired");
+  }
+  if (claims.verified !== true) return fail("not_verified");
+  if (claims.jti !== verificationId) return fail("verification_id_mismatch");
+  if (merchantId && claims.merchant_id !== merchantId) {
+    return fail("merchant_mismatch");
+  }
+  if (!sessionId || claims.session_id !== sessionId) return fail("session_mismatch");
+
+  return { valid: true, claims };
+};
+
+// ----------------------------------------------------------------------------
+// 📞 CALLBACK VERIFIER
+// ----------------------------------------------------------------------------
+const verifyWithCallback = async ({ verificationId, merchantId, sessionId }) => {
+  const verifierUrl = getServerConfig().voiceVerifierUrl;
+  if (!verifierUrl) throw new Error("VOICE_VERIFIER_URL is not configured");
+
+  const response = await fetch(verifierUrl, {
+    method: "POST",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      verification_id: verificationId,
+      merchant_id: merchantId,
+      session_id: sessionId,
+    }),
+  });
+
+  if (!response.ok) return fail(`verifier_http_${response.status}`);
+
+  const data = await response.json();
+  if (data.verified !== true) return fail(data.reason || "not_verified");
+
+  return { valid: true, claims: data };
+};
+
+// ----------------------------------------------------------------------------
+// 🔌 VERIFIER REGISTRY
+// ----------------------------------------------------------------------------
+const verifiers = {
+  assertion: verifySignedAssertion,
+  callback: verifyWithCallback,
+};
+
+export const registerVoiceVerifier = (name, verifier) => {
+  verifiers[name] = verifier;
+};
+
+/**
+ * Check voice verification proof for a pending result
+ * @param {object} proof - { verificationId, assertion, merchantId, sessionId }
+ * @returns {Promise<{valid: boolean, reason?: string, claims?: object}>}
+ */
+export const verifyVoiceProof = async (proof) => {
+  const name = getServerConfig().voiceVerifier;
+  const verifier = verifiers[name];
+  if (!verifier) throw new Error(`Unknown VOICE_VERIFIER "${name}"`);
+
+  if (await usedVerifications.get(proof.verificationId)) {
+    return fail("verification_already_used");
+  }
+
+  const outcome = await verifier(proof);
+  if (!outcome.valid) return outcome;
+
+  // Claim the verification ID atomically so concurrent replays lose
+  const { previous } = await usedVerifications.update(
+    proof.verificationId,
+    (used) => used || { usedAt: Date.now() },
+    USED_VERIFICATION_TTL_MS
+  );
+  if (previous) return fail("verification_already_used");
+
+  return outcome;
+};
@@ -0,0 +1,15 @@
+// Runs once when the Next.js server starts.
+// Loading the configuration here makes a missing or invalid setting stop the
+// server immediately instead of surfacing on the first request.
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { getServerConfig } = await import("./app/utils/config");
+    try {
+      const config = getServerConfig();
+      console.log(`⚙️ [Config] Loaded ${config.appEnv} profile`);
+    } catch (error) {
+      console.error(`❌ [Config] ${error.message}`);
+      process.exit(1);
+    }
+  }
+}